@@ -1,10 +1,22 @@
 class DataLineageApp {
     constructor() {
         this.parser = new SQLParser();
+        this.catalog = new SchemaCatalog();
+        this.parser.setCatalog(this.catalog);
         this.renderer = null;
         this.currentTheme = 'dark';
-        this.isColumnView = false;
-        
+        this.viewMode = 'table';
+        this.dialect = 'generic';
+        // SQL behind the graph on screen; null for dbt projects, which can't be shared as a link
+        this.visualizedSQL = null;
+        // Saved queries and history; activeQuery is the saved query loaded into the editor
+        this.workspace = WorkspaceStore.available ? new WorkspaceStore() : null;
+        this.activeQuery = null;
+        // Compare mode diffs the "before" SQL against the main editor
+        this.compareMode = false;
+        // Pending re-check of the editors after typing
+        this.lintTimer = null;
+
         this.initializeApp();
         this.bindEvents();
     }
@@ -12,6 +24,21 @@ class DataLineageApp {
     initializeApp() {
         // Initialize the graph renderer
         this.renderer = new GraphRenderer('#graph-container');
+        this.exporter = new GraphExporter(this.renderer);
+
+        // Highlighting SQL editors; the source view beside the graph shows the SQL the graph came from
+        this.editor = new SQLEditor(document.getElementById('sql-query'), { onChange: () => this.scheduleLint() });
+        this.beforeEditor = new SQLEditor(document.getElementById('sql-before'), { onChange: () => this.scheduleLint() });
+        this.sourceView = new SQLEditor(document.getElementById('source-view'), { onCursor: offset => this.focusSource(offset) });
+        this.renderer.onSelect = node => this.revealSource(node);
+        // The mappings view: the graph's lineage as a table, redrawn by the renderer along with it
+        this.renderer.tableView = new LineageTable(document.getElementById('lineage-table-view'), this.renderer);
+        // Groups also expand from the graph (double-click, sidebar), so keep the collapse checkboxes in step
+        this.renderer.onCollapse = (key, collapsed) => {
+            document.querySelectorAll('#filter-collapse input').forEach(checkbox => {
+                if (checkbox.dataset.key === key) checkbox.checked = collapsed;
+            });
+        };
         
         // Set initial theme
         document.documentElement.setAttribute('data-theme', this.currentTheme);
@@ -23,8 +50,626 @@ class DataLineageApp {
             }
         });
 
+        // Populate the dialect selector from the registered dialects
+        this.populateDialects();
+
         // Add sample query for demonstration
         this.loadSampleQuery();
+
+        this.refreshWorkspace();
+        this.loadLayerRules();
+        this.loadMotionPreference();
+
+        // A permalink in the URL replaces the sample and opens its graph
+        this.restorePermalink();
+        window.addEventListener('hashchange', () => this.restorePermalink());
+    }
+
+    async restorePermalink() {
+        let state;
+        try {
+            state = Permalink.validate(await Permalink.decode(window.location.hash));
+        } catch (error) {
+            console.error('Error reading permalink:', error);
+            this.showNotification('This link could not be read', 'error');
+            return;
+        }
+        if (!state) return;
+
+        this.editor.setValue(state.sql);
+
+        if (state.dialect && SQLDialect.registry.has(state.dialect)) {
+            document.getElementById('sql-dialect').value = state.dialect;
+            this.setDialect(state.dialect);
+        }
+        if (state.theme && state.theme !== this.currentTheme) {
+            this.toggleTheme();
+        }
+        if (state.layout) {
+            document.getElementById('layout-mode').value = state.layout;
+            this.renderer.layoutMode = state.layout;
+        }
+        if (state.view) {
+            this.setViewMode(state.view);
+        }
+
+        this.renderer.setViewState(state);
+        this.handleVisualize();
+    }
+
+    async refreshWorkspace() {
+        if (!this.workspace) {
+            document.getElementById('workspace').hidden = true;
+            return;
+        }
+
+        let queries;
+        let history;
+        try {
+            [queries, history] = await Promise.all([this.workspace.listQueries(), this.workspace.listHistory()]);
+        } catch (error) {
+            console.error('Error reading the workspace:', error);
+            document.getElementById('workspace').hidden = true;
+            return;
+        }
+
+        this.renderWorkspaceList('saved-queries', queries, 'No saved queries yet', query => ({
+            name: query.name,
+            detail: query.graph ? `${query.graph.tables.length} tables` : '',
+            active: this.activeQuery && this.activeQuery.id === query.id,
+            open: () => this.loadSavedQuery(query),
+            actions: [
+                ['▶', 'Open the saved graph of', () => this.openSavedGraph(query)],
+                ['✎', 'Rename', () => this.renameSavedQuery(query)],
+                ['⧉', 'Duplicate', () => this.runWorkspaceAction(this.workspace.duplicateQuery(query.id))],
+                ['×', 'Delete', () => this.deleteSavedQuery(query)]
+            ]
+        }));
+
+        this.renderWorkspaceList('query-history', history, 'Nothing visualized yet', entry => ({
+            name: entry.name,
+            detail: new Date(entry.at).toLocaleString(),
+            open: () => this.loadQueryText(entry.sql, entry.dialect),
+            actions: []
+        }));
+    }
+
+    renderWorkspaceList(id, items, emptyText, describe) {
+        const list = document.getElementById(id);
+        list.innerHTML = '';
+
+        if (items.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'workspace-empty';
+            empty.textContent = emptyText;
+            list.appendChild(empty);
+            return;
+        }
+
+        items.forEach(item => {
+            const { name, detail, active, open, actions } = describe(item);
+            const row = document.createElement('li');
+            row.className = `workspace-item${active ? ' active' : ''}`;
+
+            const label = document.createElement('span');
+            label.className = 'workspace-item-name';
+            label.textContent = name;
+            label.title = detail ? `${name} — ${detail}` : name;
+            label.addEventListener('click', open);
+            row.appendChild(label);
+
+            actions.forEach(([text, title, handler]) => {
+                const button = document.createElement('button');
+                button.textContent = text;
+                button.title = title;
+                button.setAttribute('aria-label', `${title} ${name}`);
+                button.addEventListener('click', handler);
+                row.appendChild(button);
+            });
+
+            list.appendChild(row);
+        });
+    }
+
+    async runWorkspaceAction(action) {
+        try {
+            await action;
+        } catch (error) {
+            console.error('Workspace error:', error);
+            this.showNotification('Could not update the workspace', 'error');
+        }
+        this.refreshWorkspace();
+    }
+
+    loadQueryText(sql, dialect) {
+        this.editor.setValue(sql);
+        if (dialect && SQLDialect.registry.has(dialect)) {
+            document.getElementById('sql-dialect').value = dialect;
+            this.setDialect(dialect);
+        }
+    }
+
+    loadSavedQuery(query) {
+        this.activeQuery = query;
+        this.loadQueryText(query.sql, query.dialect);
+        document.getElementById('query-name').value = query.name;
+        document.getElementById('query-notes').value = query.notes || '';
+        if (query.viewMode) this.setViewMode(query.viewMode);
+        this.renderer.setViewState(query.view || {});
+        this.refreshWorkspace();
+    }
+
+    openSavedGraph(query) {
+        // Shows the graph as it was last rendered, without parsing the SQL again
+        this.loadSavedQuery(query);
+        if (!query.graph) {
+            this.handleVisualize();
+            return;
+        }
+
+        this.visualizedSQL = query.sql;
+        this.renderDiagnostics(query.graph.diagnostics, this.editor);
+        this.showVisualizationPage();
+        setTimeout(() => {
+            this.renderer.render(query.graph, this.viewMode);
+            this.buildFilterPanel();
+        }, 300);
+    }
+
+    async saveQuery({ asNew = false } = {}) {
+        const sql = document.getElementById('sql-query').value.trim();
+        if (!sql) {
+            this.showNotification('Please enter a SQL query', 'error');
+            return;
+        }
+
+        const name = document.getElementById('query-name').value.trim() || this.queryTitle(sql);
+        const base = asNew || !this.activeQuery ? {} : this.activeQuery;
+        const shown = this.visualizedSQL === sql && this.renderer.currentData;
+
+        try {
+            this.activeQuery = await this.workspace.saveQuery({
+                ...base,
+                name,
+                sql,
+                dialect: this.dialect,
+                notes: document.getElementById('query-notes').value,
+                viewMode: this.viewMode,
+                graph: shown ? this.renderer.currentData : this.parseForWorkspace(sql, base.graph),
+                view: shown ? this.renderer.getViewState() : base.view || null
+            });
+            document.getElementById('query-name').value = name;
+            this.showNotification(`Saved "${name}"`, 'info');
+        } catch (error) {
+            console.error('Error saving query:', error);
+            this.showNotification('Could not save the query', 'error');
+        }
+        this.refreshWorkspace();
+    }
+
+    parseForWorkspace(sql, fallback = null) {
+        try {
+            return this.parser.parseQuery(sql);
+        } catch (error) {
+            return fallback || null;
+        }
+    }
+
+    queryTitle(sql) {
+        // A leading "-- comment" names the query; otherwise its first line of SQL does
+        const comment = sql.match(/^\s*--\s*(.+)$/m);
+        const firstLine = sql.split('\n').find(line => line.trim() && !line.trim().startsWith('--')) || sql;
+        return (comment ? comment[1] : firstLine).trim().slice(0, 60);
+    }
+
+    async updateActiveQueryView() {
+        // Leaving the graph of a saved query keeps its latest graph, zoom and pinned nodes
+        const query = this.activeQuery;
+        if (!this.workspace || !query || query.sql !== this.visualizedSQL || !this.renderer.currentData) return;
+
+        try {
+            this.activeQuery = await this.workspace.saveQuery({
+                ...query,
+                viewMode: this.viewMode,
+                graph: this.renderer.currentData,
+                view: this.renderer.getViewState()
+            });
+        } catch (error) {
+            console.error('Error updating saved query:', error);
+        }
+        this.refreshWorkspace();
+    }
+
+    renameSavedQuery(query) {
+        const name = (window.prompt('Rename query', query.name) || '').trim();
+        if (!name) return;
+
+        if (this.activeQuery && this.activeQuery.id === query.id) {
+            this.activeQuery.name = name;
+            document.getElementById('query-name').value = name;
+        }
+        this.runWorkspaceAction(this.workspace.renameQuery(query.id, name));
+    }
+
+    deleteSavedQuery(query) {
+        if (!window.confirm(`Delete "${query.name}"?`)) return;
+
+        if (this.activeQuery && this.activeQuery.id === query.id) this.activeQuery = null;
+        this.runWorkspaceAction(this.workspace.deleteQuery(query.id));
+    }
+
+    recordHistory(sql, data) {
+        if (!this.workspace) return;
+
+        const saved = this.activeQuery && this.activeQuery.sql === sql;
+        this.runWorkspaceAction(this.workspace.addHistory({
+            name: saved ? this.activeQuery.name : this.queryTitle(sql),
+            sql,
+            dialect: this.dialect,
+            tables: data.tables.length
+        }));
+    }
+
+    async exportWorkspace() {
+        try {
+            const workspace = await this.workspace.exportWorkspace();
+            GraphExporter.download(JSON.stringify(workspace, null, 2), 'lineage-workspace.json', 'application/json');
+        } catch (error) {
+            console.error('Error exporting workspace:', error);
+            this.showNotification('Could not export the workspace', 'error');
+        }
+    }
+
+    async importWorkspace(file) {
+        try {
+            const count = await this.workspace.importWorkspace(JSON.parse(await file.text()));
+            this.showNotification(`Imported ${count} quer${count === 1 ? 'y' : 'ies'}`, 'info');
+        } catch (error) {
+            console.error('Error importing workspace:', error);
+            this.showNotification('Could not import the workspace file', 'error');
+        }
+        this.refreshWorkspace();
+        this.loadLayerRules();
+        this.loadMotionPreference();
+    }
+
+    async loadLayerRules() {
+        // Layer rules are kept in the workspace; without one the defaults last for the session
+        if (this.workspace) {
+            try {
+                const rules = await this.workspace.getSetting('layerRules');
+                if (rules) this.renderer.setLayerRules(rules);
+            } catch (error) {
+                console.error('Error reading the layer rules:', error);
+                this.showNotification('Could not load the saved layer rules', 'error');
+            }
+        }
+        this.buildLayerPanel();
+        this.buildFilterPanel();
+    }
+
+    async loadMotionPreference() {
+        // A saved choice overrides the system's reduced-motion setting
+        if (this.workspace) {
+            try {
+                const reduced = await this.workspace.getSetting('reducedMotion');
+                if (typeof reduced === 'boolean') this.renderer.setReducedMotion(reduced);
+            } catch (error) {
+                console.error('Error reading the motion setting:', error);
+            }
+        }
+        document.getElementById('motion-btn').setAttribute('aria-pressed', String(this.renderer.reducedMotion));
+    }
+
+    setReducedMotion(reduced) {
+        this.renderer.setReducedMotion(reduced);
+        document.getElementById('motion-btn').setAttribute('aria-pressed', String(reduced));
+        if (this.workspace) {
+            this.workspace.saveSetting('reducedMotion', reduced).catch(error => {
+                console.error('Error saving the motion setting:', error);
+                this.showNotification('Could not save the motion setting', 'error');
+            });
+        }
+    }
+
+    toggleTableView(open) {
+        // The table replaces the graph for assistive technology too, not just visually
+        const tableView = this.renderer.tableView;
+        if (open) {
+            tableView.show();
+        } else {
+            tableView.hide();
+        }
+        this.renderer.svg.attr('aria-hidden', open ? 'true' : null);
+    }
+
+    buildLayerPanel(rules = this.renderer.layerRules.rules) {
+        // One editable row per rule, in match order
+        const list = document.getElementById('layer-rules');
+        list.innerHTML = '';
+        rules.forEach((rule, index) => list.appendChild(this.layerRuleRow(rule, index, rules.length)));
+    }
+
+    layerRuleRow(rule, index, count) {
+        const row = document.createElement('li');
+        row.className = 'layer-rule';
+
+        const input = (key, type, value, label) => {
+            const element = document.createElement('input');
+            element.type = type;
+            element.dataset.key = key;
+            element.setAttribute('aria-label', label);
+            if (type === 'checkbox') {
+                element.checked = value;
+            } else {
+                element.value = value;
+                element.spellcheck = false;
+            }
+            return element;
+        };
+        const select = (key, value, options, label) => {
+            const element = document.createElement('select');
+            element.dataset.key = key;
+            element.setAttribute('aria-label', label);
+            Object.entries(options).forEach(([optionValue, text]) => element.add(new Option(text, optionValue)));
+            element.value = value;
+            return element;
+        };
+        const button = (text, label, disabled, action) => {
+            const element = document.createElement('button');
+            element.type = 'button';
+            element.className = 'layer-rule-btn';
+            element.textContent = text;
+            element.title = label;
+            element.setAttribute('aria-label', label);
+            element.disabled = disabled;
+            element.addEventListener('click', action);
+            return element;
+        };
+        const move = offset => () => {
+            const rules = this.readLayerRules();
+            const [moved] = rules.splice(index, 1);
+            rules.splice(index + offset, 0, moved);
+            this.buildLayerPanel(rules);
+            this.applyLayerRules(rules);
+        };
+
+        const legend = document.createElement('label');
+        legend.className = 'layer-rule-legend';
+        legend.append(input('legend', 'checkbox', rule.legend !== false, 'Show in legend'), ' legend');
+
+        row.append(
+            input('color', 'color', rule.color || LayerRules.DEFAULT_COLOR, 'Colour'),
+            input('label', 'text', rule.label, 'Layer label'),
+            select('field', rule.field || 'name', { name: 'Qualified name', catalog: 'Catalog', schema: 'Schema', table: 'Table name' }, 'Match on'),
+            select('syntax', rule.syntax || 'glob', { glob: 'Glob', regex: 'Regex' }, 'Pattern syntax'),
+            input('pattern', 'text', rule.pattern || '', 'Pattern'),
+            legend,
+            button('↑', 'Move up', index === 0, move(-1)),
+            button('↓', 'Move down', index === count - 1, move(1)),
+            button('×', 'Remove rule', false, () => {
+                const rules = this.readLayerRules().filter((other, i) => i !== index);
+                this.buildLayerPanel(rules);
+                this.applyLayerRules(rules);
+            })
+        );
+        row.querySelectorAll('input, select').forEach(field => field.addEventListener('change', () => this.applyLayerRules()));
+        return row;
+    }
+
+    readLayerRules() {
+        return Array.from(document.querySelectorAll('#layer-rules .layer-rule'), row => {
+            const value = key => row.querySelector(`[data-key="${key}"]`);
+            return {
+                label: value('label').value,
+                field: value('field').value,
+                syntax: value('syntax').value,
+                pattern: value('pattern').value,
+                color: value('color').value,
+                legend: value('legend').checked
+            };
+        });
+    }
+
+    async applyLayerRules(rules = this.readLayerRules()) {
+        // Invalid rules (no label, a broken regular expression) are reported and not applied
+        const message = document.getElementById('layer-rules-error');
+        let layerRules;
+        try {
+            layerRules = new LayerRules(rules);
+        } catch (error) {
+            message.textContent = error.message;
+            message.hidden = false;
+            return;
+        }
+        message.hidden = true;
+
+        this.renderer.setLayerRules(layerRules);
+        this.buildFilterPanel();
+
+        if (!this.workspace) return;
+        try {
+            await this.workspace.saveSetting('layerRules', layerRules.toJSON());
+        } catch (error) {
+            console.error('Error saving the layer rules:', error);
+            this.showNotification('Could not save the layer rules', 'error');
+        }
+    }
+
+    async shareLink() {
+        if (!this.visualizedSQL) {
+            this.showNotification('Links can only be shared for SQL queries', 'error');
+            return;
+        }
+
+        const hash = await Permalink.encode({
+            sql: this.visualizedSQL,
+            dialect: this.dialect,
+            view: this.viewMode,
+            layout: this.renderer.layoutMode,
+            theme: this.currentTheme,
+            ...this.renderer.getViewState()
+        });
+
+        // replaceState doesn't fire hashchange, so the graph isn't rebuilt
+        window.history.replaceState(null, '', `#${hash}`);
+
+        try {
+            await navigator.clipboard.writeText(window.location.href);
+            this.showNotification('Link copied to the clipboard', 'info');
+        } catch (error) {
+            this.showNotification('Link ready in the address bar', 'info');
+        }
+    }
+
+    populateDialects() {
+        const select = document.getElementById('sql-dialect');
+
+        SQLDialect.all().forEach(dialect => {
+            const option = document.createElement('option');
+            option.value = dialect.name;
+            option.textContent = dialect.label;
+            select.appendChild(option);
+        });
+
+        select.value = this.dialect;
+    }
+
+    setDialect(name) {
+        this.dialect = name;
+        this.parser.setDialect(name);
+        [this.editor, this.beforeEditor, this.sourceView].forEach(editor => editor.setDialect(name));
+        this.scheduleLint();
+    }
+
+    scheduleLint() {
+        // Re-check the editors once typing pauses, so squiggles follow the text
+        clearTimeout(this.lintTimer);
+        this.lintTimer = setTimeout(() => this.lint(), SQLEditor.LINT_DELAY);
+    }
+
+    lint() {
+        const editors = this.compareMode ? [this.beforeEditor, this.editor] : [this.editor];
+        editors.forEach(editor => {
+            const sql = editor.value.trimEnd();
+            if (!sql) return;
+            try {
+                editor.setDiagnostics(this.parser.parseQuery(sql).diagnostics);
+            } catch (error) {
+                console.error('Error checking SQL:', error);
+            }
+        });
+    }
+
+    revealSource(node) {
+        // A node clicked in the graph selects the SQL that produced it
+        if (!this.visualizedSQL || !node.span || document.getElementById('source-panel').hidden) return;
+        this.sourceView.reveal(node.span);
+    }
+
+    focusSource(offset) {
+        // The cursor in the source view picks out the innermost table or column around it
+        if (!this.visualizedSQL) return;
+        const match = this.renderer.locate(offset);
+        if (match) this.renderer.focusNode(match);
+    }
+
+    toggleSourcePanel(open) {
+        const panel = document.getElementById('source-panel');
+        panel.hidden = !open;
+        document.getElementById('source-btn').setAttribute('aria-expanded', String(open));
+    }
+
+    setDefaultNamespace() {
+        // Unqualified table names are resolved against these before building the graph
+        const catalog = document.getElementById('default-catalog').value.trim();
+        const schema = document.getElementById('default-schema').value.trim();
+        this.parser.setDefaultNamespace(catalog, schema);
+    }
+
+    async loadCatalogFiles(files) {
+        let loaded = 0;
+        let failed = 0;
+
+        for (const file of files) {
+            try {
+                loaded += this.catalog.load(await file.text(), file.name, SQLDialect.get(this.dialect));
+            } catch (error) {
+                console.error(`Error reading schema file ${file.name}:`, error);
+                failed++;
+            }
+        }
+
+        this.updateCatalogStatus();
+        if (failed > 0) {
+            this.showNotification(`${failed} schema file${failed === 1 ? '' : 's'} could not be read`, 'error');
+        } else {
+            this.showNotification(`Loaded ${loaded} table${loaded === 1 ? '' : 's'} into the schema catalog`, 'info');
+        }
+    }
+
+    updateCatalogStatus() {
+        const size = this.catalog.size;
+        document.getElementById('load-catalog-btn').textContent = size > 0 ? `Schema: ${size} table${size === 1 ? '' : 's'}` : 'Load schema';
+        document.getElementById('clear-catalog-btn').hidden = size === 0;
+    }
+
+    async loadDbtManifest(file) {
+        const project = new DbtProject();
+
+        try {
+            project.loadManifest(JSON.parse(await file.text()));
+        } catch (error) {
+            console.error('Error reading dbt manifest:', error);
+            this.showNotification('Could not read the dbt manifest', 'error');
+            return;
+        }
+
+        this.visualizeProject(project);
+    }
+
+    async loadDbtModels(files) {
+        const project = new DbtProject();
+
+        try {
+            const models = await Promise.all(files
+                .filter(file => /\.sql$/i.test(file.name))
+                .map(async file => ({ path: file.webkitRelativePath || file.name, text: await file.text() })));
+            project.loadModelFiles(models);
+        } catch (error) {
+            console.error('Error reading dbt models:', error);
+            this.showNotification('Could not read the dbt models', 'error');
+            return;
+        }
+
+        this.visualizeProject(project);
+    }
+
+    visualizeProject(project) {
+        if (project.size === 0) {
+            this.showNotification('No dbt models found', 'error');
+            return;
+        }
+
+        let data;
+        try {
+            data = project.buildLineage(this.parser);
+        } catch (error) {
+            console.error('Error building dbt lineage:', error);
+            this.showNotification('Error building dbt lineage', 'error');
+            return;
+        }
+
+        // A model that fails to parse is reported but doesn't hide the rest of the project
+        this.visualizedSQL = null;
+        this.renderDiagnostics(data.diagnostics);
+        this.showNotification(`Built lineage for ${project.size} dbt model${project.size === 1 ? '' : 's'}`, 'info');
+
+        this.showVisualizationPage();
+        setTimeout(() => {
+            this.renderer.render(data, this.viewMode);
+            this.buildFilterPanel();
+        }, 300);
     }
 
     bindEvents() {
@@ -32,13 +677,122 @@ class DataLineageApp {
         const visualizeBtn = document.getElementById('visualize-btn');
         visualizeBtn.addEventListener('click', () => this.handleVisualize());
 
+        // Dialect selector
+        const dialectSelect = document.getElementById('sql-dialect');
+        dialectSelect.addEventListener('change', () => this.setDialect(dialectSelect.value));
+
+        // Schema catalog import
+        const catalogInput = document.getElementById('catalog-file');
+        document.getElementById('load-catalog-btn').addEventListener('click', () => catalogInput.click());
+        catalogInput.addEventListener('change', () => {
+            this.loadCatalogFiles(Array.from(catalogInput.files));
+            catalogInput.value = '';
+        });
+        document.getElementById('clear-catalog-btn').addEventListener('click', () => {
+            this.catalog.clear();
+            this.updateCatalogStatus();
+        });
+
+        // dbt project ingestion
+        const manifestInput = document.getElementById('manifest-file');
+        document.getElementById('load-manifest-btn').addEventListener('click', () => manifestInput.click());
+        manifestInput.addEventListener('change', () => {
+            if (manifestInput.files[0]) this.loadDbtManifest(manifestInput.files[0]);
+            manifestInput.value = '';
+        });
+
+        const modelsInput = document.getElementById('models-folder');
+        document.getElementById('load-models-btn').addEventListener('click', () => modelsInput.click());
+        modelsInput.addEventListener('change', () => {
+            this.loadDbtModels(Array.from(modelsInput.files));
+            modelsInput.value = '';
+        });
+
+        // Default catalog / schema for unqualified table names
+        ['default-catalog', 'default-schema'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.setDefaultNamespace());
+        });
+
         // Back button
         const backBtn = document.getElementById('back-btn');
         backBtn.addEventListener('click', () => this.showLandingPage());
 
         // View toggle
-        const viewToggle = document.getElementById('view-toggle');
-        viewToggle.addEventListener('click', () => this.toggleView());
+        document.querySelectorAll('.view-mode-btn').forEach(button => {
+            button.addEventListener('click', () => this.setViewMode(button.dataset.mode));
+        });
+
+        // Layout selector
+        const layoutSelect = document.getElementById('layout-mode');
+        layoutSelect.addEventListener('change', () => this.renderer.setLayoutMode(layoutSelect.value));
+
+        // Search and filters
+        this.bindSearch();
+
+        const filterBtn = document.getElementById('filter-btn');
+        filterBtn.addEventListener('click', () => {
+            const panel = document.getElementById('filter-panel');
+            panel.hidden = !panel.hidden;
+            filterBtn.setAttribute('aria-expanded', String(!panel.hidden));
+        });
+
+        // Layer rules
+        const layersBtn = document.getElementById('layers-btn');
+        layersBtn.addEventListener('click', () => {
+            const panel = document.getElementById('layer-panel');
+            panel.hidden = !panel.hidden;
+            layersBtn.setAttribute('aria-expanded', String(!panel.hidden));
+        });
+        document.getElementById('add-layer-rule').addEventListener('click', () => {
+            const rules = [...this.readLayerRules(), { label: 'new layer', field: 'table', syntax: 'glob', pattern: '', color: LayerRules.DEFAULT_COLOR }];
+            this.buildLayerPanel(rules);
+            this.applyLayerRules(rules);
+        });
+        document.getElementById('reset-layer-rules').addEventListener('click', () => {
+            this.buildLayerPanel(LayerRules.DEFAULTS);
+            this.applyLayerRules(LayerRules.DEFAULTS);
+        });
+
+        // Workspace
+        document.getElementById('save-query-btn').addEventListener('click', () => this.saveQuery());
+        document.getElementById('save-query-as-btn').addEventListener('click', () => this.saveQuery({ asNew: true }));
+        document.getElementById('clear-history-btn').addEventListener('click', () => {
+            this.runWorkspaceAction(this.workspace.clearHistory());
+        });
+        document.getElementById('export-workspace-btn').addEventListener('click', () => this.exportWorkspace());
+
+        const workspaceInput = document.getElementById('workspace-file');
+        document.getElementById('import-workspace-btn').addEventListener('click', () => workspaceInput.click());
+        workspaceInput.addEventListener('change', () => {
+            if (workspaceInput.files[0]) this.importWorkspace(workspaceInput.files[0]);
+            workspaceInput.value = '';
+        });
+
+        // SQL source view
+        document.getElementById('source-btn').addEventListener('click', () => {
+            this.toggleSourcePanel(document.getElementById('source-panel').hidden);
+        });
+
+        // Compare mode
+        document.getElementById('compare-btn').addEventListener('click', () => this.setCompareMode(!this.compareMode));
+
+        // Share link
+        document.getElementById('share-btn').addEventListener('click', () => this.shareLink());
+
+        // Export menu
+        const exportBtn = document.getElementById('export-btn');
+        const exportOptions = document.getElementById('export-options');
+        exportBtn.addEventListener('click', () => {
+            exportOptions.hidden = !exportOptions.hidden;
+            exportBtn.setAttribute('aria-expanded', String(!exportOptions.hidden));
+        });
+        exportOptions.querySelectorAll('button[data-format]').forEach(button => {
+            button.addEventListener('click', () => {
+                exportOptions.hidden = true;
+                exportBtn.setAttribute('aria-expanded', 'false');
+                this.exportGraph(button.dataset.format);
+            });
+        });
 
         // Reset zoom button
         const resetZoomBtn = document.getElementById('reset-zoom');
@@ -52,6 +806,11 @@ class DataLineageApp {
         const themeToggleBtn = document.getElementById('theme-toggle');
         themeToggleBtn.addEventListener('click', () => this.toggleTheme());
 
+        // Turning animations off
+        document.getElementById('motion-btn').addEventListener('click', () => {
+            this.setReducedMotion(!this.renderer.reducedMotion);
+        });
+
         // Close sidebar
         const closeSidebarBtn = document.getElementById('close-sidebar');
         closeSidebarBtn.addEventListener('click', () => this.closeSidebar());
@@ -72,6 +831,131 @@ class DataLineageApp {
         });
     }
 
+    bindSearch() {
+        const input = document.getElementById('graph-search');
+        const list = document.getElementById('search-results');
+        let matches = [];
+        let active = 0;
+
+        const showResults = () => {
+            list.innerHTML = '';
+            matches.forEach((match, i) => {
+                const item = document.createElement('li');
+                item.className = `search-result${i === active ? ' active' : ''}`;
+
+                const label = document.createElement('span');
+                label.textContent = match.label;
+                const detail = document.createElement('small');
+                detail.textContent = match.type === 'column' ? `column of ${match.detail}` : match.detail;
+
+                item.append(label, detail);
+                // mousedown fires before the input loses focus and hides the list
+                item.addEventListener('mousedown', event => {
+                    event.preventDefault();
+                    this.focusSearchMatch(match);
+                });
+                list.appendChild(item);
+            });
+            list.hidden = matches.length === 0;
+        };
+
+        input.addEventListener('input', () => {
+            matches = this.renderer.search(input.value);
+            active = 0;
+            showResults();
+        });
+
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (matches.length === 0) return;
+                active = (active + (e.key === 'ArrowDown' ? 1 : matches.length - 1)) % matches.length;
+                showResults();
+            } else if (e.key === 'Enter' && matches[active]) {
+                this.focusSearchMatch(matches[active]);
+            } else if (e.key === 'Escape') {
+                input.value = '';
+                matches = [];
+                showResults();
+            }
+        });
+
+        input.addEventListener('blur', () => {
+            list.hidden = true;
+        });
+        input.addEventListener('focus', () => {
+            list.hidden = matches.length === 0;
+        });
+    }
+
+    async exportGraph(format) {
+        if (!this.renderer.currentData) return;
+
+        try {
+            const scale = parseInt(document.getElementById('png-scale').value, 10);
+            await this.exporter.export(format, { scale });
+        } catch (error) {
+            console.error(`Error exporting ${format}:`, error);
+            this.showNotification(`Could not export ${format.toUpperCase()}`, 'error');
+        }
+    }
+
+    focusSearchMatch(match) {
+        if (!this.renderer.focusNode(match)) {
+            this.showNotification(`${match.label} is hidden by the current filters`, 'info');
+        }
+    }
+
+    buildFilterPanel() {
+        // One checkbox per value in the graph; unchecking hides the matching nodes or links
+        const options = this.renderer.filterOptions();
+        const labels = {
+            groups: {},
+            tableTypes: { table: 'Tables', view: 'Views', result: 'Query results', cte: 'CTEs', subquery: 'Subqueries', function: 'Table functions' },
+            relationships: { join: 'Joins', cte: 'CTE reads', flow: 'Data flow' }
+        };
+        const sections = [
+            { id: 'filter-groups', kind: 'groups', values: options.groups },
+            { id: 'filter-table-types', kind: 'tableTypes', values: options.tableTypes },
+            { id: 'filter-relationships', kind: 'relationships', values: options.relationships }
+        ];
+
+        sections.forEach(({ id, kind, values }) => {
+            const fieldset = document.getElementById(id);
+            fieldset.querySelectorAll('label').forEach(label => label.remove());
+            fieldset.hidden = values.length === 0;
+
+            values.forEach(value => {
+                const label = document.createElement('label');
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.checked = !this.renderer.filters[kind].has(value);
+                checkbox.addEventListener('change', () => this.renderer.setFilter(kind, value, checkbox.checked));
+
+                label.append(checkbox, ` ${labels[kind][value] || value}`);
+                fieldset.appendChild(label);
+            });
+        });
+
+        // Checked groups are drawn as one aggregate node
+        const collapse = document.getElementById('filter-collapse');
+        const groups = this.renderer.collapseOptions();
+        collapse.querySelectorAll('label').forEach(label => label.remove());
+        collapse.hidden = groups.length === 0;
+
+        groups.forEach(({ key, kind, label: name, count, collapsed }) => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = collapsed;
+            checkbox.dataset.key = key;
+            checkbox.addEventListener('change', () => this.renderer.setCollapsed(key, checkbox.checked));
+
+            label.append(checkbox, ` ${GraphRenderer.COLLAPSE_KINDS[kind]}: ${name} (${count})`);
+            collapse.appendChild(label);
+        });
+    }
+
     loadSampleQuery() {
         const sampleQuery = `-- Customer Analytics Pipeline
 WITH customer_metrics AS (
@@ -122,34 +1006,153 @@ FROM customer_segments cs
 WHERE cs.total_orders > 0
 ORDER BY cs.total_spent DESC;`;
 
-        document.getElementById('sql-query').value = sampleQuery;
+        this.editor.setValue(sampleQuery);
+    }
+
+    setCompareMode(enabled) {
+        this.compareMode = enabled;
+        document.getElementById('compare-btn').setAttribute('aria-pressed', String(enabled));
+        this.beforeEditor.element.hidden = !enabled;
+        document.querySelectorAll('.compare-label').forEach(label => {
+            label.hidden = !enabled;
+        });
+        document.querySelector('#visualize-btn .btn-text').textContent = enabled ? 'Compare' : 'Visualize';
+    }
+
+    handleCompare() {
+        // Only trailing whitespace is trimmed, so diagnostic positions still match the editors
+        const beforeSQL = document.getElementById('sql-before').value.trimEnd();
+        const afterSQL = document.getElementById('sql-query').value.trimEnd();
+
+        if (!beforeSQL || !afterSQL) {
+            this.showNotification('Please enter both the before and after SQL', 'error');
+            return;
+        }
+
+        let before;
+        let after;
+        try {
+            before = this.parser.parseQuery(beforeSQL);
+            after = this.parser.parseQuery(afterSQL);
+        } catch (error) {
+            console.error('Error parsing SQL:', error);
+            this.showNotification('Error parsing SQL query', 'error');
+            return;
+        }
+
+        // Diagnostics of both versions, labelled with the version they came from
+        const label = (version, diagnostics, editor) => diagnostics.map(diagnostic => ({ ...diagnostic, message: `${version}: ${diagnostic.message}`, editor }));
+        const diagnostics = [...label('Before', before.diagnostics, this.beforeEditor), ...label('After', after.diagnostics, this.editor)];
+        const errors = diagnostics.filter(d => d.severity === 'error');
+        this.renderDiagnostics(diagnostics);
+        this.beforeEditor.setDiagnostics(before.diagnostics);
+        this.editor.setDiagnostics(after.diagnostics);
+
+        if (errors.length > 0) {
+            this.showNotification(errors[0].message, 'error');
+            return;
+        }
+
+        const data = LineageDiff.compare(before, after);
+        if (data.tables.length === 0) {
+            this.showNotification('No tables found in the SQL query', 'error');
+            return;
+        }
+        if (!LineageDiff.hasChanges(data.diff)) {
+            this.showNotification('Both versions have the same lineage', 'info');
+        }
+
+        this.visualizedSQL = null;
+        this.showVisualizationPage();
+        setTimeout(() => {
+            this.renderer.render(data, this.viewMode);
+            this.buildFilterPanel();
+            this.renderer.showDiffSummary();
+        }, 300);
     }
 
     handleVisualize() {
-        const sqlQuery = document.getElementById('sql-query').value.trim();
+        if (this.compareMode) {
+            this.handleCompare();
+            return;
+        }
+
+        const sqlQuery = document.getElementById('sql-query').value.trimEnd();
         
         if (!sqlQuery) {
             this.showNotification('Please enter a SQL query', 'error');
             return;
         }
 
+        let data;
         try {
-            // For demonstration, we'll use sample data
-            // In a real implementation, you'd parse the actual query
-            const data = this.parser.generateSampleData();
-            
-            // Show visualization page
-            this.showVisualizationPage();
-            
-            // Render the graph
-            setTimeout(() => {
-                this.renderer.render(data, this.isColumnView);
-            }, 300);
-
+            data = this.parser.parseQuery(sqlQuery);
         } catch (error) {
             console.error('Error parsing SQL:', error);
             this.showNotification('Error parsing SQL query', 'error');
+            return;
+        }
+
+        const errors = data.diagnostics.filter(d => d.severity === 'error');
+        this.renderDiagnostics(data.diagnostics, this.editor);
+        this.editor.setDiagnostics(data.diagnostics);
+
+        if (errors.length > 0 || data.tables.length === 0) {
+            this.showNotification(
+                errors.length > 0 ? errors[0].message : 'No tables found in the SQL query',
+                'error'
+            );
+            return;
         }
+
+        if (data.diagnostics.length > 0) {
+            this.showNotification(`Parsed with ${data.diagnostics.length} warning${data.diagnostics.length === 1 ? '' : 's'}`, 'info');
+        }
+
+        this.visualizedSQL = sqlQuery;
+        this.recordHistory(sqlQuery, data);
+
+        // Show visualization page
+        this.showVisualizationPage();
+
+        // Render the graph
+        setTimeout(() => {
+            this.renderer.render(data, this.viewMode);
+            this.buildFilterPanel();
+        }, 300);
+    }
+
+    renderDiagnostics(diagnostics, editor = null) {
+        // With an editor (or one per diagnostic in compare mode), clicking a diagnostic selects its SQL
+        const container = document.getElementById('diagnostics');
+        container.innerHTML = '';
+
+        diagnostics.forEach(diagnostic => {
+            const item = document.createElement('li');
+            item.className = `diagnostic diagnostic-${diagnostic.severity}`;
+
+            const target = diagnostic.editor || editor;
+            if (target && diagnostic.start !== undefined) {
+                item.classList.add('diagnostic-located');
+                item.addEventListener('click', () => {
+                    target.textarea.focus();
+                    target.reveal(diagnostic);
+                });
+            }
+
+            const code = document.createElement('span');
+            code.className = 'diagnostic-code';
+            code.textContent = diagnostic.code;
+
+            const message = document.createElement('span');
+            message.className = 'diagnostic-message';
+            message.textContent = diagnostic.message;
+
+            item.append(code, message);
+            container.appendChild(item);
+        });
+
+        container.classList.toggle('visible', diagnostics.length > 0);
     }
 
     showLandingPage() {
@@ -162,11 +1165,18 @@ ORDER BY cs.total_spent DESC;`;
         }, 250);
         
         this.closeSidebar();
+        this.updateActiveQueryView();
     }
 
     showVisualizationPage() {
         const landingPage = document.getElementById('landing-page');
         const vizPage = document.getElementById('visualization-page');
+
+        // The source view follows the SQL behind the graph; dbt projects and diffs have no single text
+        this.sourceView.setValue(this.visualizedSQL || '');
+        this.renderer.sourceSQL = this.visualizedSQL;
+        document.getElementById('source-btn').disabled = !this.visualizedSQL;
+        if (!this.visualizedSQL) this.toggleSourcePanel(false);
         
         landingPage.classList.remove('active');
         setTimeout(() => {
@@ -174,21 +1184,23 @@ ORDER BY cs.total_spent DESC;`;
         }, 250);
     }
 
-    toggleView() {
+    setViewMode(mode) {
         const toggle = document.getElementById('view-toggle');
-        const isActive = toggle.classList.contains('active');
-        
-        if (isActive) {
-            toggle.classList.remove('active');
-            this.isColumnView = false;
-        } else {
-            toggle.classList.add('active');
-            this.isColumnView = true;
-        }
+        // Mappings lists the lineage in place of the graph, which keeps its own mode underneath
+        const mappings = mode === 'mappings';
+        const unchanged = mode === this.viewMode;
+        if (!mappings) this.viewMode = mode;
+
+        toggle.querySelectorAll('.view-mode-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.mode === mode);
+            button.setAttribute('aria-pressed', String(button.dataset.mode === mode));
+        });
 
-        // Update the renderer
+        // Update the renderer; coming back from the mappings to the same graph needs no redraw
         if (this.renderer) {
-            this.renderer.toggleView();
+            const leavingMappings = this.renderer.tableView.visible && unchanged;
+            this.toggleTableView(mappings);
+            if (!mappings && !leavingMappings) this.renderer.setViewMode(mode);
         }
 
         // Add satisfying click animation
@@ -211,6 +1223,8 @@ ORDER BY cs.total_spent DESC;`;
             themeBtn.textContent = 'Light Mode';
         }
 
+        this.renderer.themeChanged();
+
         // Animate theme transition
         document.body.style.transition = 'all 0.3s ease';
         setTimeout(() => {
@@ -221,16 +1235,20 @@ ORDER BY cs.total_spent DESC;`;
     closeSidebar() {
         const sidebar = document.getElementById('metadata-sidebar');
         sidebar.classList.remove('open');
+        this.renderer.clearImpact();
     }
 
     showNotification(message, type = 'info') {
-        // Create notification element
+        // Create notification element. Messages quote SQL, identifiers and query names, so they are set as text, never markup.
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
-        notification.innerHTML = `
-            <span>${message}</span>
-            <button onclick="this.parentElement.remove()">×</button>
-        `;
+        const text = document.createElement('span');
+        text.textContent = message;
+        const close = document.createElement('button');
+        close.textContent = '×';
+        close.setAttribute('aria-label', 'Dismiss');
+        close.addEventListener('click', () => notification.remove());
+        notification.append(text, close);
 
         // Add styles
         notification.style.cssText = `
@@ -351,6 +1369,10 @@ document.addEventListener('DOMContentLoaded', () => {
     
     Commands:
     - Ctrl+Enter: Visualize query
+    - Click a node: Trace its upstream / downstream impact
+    - SQL button: Link graph nodes and the SQL they came from
+    - Tab to the graph, then arrows: Follow edges (right downstream, left upstream, up/down siblings)
+    - Enter: Show the focused node's details
     - Escape: Close sidebar
     - Double-click: Reset zoom
     
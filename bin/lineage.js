@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+// lineage [options] <file|directory>...
+// Parses SQL files (directories are searched recursively for *.sql) as one script and prints the
+// lineage graph. Exits 1 when the SQL has parse errors and 2 on usage or I/O errors.
+const fs = require('fs');
+const path = require('path');
+const { SQLDialect, extractLineage, formatLineage, loadCatalog } = require('../lineage.js');
+
+const USAGE = `Usage: lineage [options] <file|directory>...
+
+Options:
+  -f, --format <json|dot|mermaid>  Output format (default: json)
+  -d, --dialect <name>             SQL dialect: ${SQLDialect.all().map(dialect => dialect.name).join(', ')}
+  -c, --columns                    Column-level graph for dot and mermaid output
+      --catalog <file>             Schema catalog (information_schema CSV/JSON, dbt catalog.json or DDL)
+      --default-catalog <name>     Catalog for unqualified table names
+      --default-schema <name>      Schema for unqualified table names
+  -h, --help                       Show this help`;
+
+function parseArgs(argv) {
+    const options = { format: 'json', dialect: 'generic', columns: false, paths: [] };
+    const valueOf = (i, flag) => {
+        if (i >= argv.length) throw new Error(`${flag} expects a value`);
+        return argv[i];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        switch (arg) {
+            case '-f':
+            case '--format':
+                options.format = valueOf(++i, arg);
+                break;
+            case '-d':
+            case '--dialect':
+                options.dialect = valueOf(++i, arg);
+                if (!SQLDialect.registry.has(options.dialect)) throw new Error(`Unknown dialect "${options.dialect}"`);
+                break;
+            case '-c':
+            case '--columns':
+                options.columns = true;
+                break;
+            case '--catalog':
+                options.catalog = valueOf(++i, arg);
+                break;
+            case '--default-catalog':
+                options.defaultCatalog = valueOf(++i, arg);
+                break;
+            case '--default-schema':
+                options.defaultSchema = valueOf(++i, arg);
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+                options.paths.push(arg);
+        }
+    }
+
+    if (!['json', 'dot', 'mermaid'].includes(options.format)) {
+        throw new Error(`Unknown format "${options.format}" (expected json, dot or mermaid)`);
+    }
+
+    return options;
+}
+
+function collectFiles(target) {
+    if (!fs.statSync(target).isDirectory()) return [target];
+
+    return fs.readdirSync(target, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .flatMap(entry => {
+            const child = path.join(target, entry.name);
+            if (entry.isDirectory()) return collectFiles(child);
+            return /\.sql$/i.test(entry.name) ? [child] : [];
+        });
+}
+
+function buildScript(files) {
+    // Files are parsed together so a table written in one file feeds the files that read it, but each
+    // is its own segment so a broken file can't take the others down; segments also map script offsets
+    // back to file positions for error messages
+    let sql = '';
+    let line = 1;
+    const segments = [];
+
+    files.forEach(file => {
+        const text = fs.readFileSync(file, 'utf8');
+        const start = sql.length;
+        sql += `${text}\n;\n`;
+        segments.push({ file, start, end: sql.length, line });
+        line += text.split('\n').length + 1;
+    });
+
+    return { sql, segments };
+}
+
+function describe(diagnostic, segments) {
+    if (diagnostic.start === undefined || segments.length === 0) {
+        return `${diagnostic.severity} ${diagnostic.code}: ${diagnostic.message}`;
+    }
+
+    // Parser messages quote positions in the combined script; report them per file instead
+    const segment = segments.filter(candidate => candidate.start <= diagnostic.start).pop() || segments[0];
+    const position = diagnostic.line !== undefined ? `:${diagnostic.line - segment.line + 1}:${diagnostic.column}` : '';
+    const message = diagnostic.message.replace(/ \(line \d+, column \d+\)$/, '');
+    return `${segment.file}${position}: ${diagnostic.severity} ${diagnostic.code}: ${message}`;
+}
+
+function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`lineage: ${error.message}\n\n${USAGE}\n`);
+        return 2;
+    }
+
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    if (options.paths.length === 0) {
+        process.stderr.write(`${USAGE}\n`);
+        return 2;
+    }
+
+    let script;
+    let catalog = null;
+    try {
+        script = buildScript(options.paths.flatMap(collectFiles));
+        if (options.catalog) catalog = loadCatalog(fs.readFileSync(options.catalog, 'utf8'), options.catalog);
+    } catch (error) {
+        process.stderr.write(`lineage: ${error.message}\n`);
+        return 2;
+    }
+
+    const data = extractLineage(script.sql, {
+        dialect: options.dialect,
+        defaultCatalog: options.defaultCatalog,
+        defaultSchema: options.defaultSchema,
+        catalog,
+        segments: script.segments
+    });
+
+    data.diagnostics.forEach(diagnostic => process.stderr.write(`${describe(diagnostic, script.segments)}\n`));
+    process.stdout.write(`${formatLineage(data, options.format, { columns: options.columns })}\n`);
+
+    return data.diagnostics.some(diagnostic => diagnostic.severity === 'error') ? 1 : 0;
+}
+
+process.exitCode = main(process.argv.slice(2));
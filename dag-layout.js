@@ -0,0 +1,266 @@
+class LayeredLayout {
+    // Sugiyama-style layout: cycle removal, longest-path layering, dummy nodes for long edges,
+    // barycenter crossing reduction and a compacting y assignment. Ranks run left to right.
+    constructor(options = {}) {
+        this.options = {
+            rankSep: 120,      // horizontal gap between layers
+            nodeSep: 24,       // vertical gap between nodes in a layer
+            iterations: 8,     // crossing-reduction sweeps
+            ...options
+        };
+    }
+
+    run(nodes, links, sizeOf = () => ({ width: 120, height: 50 })) {
+        // nodes: [{ id }], links: [{ source, target }] by id. Returns Map id -> { x, y, rank }
+        const ids = nodes.map(node => node.id);
+        const sizes = new Map(nodes.map(node => [node.id, sizeOf(node)]));
+        const edges = this.acyclicEdges(ids, links);
+        const ranks = this.assignRanks(ids, edges);
+        const { layers, graph } = this.buildLayers(ids, edges, ranks);
+
+        this.reduceCrossings(layers, graph);
+        return this.assignCoordinates(layers, graph, sizes);
+    }
+
+    acyclicEdges(ids, links) {
+        // Recursive CTEs and self-updates create cycles; reverse the back edges a DFS finds
+        const known = new Set(ids);
+        const outgoing = new Map(ids.map(id => [id, []]));
+        const seen = new Set();
+
+        links.forEach(link => {
+            const source = typeof link.source === 'object' ? link.source.id : link.source;
+            const target = typeof link.target === 'object' ? link.target.id : link.target;
+            const key = `${source}->${target}`;
+            if (source === target || !known.has(source) || !known.has(target) || seen.has(key)) return;
+            seen.add(key);
+            outgoing.get(source).push(target);
+        });
+
+        const state = new Map();
+        const edges = [];
+        const visit = id => {
+            state.set(id, 'active');
+            outgoing.get(id).forEach(target => {
+                if (state.get(target) === 'active') {
+                    edges.push([target, id]);
+                } else {
+                    edges.push([id, target]);
+                    if (!state.has(target)) visit(target);
+                }
+            });
+            state.set(id, 'done');
+        };
+        ids.forEach(id => {
+            if (!state.has(id)) visit(id);
+        });
+
+        return edges;
+    }
+
+    assignRanks(ids, edges) {
+        // Longest path from the sources, so every edge points strictly to the right
+        const outgoing = new Map(ids.map(id => [id, []]));
+        const pending = new Map(ids.map(id => [id, 0]));
+        edges.forEach(([source, target]) => {
+            outgoing.get(source).push(target);
+            pending.set(target, pending.get(target) + 1);
+        });
+
+        const ranks = new Map(ids.map(id => [id, 0]));
+        const queue = ids.filter(id => pending.get(id) === 0);
+        while (queue.length > 0) {
+            const id = queue.shift();
+            outgoing.get(id).forEach(target => {
+                ranks.set(target, Math.max(ranks.get(target), ranks.get(id) + 1));
+                pending.set(target, pending.get(target) - 1);
+                if (pending.get(target) === 0) queue.push(target);
+            });
+        }
+
+        return ranks;
+    }
+
+    buildLayers(ids, edges, ranks) {
+        // Edges spanning several ranks are split with dummy nodes so every edge joins adjacent layers
+        const graph = new Map(ids.map(id => [id, { id, rank: ranks.get(id), dummy: false, up: [], down: [] }]));
+        let dummyCount = 0;
+
+        edges.forEach(([source, target]) => {
+            let previous = source;
+            for (let rank = ranks.get(source) + 1; rank < ranks.get(target); rank++) {
+                const dummy = `__dummy_${dummyCount++}`;
+                graph.set(dummy, { id: dummy, rank, dummy: true, up: [], down: [] });
+                graph.get(previous).down.push(dummy);
+                graph.get(dummy).up.push(previous);
+                previous = dummy;
+            }
+            graph.get(previous).down.push(target);
+            graph.get(target).up.push(previous);
+        });
+
+        const layers = [];
+        graph.forEach(node => {
+            (layers[node.rank] = layers[node.rank] || []).push(node.id);
+        });
+
+        return { layers: Array.from(layers, layer => layer || []), graph };
+    }
+
+    reduceCrossings(layers, graph) {
+        const position = new Map();
+        layers.forEach(layer => layer.forEach((id, i) => position.set(id, i)));
+
+        let best = layers.map(layer => layer.slice());
+        let bestCrossings = this.countCrossings(layers, graph, position);
+
+        // Every sweep sorts each layer and recounts; large graphs get fewer sweeps so the layout stays interactive
+        const size = Array.from(graph.values()).reduce((sum, node) => sum + 1 + node.down.length, 0);
+        const iterations = Math.min(this.options.iterations, Math.max(1, Math.floor(LayeredLayout.SWEEP_BUDGET / size)));
+
+        for (let i = 0; i < iterations && bestCrossings > 0; i++) {
+            // Alternate downward and upward sweeps, ordering each layer by its neighbours' barycenter
+            const downward = i % 2 === 0;
+            const order = downward ? layers.map((layer, r) => r).slice(1) : layers.map((layer, r) => r).slice(0, -1).reverse();
+
+            order.forEach(r => {
+                const barycenters = new Map(layers[r].map(id => {
+                    const neighbours = downward ? graph.get(id).up : graph.get(id).down;
+                    const value = neighbours.length > 0
+                        ? neighbours.reduce((sum, other) => sum + position.get(other), 0) / neighbours.length
+                        : position.get(id);
+                    return [id, value];
+                }));
+
+                // Stable sort keeps ties in their current order, which keeps the result deterministic
+                layers[r] = layers[r]
+                    .map((id, k) => ({ id, k }))
+                    .sort((a, b) => barycenters.get(a.id) - barycenters.get(b.id) || a.k - b.k)
+                    .map(entry => entry.id);
+                layers[r].forEach((id, k) => position.set(id, k));
+            });
+
+            const crossings = this.countCrossings(layers, graph, position);
+            if (crossings < bestCrossings) {
+                bestCrossings = crossings;
+                best = layers.map(layer => layer.slice());
+            }
+        }
+
+        best.forEach((layer, r) => {
+            layers[r] = layer;
+        });
+    }
+
+    countCrossings(layers, graph, position) {
+        // Barth, Jünger and Mutzel's accumulator tree: with the edges between two layers sorted by their
+        // upper end, the crossings are the inversions in the order of their lower ends, counted in
+        // O(E log V) per layer pair instead of comparing every pair of edges
+        let crossings = 0;
+
+        layers.forEach((layer, r) => {
+            const below = layers[r + 1] || [];
+            const ends = layer.flatMap(id => graph.get(id).down.map(target => position.get(target)).sort((a, b) => a - b));
+
+            let first = 1;
+            while (first < below.length) first *= 2;
+            const tree = new Array(2 * first - 1).fill(0);
+            first -= 1;
+
+            ends.forEach(end => {
+                // Walk up from the end's leaf, adding the edges already placed further right
+                let index = end + first;
+                tree[index]++;
+                while (index > 0) {
+                    if (index % 2 === 1) crossings += tree[index + 1];
+                    index = Math.floor((index - 1) / 2);
+                    tree[index]++;
+                }
+            });
+        });
+
+        return crossings;
+    }
+
+    assignCoordinates(layers, graph, sizes) {
+        const { rankSep, nodeSep } = this.options;
+        const sizeOf = id => sizes.get(id) || { width: 0, height: 0 };
+        const y = new Map();
+
+        // Initial stacking, then a few passes pulling nodes toward their neighbours' average
+        // while preserving order and spacing within the layer
+        layers.forEach(layer => {
+            let cursor = 0;
+            layer.forEach(id => {
+                const height = sizeOf(id).height;
+                y.set(id, cursor + height / 2);
+                cursor += height + nodeSep;
+            });
+        });
+
+        for (let pass = 0; pass < 4; pass++) {
+            const downward = pass % 2 === 0;
+            const order = downward ? layers : layers.slice().reverse();
+
+            order.forEach(layer => {
+                const desired = layer.map(id => {
+                    const node = graph.get(id);
+                    const neighbours = [...node.up, ...node.down];
+                    return neighbours.length > 0
+                        ? neighbours.reduce((sum, other) => sum + y.get(other), 0) / neighbours.length
+                        : y.get(id);
+                });
+
+                // Push overlapping nodes apart: top-down, then bottom-up, then average the two
+                const forward = [];
+                layer.forEach((id, i) => {
+                    const min = i > 0 ? forward[i - 1] + (sizeOf(layer[i - 1]).height + sizeOf(id).height) / 2 + nodeSep : -Infinity;
+                    forward.push(Math.max(desired[i], min));
+                });
+                const backward = [];
+                for (let i = layer.length - 1; i >= 0; i--) {
+                    const next = layer[i + 1];
+                    const max = next !== undefined ? backward[i + 1] - (sizeOf(next).height + sizeOf(layer[i]).height) / 2 - nodeSep : Infinity;
+                    backward[i] = Math.min(desired[i], max);
+                }
+                const merged = [];
+                layer.forEach((id, i) => {
+                    const min = i > 0 ? merged[i - 1] + (sizeOf(layer[i - 1]).height + sizeOf(id).height) / 2 + nodeSep : -Infinity;
+                    merged.push(Math.max((forward[i] + backward[i]) / 2, min));
+                });
+                layer.forEach((id, i) => y.set(id, merged[i]));
+            });
+        }
+
+        // Layers are as wide as their widest node
+        const positions = new Map();
+        let x = 0;
+        layers.forEach((layer, rank) => {
+            const width = layer.reduce((max, id) => Math.max(max, sizeOf(id).width), 0);
+            layer.forEach(id => {
+                if (!graph.get(id).dummy) positions.set(id, { x: x + width / 2, y: y.get(id), rank });
+            });
+            x += width + rankSep;
+        });
+
+        // Centre the drawing on the origin
+        const values = Array.from(positions.values());
+        if (values.length > 0) {
+            const cx = (Math.min(...values.map(p => p.x)) + Math.max(...values.map(p => p.x))) / 2;
+            const cy = (Math.min(...values.map(p => p.y)) + Math.max(...values.map(p => p.y))) / 2;
+            values.forEach(p => {
+                p.x -= cx;
+                p.y -= cy;
+            });
+        }
+
+        return positions;
+    }
+}
+
+// Node-plus-edge count, in the dummy-expanded graph, up to which every configured sweep runs
+LayeredLayout.SWEEP_BUDGET = 20000;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LayeredLayout };
+}
@@ -0,0 +1,238 @@
+class DbtProject {
+    constructor() {
+        // unique_id -> { uniqueId, name, resourceType, relation, group, path, sql, rawSql, dependsOn }
+        this.models = new Map();
+        // unique_id -> { uniqueId, name, resourceType, relation, group } for sources and seeds
+        this.sources = new Map();
+        // Problems found while loading, reported with the parser's diagnostics
+        this.diagnostics = [];
+    }
+
+    get size() {
+        return this.models.size;
+    }
+
+    loadManifest(manifest) {
+        // manifest.json from `dbt compile` / `dbt run`; compiled SQL is preferred when present
+        Object.values(manifest.sources || {}).forEach(source => {
+            this.sources.set(source.unique_id, {
+                uniqueId: source.unique_id,
+                name: `${source.source_name}.${source.name}`,
+                resourceType: 'source',
+                relation: this.relationName(source.database, source.schema, source.identifier || source.name),
+                group: 'sources'
+            });
+        });
+
+        Object.values(manifest.nodes || {})
+            .filter(node => node.resource_type === 'seed')
+            .forEach(seed => {
+                this.sources.set(seed.unique_id, {
+                    uniqueId: seed.unique_id,
+                    name: seed.name,
+                    resourceType: 'seed',
+                    relation: this.relationName(seed.database, seed.schema, seed.alias || seed.name),
+                    group: 'seeds'
+                });
+            });
+
+        Object.values(manifest.nodes || {})
+            .filter(node => DbtProject.MODEL_TYPES.has(node.resource_type))
+            .forEach(node => {
+                this.models.set(node.unique_id, {
+                    uniqueId: node.unique_id,
+                    name: node.name,
+                    resourceType: node.resource_type,
+                    relation: this.relationName(node.database, node.schema, node.alias || node.name),
+                    group: this.layerOf(node.original_file_path || node.path || ''),
+                    path: node.original_file_path || node.path || null,
+                    materialized: (node.config && node.config.materialized) || null,
+                    sql: node.compiled_code || node.compiled_sql || null,
+                    rawSql: node.raw_code || node.raw_sql || '',
+                    dependsOn: (node.depends_on && node.depends_on.nodes) || []
+                });
+            });
+
+        return this.models.size;
+    }
+
+    loadModelFiles(files) {
+        // A models/ folder: [{ path, text }]; relations are named after the model files
+        files
+            .filter(file => /\.sql$/i.test(file.path))
+            .forEach(file => {
+                const name = file.path.split('/').pop().replace(/\.sql$/i, '');
+                const uniqueId = `model.${name}`;
+
+                // ref() names models by file name alone, so dbt rejects two models with the same name
+                const existing = this.models.get(uniqueId);
+                if (existing) {
+                    this.diagnostics.push({
+                        severity: 'error',
+                        code: 'DUPLICATE_MODEL',
+                        message: `Models ${existing.path} and ${file.path} are both named "${name}"; only the first is used`
+                    });
+                    return;
+                }
+
+                this.models.set(uniqueId, {
+                    uniqueId,
+                    name,
+                    resourceType: 'model',
+                    relation: name,
+                    group: this.layerOf(file.path),
+                    path: file.path,
+                    materialized: null,
+                    sql: null,
+                    rawSql: file.text,
+                    dependsOn: DbtProject.findRefs(file.text).map(ref => `model.${ref}`)
+                });
+            });
+
+        return this.models.size;
+    }
+
+    relationName(...parts) {
+        return parts.filter(Boolean).join('.');
+    }
+
+    quoteRelation(relation, dialect) {
+        // Relation parts may need quoting, like BigQuery project ids with hyphens
+        return relation.split('.').map(part => dialect.quoteIdentifier(part)).join('.');
+    }
+
+    layerOf(path) {
+        // The first folder under models/ is the layer (staging, intermediate, marts, ...)
+        const folders = path.split('/').slice(0, -1);
+        const modelsIndex = folders.lastIndexOf('models');
+        const layer = modelsIndex >= 0 ? folders[modelsIndex + 1] : folders[folders.length - 1];
+        return layer || 'default';
+    }
+
+    modelSQL(model, dialect) {
+        if (model.sql) return model.sql;
+
+        return DbtProject.renderJinja(model.rawSql, {
+            ref: name => {
+                const target = Array.from(this.models.values()).find(other => other.name === name);
+                return target ? this.quoteRelation(target.relation, dialect) : name;
+            },
+            source: (sourceName, tableName) => {
+                // Without a manifest, sources are only known from the models that read them
+                const name = `${sourceName}.${tableName}`;
+                const uniqueId = `source.${name}`;
+                if (!Array.from(this.sources.values()).some(source => source.name === name)) {
+                    this.sources.set(uniqueId, { uniqueId, name, resourceType: 'source', relation: name, group: 'sources' });
+                }
+                return this.quoteRelation(Array.from(this.sources.values()).find(source => source.name === name).relation, dialect);
+            },
+            self: () => this.quoteRelation(model.relation, dialect)
+        });
+    }
+
+    orderedModels() {
+        // Upstream models first, so SELECT * from a ref() expands to the columns it produces
+        const ordered = [];
+        const visited = new Set();
+
+        const visit = model => {
+            if (visited.has(model.uniqueId)) return;
+            visited.add(model.uniqueId);
+            model.dependsOn.forEach(id => {
+                if (this.models.has(id)) visit(this.models.get(id));
+            });
+            ordered.push(model);
+        };
+
+        this.models.forEach(visit);
+        return ordered;
+    }
+
+    toScript(dialect = SQLDialect.get('generic')) {
+        // One CREATE VIEW per model. Each is a segment of the script, parsed on its own so a broken model
+        // doesn't take the others down; segments[i] is the SQL of models[i].
+        const models = [];
+        const segments = [];
+        const diagnostics = [...this.diagnostics];
+        let sql = '';
+
+        this.orderedModels().forEach(model => {
+            // Without compiled SQL, conditionals and loops can't be rendered faithfully, so the model is left out
+            if (!model.sql && DbtProject.CONTROL_TAG.test(model.rawSql)) {
+                diagnostics.push({
+                    severity: 'warning',
+                    code: 'UNRENDERED_MODEL',
+                    message: `Model ${model.path || model.name} uses {% if %} or {% for %}; load a compiled manifest.json to include it`
+                });
+                return;
+            }
+
+            const statement = `CREATE VIEW ${this.quoteRelation(model.relation, dialect)} AS\n${this.modelSQL(model, dialect).trim().replace(/;+\s*$/, '')};`;
+            if (sql) sql += '\n\n';
+            segments.push({ start: sql.length, end: sql.length + statement.length });
+            models.push(model);
+            sql += statement;
+        });
+
+        return { sql, models, segments, diagnostics };
+    }
+
+    buildLineage(parser) {
+        const { sql, models, segments, diagnostics } = this.toScript(parser.dialect);
+        const data = parser.parseQuery(sql, { segments });
+        data.diagnostics = [...diagnostics, ...data.diagnostics];
+
+        // Key relations the way the parser does, so default catalog/schema settings still match
+        const relations = new Map();
+        const key = relation => parser.qualifyName(relation.split('.')).id.toLowerCase();
+        this.sources.forEach(source => relations.set(key(source.relation), source));
+        models.forEach(model => relations.set(key(model.relation), model));
+
+        // Group each node by the dbt folder of the model it is, or the model whose SQL produced it
+        data.tables.forEach(table => {
+            const owner = relations.get(table.id.toLowerCase());
+
+            if (owner) {
+                table.group = owner.group;
+                table.dbt = { uniqueId: owner.uniqueId, name: owner.name, resourceType: owner.resourceType, path: owner.path || null };
+            } else if (table.type !== 'table' && table.type !== 'view' && models[table.segment]) {
+                table.group = models[table.segment].group;
+            }
+        });
+
+        data.sql = sql;
+        return data;
+    }
+
+    static findRefs(sql) {
+        return Array.from(sql.matchAll(DbtProject.REF_PATTERN))
+            .map(match => match[1]);
+    }
+
+    static renderJinja(sql, { ref, source, self }) {
+        // Just enough Jinja to recover the relations a model reads; other expressions become NULL
+        return sql
+            .replace(/\{#[\s\S]*?#\}/g, '')
+            .replace(/\{%[\s\S]*?%\}/g, '')
+            .replace(/\{\{\s*config\([\s\S]*?\)\s*\}\}/g, '')
+            .replace(DbtProject.REF_PATTERN, (match, name) => ref(name))
+            .replace(DbtProject.SOURCE_PATTERN, (match, sourceName, tableName) => source(sourceName, tableName))
+            .replace(/\{\{\s*this\s*\}\}/g, () => self())
+            .replace(/\{\{[\s\S]*?\}\}/g, 'NULL');
+    }
+}
+
+DbtProject.MODEL_TYPES = new Set(['model', 'snapshot']);
+
+// Jinja tags that decide which SQL a model emits
+DbtProject.CONTROL_TAG = /\{%-?\s*(?:if|elif|else|for)\b/;
+
+// {{ ref('model') }} or {{ ref('package', 'model') }}, optionally with version arguments
+DbtProject.REF_PATTERN = /\{\{\s*ref\(\s*(?:['"][^'"]*['"]\s*,\s*)?['"]([^'"]+)['"]\s*(?:,[^)]*)?\)\s*\}\}/g;
+
+// {{ source('source_name', 'table_name') }}
+DbtProject.SOURCE_PATTERN = /\{\{\s*source\(\s*['"]([^'"]+)['"]\s*,\s*['"]([^'"]+)['"]\s*\)\s*\}\}/g;
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DbtProject };
+}
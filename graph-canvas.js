@@ -0,0 +1,498 @@
+class GraphCanvas {
+    // Paints a GraphRenderer's graph on a <canvas> when it is too large for one SVG element per node.
+    // Only what lies in the viewport is drawn, labels, arrowheads and card rows appear once zoomed in
+    // far enough to read them, and repaints are batched into animation frames. The renderer keeps the
+    // data, layout, zoom and interaction logic; this class paints, and hit-tests the pointer against
+    // the drawing so hover and click reach the renderer exactly as they do from SVG nodes.
+    constructor(renderer) {
+        this.renderer = renderer;
+        this.nodes = [];
+        this.links = [];
+        this.index = null;
+        // Largest half width / height of a node, for culling and hit-testing around a point
+        this.reach = { x: 0, y: 0 };
+        this.transform = d3.zoomTransform(renderer.svg.node());
+        this.frame = null;
+
+        // Visual state the SVG drawing keeps in CSS classes
+        this.hover = null;
+        this.match = null;
+        this.impact = null;
+        this.hovered = null;
+        // The node keyboard focus is on, ringed like an SVG node's focus outline
+        this.focus = null;
+
+        // The canvas sits over the SVG without taking pointer events, so zoom and pan stay on the SVG
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'graph-canvas';
+        this.canvas.setAttribute('aria-hidden', 'true');
+        const svg = renderer.svg.node();
+        svg.parentNode.insertBefore(this.canvas, svg.nextSibling);
+        this.context = this.canvas.getContext('2d');
+
+        renderer.svg
+            .on('mousemove.canvas', event => this.pointerMoved(event))
+            .on('mouseleave.canvas', () => this.pointerMoved(null))
+            .on('click.canvas', event => this.clicked(event))
+            .on('dblclick.canvas', event => this.doubleClicked(event));
+
+        this.resize();
+    }
+
+    destroy() {
+        if (this.frame) cancelAnimationFrame(this.frame);
+        this.renderer.svg
+            .on('mousemove.canvas', null)
+            .on('mouseleave.canvas', null)
+            .on('click.canvas', null)
+            .on('dblclick.canvas', null)
+            .style('cursor', null);
+        this.canvas.remove();
+    }
+
+    setData(nodes, links) {
+        this.nodes = nodes;
+        this.links = links;
+        this.hover = null;
+        this.match = null;
+        this.hovered = null;
+        this.index = d3.quadtree(nodes, d => d.x, d => d.y);
+        this.reach = {
+            x: d3.max(nodes, d => this.renderer.getNodeWidth(d) / 2) || 0,
+            y: d3.max(nodes, d => this.renderer.getNodeHeight(d) / 2) || 0
+        };
+        this.requestDraw();
+    }
+
+    resize() {
+        const { width, height } = this.renderer;
+        this.ratio = window.devicePixelRatio || 1;
+        this.canvas.width = Math.round(width * this.ratio);
+        this.canvas.height = Math.round(height * this.ratio);
+        this.canvas.style.width = `${width}px`;
+        this.canvas.style.height = `${height}px`;
+        this.requestDraw();
+    }
+
+    setTransform(transform) {
+        this.transform = transform;
+        this.requestDraw();
+    }
+
+    setHover(node) {
+        // The hovered node, its links and the nodes at their other ends
+        if (node) {
+            const links = new Set(this.links.filter(link => link.source.id === node.id || link.target.id === node.id));
+            const ids = new Set([node.id]);
+            links.forEach(link => {
+                ids.add(link.source.id);
+                ids.add(link.target.id);
+            });
+            this.hover = { ids, links };
+        } else {
+            this.hover = null;
+        }
+        this.requestDraw();
+    }
+
+    setMatch(node, id) {
+        this.match = node ? { node, id } : null;
+        this.requestDraw();
+    }
+
+    setFocus(node) {
+        this.focus = node;
+        this.requestDraw();
+    }
+
+    setImpact(impact) {
+        // { nodeRole(node), rowRole(id), linkOnPath(link), hide } from GraphRenderer.applyImpact, or null
+        this.impact = impact;
+        this.requestDraw();
+    }
+
+    requestDraw() {
+        if (this.frame || !this.context) return;
+        this.frame = requestAnimationFrame(() => {
+            this.frame = null;
+            this.draw();
+        });
+    }
+
+    draw() {
+        const { width, height } = this.renderer;
+        const context = this.context;
+        context.setTransform(1, 0, 0, 1, 0, 0);
+        context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.paint(context, this.transform, this.ratio, width, height);
+        if (this.focus) this.drawFocus(context, this.focus);
+    }
+
+    drawFocus(context, node) {
+        // Drawn on the live canvas only, so exported images don't show it
+        const { k, x, y } = this.transform;
+        const width = this.renderer.getNodeWidth(node) * k + 8;
+        const height = this.renderer.getNodeHeight(node) * k + 8;
+
+        context.save();
+        context.setTransform(this.ratio, 0, 0, this.ratio, 0, 0);
+        context.strokeStyle = this.colors().blue;
+        context.lineWidth = 2;
+        this.roundedRect(context, node.x * k + x - width / 2, node.y * k + y - height / 2, width, height, 10);
+        context.stroke();
+        context.restore();
+    }
+
+    snapshot({ x, y, width, height }, scale) {
+        // The whole graph at a fixed scale and full detail, for PNG export
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(width * scale);
+        canvas.height = Math.round(height * scale);
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = this.colors().background;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        this.paint(context, d3.zoomIdentity.scale(scale).translate(-x, -y), 1, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    paint(context, transform, ratio, width, height) {
+        const colors = this.colors();
+        const detail = transform.k >= GraphCanvas.DETAIL_SCALE;
+
+        // Visible area in graph coordinates, widened so nodes straddling the edge are kept
+        const [left, top] = transform.invert([0, 0]);
+        const [right, bottom] = transform.invert([width / ratio, height / ratio]);
+        const view = { left: left - this.reach.x, top: top - this.reach.y, right: right + this.reach.x, bottom: bottom + this.reach.y };
+        const inView = (x0, y0, x1, y1) => x1 >= view.left && x0 <= view.right && y1 >= view.top && y0 <= view.bottom;
+
+        context.save();
+        context.setTransform(ratio * transform.k, 0, 0, ratio * transform.k, ratio * transform.x, ratio * transform.y);
+
+        this.links.forEach(link => {
+            const { source, target } = link;
+            if (!inView(Math.min(source.x, target.x), Math.min(source.y, target.y), Math.max(source.x, target.x), Math.max(source.y, target.y))) return;
+
+            const style = this.linkStyle(link, colors);
+            if (style) this.drawLink(context, link, style, detail);
+        });
+
+        this.nodes.forEach(node => {
+            if (!inView(node.x, node.y, node.x, node.y)) return;
+
+            const style = this.nodeStyle(node, colors);
+            if (style) this.drawNode(context, node, style, colors, detail);
+        });
+
+        context.restore();
+    }
+
+    colors() {
+        // Theme colours come from the stylesheet's custom properties, so a theme switch only needs a repaint
+        const computed = getComputedStyle(document.documentElement);
+        const value = name => computed.getPropertyValue(name).trim();
+        return {
+            background: value('--bg-primary'),
+            secondary: value('--bg-secondary'),
+            tertiary: value('--bg-tertiary'),
+            text: value('--text-primary'),
+            muted: value('--text-secondary'),
+            border: value('--border-color'),
+            blue: value('--accent-blue'),
+            green: value('--accent-green'),
+            purple: value('--accent-purple'),
+            orange: value('--accent-orange'),
+            removed: '#ef4444',
+            changed: '#f59e0b'
+        };
+    }
+
+    linkStyle(link, colors) {
+        // Mirrors the .link rules in style.css
+        const impact = this.impact;
+        const onPath = !impact || impact.linkOnPath(link);
+        if (!onPath && impact.hide) return null;
+
+        const style = { color: colors.blue, width: 2, alpha: 0.7, dash: GraphCanvas.DASHES[link.transformation] || [] };
+        if (link.diff === 'added') style.color = colors.green;
+        if (link.diff === 'removed') Object.assign(style, { color: colors.removed, dash: [6, 4] });
+        if (link.diff === 'changed') style.color = colors.changed;
+
+        if (this.hover) {
+            if (this.hover.links.has(link)) {
+                Object.assign(style, { color: colors.green, width: 3, alpha: 1 });
+            } else {
+                style.alpha = 0.2;
+            }
+        }
+        if (!onPath) style.alpha *= 0.15;
+        return style;
+    }
+
+    nodeStyle(node, colors) {
+        // Mirrors the .node-table / .node-column rules and the hover, search, diff and impact classes
+        const role = this.impact ? this.impact.nodeRole(node) : null;
+        if (this.impact && this.impact.hide && !role) return null;
+
+        const column = node.type === 'column';
+        const style = {
+            fill: column ? colors.tertiary : colors.secondary,
+            stroke: column ? colors.green : colors.blue,
+            width: column ? 1 : 2,
+            alpha: 1,
+            fillAlpha: 1,
+            dash: node.tableType === 'cte' || node.tableType === 'subquery' ? [6, 3] : []
+        };
+
+        if (node.aggregate) style.width = 3;
+        if (node.warnings.length > 0) style.stroke = colors.orange;
+        if (node.diff === 'added') Object.assign(style, { stroke: colors.green, width: 3 });
+        if (node.diff === 'removed') Object.assign(style, { stroke: colors.removed, dash: [6, 4], fillAlpha: 0.5 });
+        if (node.diff === 'changed') Object.assign(style, { stroke: colors.changed, width: 3 });
+
+        if (this.hover && this.hover.ids.has(node.id)) {
+            Object.assign(style, column
+                ? { fill: colors.green, stroke: colors.blue, width: 2 }
+                : { fill: colors.blue, stroke: colors.green, width: 3 });
+        }
+        if (this.match && this.match.node === node) Object.assign(style, { stroke: colors.green, width: 3 });
+
+        if (role === 'origin') Object.assign(style, { stroke: colors.green, width: 3 });
+        if (role === 'upstream') Object.assign(style, { stroke: colors.purple, fill: colors.secondary });
+        if (role === 'downstream') Object.assign(style, { stroke: colors.orange, fill: colors.secondary });
+        if (this.impact && !role) style.alpha = 0.15;
+        return style;
+    }
+
+    drawLink(context, link, style, detail) {
+        context.globalAlpha = style.alpha;
+        context.strokeStyle = style.color;
+        context.lineWidth = style.width;
+        context.setLineDash(detail ? style.dash : []);
+
+        // Far out, straight lines between centres are cheaper and look the same
+        if (detail) {
+            context.stroke(new Path2D(this.renderer.linkPath(link)));
+            this.drawArrowhead(context, link, style);
+        } else {
+            context.beginPath();
+            context.moveTo(link.source.x, link.source.y);
+            context.lineTo(link.target.x, link.target.y);
+            context.stroke();
+        }
+    }
+
+    drawArrowhead(context, link, style) {
+        // Where the path ends, pointing along its last segment
+        const path = this.renderer.linkPath(link);
+        const numbers = path.match(/-?[\d.]+(e-?\d+)?/g).map(Number);
+        const [x, y] = numbers.slice(-2);
+        const [px, py] = path.includes('C') ? numbers.slice(-4, -2) : [link.source.x, link.source.y];
+        const angle = Math.atan2(y - py, x - px);
+
+        context.save();
+        context.setLineDash([]);
+        context.translate(x, y);
+        context.rotate(angle);
+        context.fillStyle = style.color;
+        context.beginPath();
+        context.moveTo(0, 0);
+        context.lineTo(-8, -4);
+        context.lineTo(-8, 4);
+        context.closePath();
+        context.fill();
+        context.restore();
+    }
+
+    drawNode(context, node, style, colors, detail) {
+        const renderer = this.renderer;
+        const width = renderer.getNodeWidth(node);
+        const height = renderer.getNodeHeight(node);
+        const x = node.x - width / 2;
+        const y = node.y - height / 2;
+
+        context.globalAlpha = style.alpha * style.fillAlpha;
+        context.fillStyle = style.fill;
+        this.roundedRect(context, x, y, width, height, 8);
+        context.fill();
+
+        if (node.card) {
+            // Coloured header band, as .card-header
+            context.globalAlpha = style.alpha * 0.85;
+            context.fillStyle = renderer.getNodeColor(node);
+            this.roundedRect(context, x, y, width, GraphRenderer.CARD.header, 8);
+            context.fill();
+        }
+
+        context.globalAlpha = style.alpha;
+        context.strokeStyle = style.stroke;
+        context.lineWidth = style.width;
+        context.setLineDash(style.dash);
+        this.roundedRect(context, x, y, width, height, 8);
+        context.stroke();
+        context.setLineDash([]);
+
+        if (!node.card) {
+            // Layer colour stripe, as .layer-marker
+            context.strokeStyle = renderer.getNodeColor(node);
+            context.lineWidth = 4;
+            context.lineCap = 'round';
+            context.beginPath();
+            context.moveTo(x + 6, y + 8);
+            context.lineTo(x + 6, y + height - 8);
+            context.stroke();
+            context.lineCap = 'butt';
+        }
+
+        if (!detail) return;
+
+        if (node.aggregate) this.drawBadge(context, node, x + width, y, colors);
+
+        context.fillStyle = colors.text;
+        context.textBaseline = 'middle';
+        if (!node.card) {
+            context.font = '500 12px Inter, sans-serif';
+            context.textAlign = 'center';
+            context.fillText(renderer.getNodeLabel(node), node.x, node.y);
+            return;
+        }
+
+        const titleY = y + GraphRenderer.CARD.header / 2;
+        context.font = '600 12px Inter, sans-serif';
+        context.textAlign = 'center';
+        context.fillText(renderer.getNodeLabel(node), node.x, titleY);
+        if (node.rows.length > 0) {
+            context.textAlign = 'left';
+            context.fillText(node.collapsed ? '▸' : '▾', x + 6, titleY);
+        }
+        if (node.collapsed) return;
+
+        context.font = '11px Inter, sans-serif';
+        node.rows.forEach((row, i) => {
+            const rowY = node.y + renderer.rowOffset(node, i);
+            context.textAlign = 'left';
+            context.fillStyle = this.rowColor(row, colors);
+            context.fillText(row.label, x + 12, rowY);
+            context.textAlign = 'right';
+            context.fillStyle = colors.muted;
+            context.fillText(row.dataType || row.transformation || '', x + width - 12, rowY);
+        });
+    }
+
+    drawBadge(context, node, x, y, colors) {
+        // Mirrors .aggregate-badge: the member count of a collapsed group on its top-right corner
+        context.fillStyle = colors.purple;
+        context.beginPath();
+        context.arc(x, y, GraphRenderer.BADGE_RADIUS, 0, 2 * Math.PI);
+        context.fill();
+
+        context.fillStyle = '#ffffff';
+        context.font = '600 11px Inter, sans-serif';
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(String(node.count), x, y);
+    }
+
+    rowColor(row, colors) {
+        // Mirrors the .card-row label rules
+        const role = this.impact ? this.impact.rowRole(row.id) : null;
+        if (role === 'origin') return colors.green;
+        if (role === 'upstream') return colors.purple;
+        if (role === 'downstream') return colors.orange;
+        if (this.match && this.match.id === row.id) return colors.green;
+        if (row.diff === 'added') return colors.green;
+        if (row.diff === 'removed') return colors.removed;
+        if (row.diff === 'changed') return colors.changed;
+        if (this.hovered && this.hovered.row === row) return colors.blue;
+        return row.warnings.length > 0 ? colors.orange : colors.text;
+    }
+
+    roundedRect(context, x, y, width, height, radius) {
+        context.beginPath();
+        if (context.roundRect) {
+            context.roundRect(x, y, width, height, radius);
+        } else {
+            context.rect(x, y, width, height);
+        }
+    }
+
+    hitTest(event) {
+        // The node under the pointer, and for cards the row or fold toggle under it
+        if (!this.index) return null;
+
+        const [px, py] = d3.pointer(event, this.renderer.svg.node());
+        const [x, y] = this.transform.invert([px, py]);
+        const renderer = this.renderer;
+        let found = null;
+
+        this.index.visit((quad, x0, y0, x1, y1) => {
+            if (!quad.length) {
+                for (let leaf = quad; leaf; leaf = leaf.next) {
+                    const node = leaf.data;
+                    const hidden = this.impact && this.impact.hide && !this.impact.nodeRole(node);
+                    if (!hidden && Math.abs(node.x - x) <= renderer.getNodeWidth(node) / 2 &&
+                        Math.abs(node.y - y) <= renderer.getNodeHeight(node) / 2) {
+                        found = node;
+                    }
+                }
+            }
+            return x0 > x + this.reach.x || x1 < x - this.reach.x || y0 > y + this.reach.y || y1 < y - this.reach.y;
+        });
+        if (!found || !found.card) return found ? { node: found } : null;
+
+        const { header, row } = GraphRenderer.CARD;
+        const top = found.y - renderer.getNodeHeight(found) / 2;
+        const left = found.x - renderer.getNodeWidth(found) / 2;
+        if (y < top + header) {
+            return { node: found, toggle: found.rows.length > 0 && x < left + 20 };
+        }
+
+        const index = found.rows.findIndex((r, i) => Math.abs(found.y + renderer.rowOffset(found, i) - y) <= row / 2);
+        return { node: found, row: !found.collapsed && index >= 0 ? found.rows[index] : null };
+    }
+
+    pointerMoved(event) {
+        const hit = event ? this.hitTest(event) : null;
+        const previous = this.hovered;
+        this.hovered = hit;
+        this.renderer.svg.style('cursor', hit ? 'pointer' : null);
+
+        // Same sequence as mouseout / mouseover on SVG node groups
+        const node = hit && hit.node;
+        const previousNode = previous && previous.node;
+        if (node !== previousNode) {
+            if (previousNode) this.renderer.handleNodeHover(previousNode, false);
+            if (node) this.renderer.handleNodeHover(node, true);
+        }
+        if ((hit && hit.row) !== (previous && previous.row)) this.requestDraw();
+    }
+
+    clicked(event) {
+        // The SVG background has already cleared any impact analysis; a hit starts a new one
+        const hit = this.hitTest(event);
+        if (!hit) return;
+
+        if (hit.toggle) {
+            this.renderer.toggleCard(hit.node.id);
+        } else {
+            this.renderer.handleNodeClick(hit.row || hit.node);
+        }
+    }
+
+    doubleClicked(event) {
+        const hit = this.hitTest(event);
+        if (hit && hit.node.aggregate) this.renderer.expandGroup(hit.node.aggregate);
+    }
+}
+
+// Zoom scale from which labels, arrowheads, card rows and curved links are drawn
+GraphCanvas.DETAIL_SCALE = 0.5;
+
+// Line dashes of the link-<transformation> classes
+GraphCanvas.DASHES = {
+    aggregate: [8, 4],
+    function: [4, 4],
+    arithmetic: [4, 4],
+    case: [2, 4],
+    concatenation: [12, 4, 2, 4]
+};
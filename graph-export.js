@@ -0,0 +1,156 @@
+class GraphExporter {
+    // Saves what a GraphRenderer currently shows: the drawing as SVG or PNG, and the
+    // filtered lineage behind it as JSON, Graphviz DOT or a Mermaid flowchart
+    constructor(renderer) {
+        this.renderer = renderer;
+    }
+
+    get baseName() {
+        return `lineage-${this.renderer.viewMode}`;
+    }
+
+    toText(format) {
+        const data = this.renderer.filterLineage(this.renderer.currentData);
+        const columns = this.renderer.viewMode !== 'table';
+
+        switch (format) {
+            case 'json':
+                return LineageFormatter.toJSON(data);
+            case 'dot':
+                return LineageFormatter.toDOT(data, { columns });
+            case 'mermaid':
+                return LineageFormatter.toMermaid(data, { columns });
+            default:
+                throw new Error(`Unknown export format "${format}"`);
+        }
+    }
+
+    toSVG() {
+        // Standalone copy of #lineage-graph: computed styles inlined (theme variables resolved),
+        // cropped to the whole graph rather than the visible viewport
+        if (this.renderer.canvasView) {
+            throw new Error('Graphs drawn on a canvas can only be exported as PNG');
+        }
+        const source = this.renderer.svg.node();
+        const clone = source.cloneNode(true);
+
+        const originals = source.querySelectorAll('*');
+        const copies = clone.querySelectorAll('*');
+        originals.forEach((element, i) => {
+            const computed = window.getComputedStyle(element);
+            const style = GraphExporter.STYLE_PROPERTIES
+                .map(property => [property, computed.getPropertyValue(property)])
+                .filter(([, value]) => value && value !== 'normal')
+                .map(([property, value]) => `${property}:${value}`)
+                .join(';');
+            copies[i].setAttribute('style', style);
+        });
+
+        const { x, y, width, height } = this.bounds();
+        clone.setAttribute('viewBox', `${x} ${y} ${width} ${height}`);
+        clone.setAttribute('width', width);
+        clone.setAttribute('height', height);
+        clone.querySelector('.graph-group').removeAttribute('transform');
+
+        const background = clone.querySelector('.background');
+        background.setAttribute('x', x);
+        background.setAttribute('y', y);
+        background.setAttribute('width', width);
+        background.setAttribute('height', height);
+        background.setAttribute('fill', window.getComputedStyle(document.documentElement).getPropertyValue('--bg-primary').trim());
+
+        return { svg: new XMLSerializer().serializeToString(clone), width, height };
+    }
+
+    bounds(margin = 20) {
+        const renderer = this.renderer;
+        const nodes = renderer.drawnNodes();
+        if (nodes.length === 0) return { x: 0, y: 0, width: renderer.width, height: renderer.height };
+
+        const x0 = d3.min(nodes, d => d.x - renderer.getNodeWidth(d) / 2) - margin;
+        const x1 = d3.max(nodes, d => d.x + renderer.getNodeWidth(d) / 2) + margin;
+        const y0 = d3.min(nodes, d => d.y - renderer.getNodeHeight(d) / 2) - margin;
+        const y1 = d3.max(nodes, d => d.y + renderer.getNodeHeight(d) / 2) + margin;
+        return { x: x0, y: y0, width: Math.ceil(x1 - x0), height: Math.ceil(y1 - y0) };
+    }
+
+    toPNG(scale = 2) {
+        if (this.renderer.canvasView) return this.canvasPNG(scale);
+
+        // Rasterise the standalone SVG; browsers refuse canvases much beyond 16k pixels a side
+        const { svg, width, height } = this.toSVG();
+        const factor = Math.min(scale, GraphExporter.MAX_CANVAS / Math.max(width, height));
+        const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(width * factor);
+                canvas.height = Math.round(height * factor);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                URL.revokeObjectURL(url);
+                canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the PNG'))), 'image/png');
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not draw the SVG'));
+            };
+            image.src = url;
+        });
+    }
+
+    canvasPNG(scale) {
+        // Large graphs: repaint the whole graph at full detail onto an offscreen canvas
+        const bounds = this.bounds();
+        const factor = Math.min(scale, GraphExporter.MAX_CANVAS / Math.max(bounds.width, bounds.height));
+        const canvas = this.renderer.canvasView.snapshot(bounds, factor);
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode the PNG'))), 'image/png');
+        });
+    }
+
+    async export(format, { scale = 2 } = {}) {
+        switch (format) {
+            case 'svg':
+                GraphExporter.download(this.toSVG().svg, `${this.baseName}.svg`, 'image/svg+xml');
+                break;
+            case 'png':
+                GraphExporter.download(await this.toPNG(scale), `${this.baseName}.png`, 'image/png');
+                break;
+            case 'json':
+                GraphExporter.download(this.toText('json'), `${this.baseName}.json`, 'application/json');
+                break;
+            case 'dot':
+                GraphExporter.download(this.toText('dot'), `${this.baseName}.dot`, 'text/vnd.graphviz');
+                break;
+            case 'mermaid':
+                GraphExporter.download(this.toText('mermaid'), `${this.baseName}.mmd`, 'text/plain');
+                break;
+            default:
+                throw new Error(`Unknown export format "${format}"`);
+        }
+    }
+
+    static download(content, fileName, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+}
+
+// Presentation properties copied from the stylesheet onto each exported element
+GraphExporter.STYLE_PROPERTIES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+    'opacity', 'visibility', 'filter', 'font-family', 'font-size', 'font-weight',
+    'text-anchor', 'dominant-baseline'
+];
+
+GraphExporter.MAX_CANVAS = 16384;
@@ -4,20 +4,67 @@ class GraphRenderer {
         this.svg = this.container.select('svg');
         this.width = 0;
         this.height = 0;
-        this.isColumnView = false;
+        // 'table', 'column' or 'cards' (tables listing their columns, with column-to-column edges)
+        this.viewMode = 'table';
         this.currentData = null;
+        // Card ids whose column list is folded away
+        this.collapsedCards = new Set();
+        // Groups drawn as one aggregate node: "schema:<name>", "group:<layer or dbt folder>" or "cte:<statement index>"
+        this.collapsedGroups = new Set();
+        // Node id -> position newly drawn nodes move out from (a group being expanded), consumed by startLayout
+        this.moveFrom = null;
+
+        // Impact analysis around the clicked node: lineage direction, depth limit, fade or hide the rest
+        this.lineageGraph = null;
+        this.impact = null;
+        this.impactOptions = { direction: 'both', depth: null, hide: false };
+
+        // Ordered rules putting tables into layers, which colour the nodes and fill the legend
+        this.layerRules = new LayerRules();
+
+        // Values hidden by the filter panel: table groups, table types and relationship types
+        this.filters = { groups: new Set(), tableTypes: new Set(), relationships: new Set() };
         
         // Graph elements
         this.g = null;
         this.links = null;
         this.nodes = null;
         this.simulation = null;
+        // GraphCanvas painting graphs above CANVAS_THRESHOLD nodes; null while the SVG drawing is used
+        this.canvasView = null;
+        // Counts renders, so a background layout that finishes after a newer render is dropped
+        this.layoutRequest = 0;
+
+        // 'layered' (left-to-right DAG) or 'force'
+        this.layoutMode = 'layered';
+        // Last drawn position of every node id, so re-renders of the same graph don't jump
+        this.positions = new Map();
+        // Nodes the user dragged in the layered layout stay where they were put
+        this.pinned = new Map();
+        // Zoom to apply on the next render instead of fitting the graph (set when restoring a permalink)
+        this.initialZoom = null;
+        // Called with every clicked node, so the app can show the SQL it came from
+        this.onSelect = null;
+        // SQL text the data's source spans point into, for quoting snippets; null for dbt projects and diffs
+        this.sourceSQL = null;
+        // Called after a group is collapsed or expanded, so controls listing the groups can follow
+        this.onCollapse = null;
+        // LineageTable listing the same lineage, kept up to date with every drawing
+        this.tableView = null;
+
+        // Keyboard focus: the focused node and, per drawn node id, the nodes its edges lead to and from
+        this.focusedNode = null;
+        this.neighbours = new Map();
+        // Skip entrance animations and animated zooms; follows the system setting until changed
+        this.reducedMotion = typeof window.matchMedia === 'function' &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches;
         
         // Zoom behavior
         this.zoom = d3.zoom()
             .scaleExtent([0.1, 4])
             .on('zoom', (event) => {
                 this.g.attr('transform', event.transform);
+                if (this.canvasView) this.canvasView.setTransform(event.transform);
             });
             
         this.setupSVG();
@@ -30,7 +77,15 @@ class GraphRenderer {
         
         this.svg
             .call(this.zoom)
-            .on('dblclick.zoom', null); // Disable double-click zoom
+            .on('dblclick.zoom', null) // Disable double-click zoom
+            .on('keydown', event => this.handleKey(event));
+
+        // Arrow keys move between nodes, so screen readers should pass them through
+        this.svg
+            .attr('role', 'application')
+            .attr('aria-roledescription', 'lineage graph')
+            .attr('aria-label', 'Lineage graph. Arrow keys follow edges: right goes downstream, left upstream, ' +
+                'up and down to neighbouring nodes. Enter shows details. The Mappings view lists the same lineage as a table.');
 
         // Main group for all graph elements
         this.g = this.svg.append('g').attr('class', 'graph-group');
@@ -98,40 +153,44 @@ class GraphRenderer {
         this.svg.attr('width', this.width).attr('height', this.height);
     }
 
-    render(data, isColumnView = false) {
+    get isColumnView() {
+        return this.viewMode === 'column';
+    }
+
+    render(data, viewMode = 'table') {
+        if (data !== this.currentData) {
+            this.lineageGraph = new LineageGraph(data);
+            this.impact = null;
+            Object.values(this.filters).forEach(hidden => hidden.clear());
+            this.collapsedGroups.clear();
+        }
         this.currentData = data;
-        this.isColumnView = isColumnView;
+        this.viewMode = viewMode;
+        this.updateLegend();
         
         // Show loading
         this.showLoading();
         
         // Prepare data for visualization
-        const graphData = this.prepareGraphData(data, isColumnView);
+        const graphData = this.prepareGraphData(data, viewMode);
         
-        // Animate the rendering
+        // Animate the rendering; large graphs finish once their background layout is done
         setTimeout(() => {
-            this.renderGraph(graphData);
-            this.hideLoading();
+            Promise.resolve(this.renderGraph(graphData))
+                .catch(error => console.error('Graph rendering failed:', error))
+                .then(() => this.hideLoading());
         }, 500);
     }
 
-    prepareGraphData(data, isColumnView) {
+    prepareGraphData(data, viewMode) {
+        data = this.filterLineage(data);
         const nodes = [];
         const links = [];
         
-        if (isColumnView) {
+        if (viewMode === 'column') {
             // Column-level visualization
             data.tables.forEach(table => {
-                table.columns.forEach(column => {
-                    nodes.push({
-                        id: `${table.id}.${column.name}`,
-                        label: column.name,
-                        table: table.id,
-                        tableName: table.name,
-                        type: 'column',
-                        group: this.getTableGroup(table.name)
-                    });
-                });
+                table.columns.forEach(column => nodes.push(this.columnNode(table, column)));
             });
             
             // Create column-level links
@@ -141,53 +200,404 @@ class GraphRenderer {
                     links.push({
                         source: `${rel.source}.${rel.sourceColumn}`,
                         target: `${rel.target}.${rel.targetColumn}`,
-                        type: rel.type
+                        type: rel.type,
+                        transformation: rel.transformation || null,
+                        diff: rel.diff || null
                     });
                 }
             });
-        } else {
-            // Table-level visualization
+        } else if (viewMode === 'cards') {
+            // Table cards: one node per table, with edges between column rows
             data.tables.forEach(table => {
                 nodes.push({
-                    id: table.id,
-                    label: table.name,
-                    type: 'table',
-                    columnCount: table.columns.length,
-                    group: this.getTableGroup(table.name)
+                    ...this.tableNode(table),
+                    card: true,
+                    collapsed: this.collapsedCards.has(table.id),
+                    rows: table.columns.map(column => this.columnNode(table, column))
                 });
             });
-            
-            // Create table-level links
+
+            const seen = new Set();
+            const columnPairs = new Set();
             data.relationships.forEach(rel => {
+                if (!rel.sourceColumn || !rel.targetColumn || rel.sourceColumn === '*' || rel.targetColumn === '*') return;
+
+                const key = `${rel.source}.${rel.sourceColumn}->${rel.target}.${rel.targetColumn}:${rel.type}`;
+                if (seen.has(key)) return;
+                seen.add(key);
+                columnPairs.add(`${rel.source}->${rel.target}`);
+
                 links.push({
                     source: rel.source,
                     target: rel.target,
-                    type: rel.type
+                    sourceColumn: rel.sourceColumn,
+                    targetColumn: rel.targetColumn,
+                    type: rel.type,
+                    transformation: rel.transformation || null,
+                    diff: rel.diff || null
                 });
             });
+
+            // Tables linked only through * (unknown columns) are joined header to header
+            const headerLinks = new Map();
+            data.relationships.forEach(rel => {
+                const pair = `${rel.source}->${rel.target}`;
+                if (columnPairs.has(pair)) return;
+
+                const key = `${pair}:${rel.type}`;
+                if (headerLinks.has(key)) {
+                    const link = headerLinks.get(key);
+                    link.diff = GraphRenderer.mergeDiff(link.diff, rel.diff);
+                    return;
+                }
+
+                const link = { source: rel.source, target: rel.target, sourceColumn: null, targetColumn: null, type: rel.type, diff: rel.diff || null };
+                headerLinks.set(key, link);
+                links.push(link);
+            });
+        } else {
+            // Table-level visualization
+            data.tables.forEach(table => nodes.push(this.tableNode(table)));
+            
+            // Create table-level links, one per table pair and relationship type
+            const seen = new Map();
+            data.relationships.forEach(rel => {
+                const key = `${rel.source}->${rel.target}:${rel.type}`;
+                if (seen.has(key)) {
+                    const link = seen.get(key);
+                    link.diff = GraphRenderer.mergeDiff(link.diff, rel.diff);
+                    return;
+                }
+
+                const link = {
+                    source: rel.source,
+                    target: rel.target,
+                    type: rel.type,
+                    diff: rel.diff || null
+                };
+                seen.set(key, link);
+                links.push(link);
+            });
         }
         
-        return { nodes, links };
+        const collapsed = this.collapseGroups(data, nodes, links, viewMode);
+
+        // Drop links whose endpoints aren't rendered (forceLink throws on unknown ids)
+        const nodeIds = new Set(collapsed.nodes.map(node => node.id));
+        const validLinks = collapsed.links.filter(link => nodeIds.has(link.source) && nodeIds.has(link.target));
+        
+        return { nodes: collapsed.nodes, links: validLinks };
+    }
+
+    collapseGroups(data, nodes, links, viewMode) {
+        // Replace the nodes of every collapsed group with one aggregate node and reroute their edges to it,
+        // merging edges that become duplicates and dropping those inside the group
+        if (this.collapsedGroups.size === 0) return { nodes, links };
+
+        const keyOf = new Map();
+        data.tables.forEach(table => {
+            const key = this.collapseKeys(table).find(candidate => this.collapsedGroups.has(candidate));
+            if (key) keyOf.set(table.id, key);
+        });
+
+        const tables = new Map(data.tables.map(table => [table.id, table]));
+        const aggregates = new Map();
+        const aggregateOf = new Map();
+        const kept = [];
+        nodes.forEach(node => {
+            const tableId = node.type === 'column' ? node.table : node.id;
+            const key = keyOf.get(tableId);
+            if (!key) {
+                kept.push(node);
+                return;
+            }
+
+            if (!aggregates.has(key)) aggregates.set(key, this.aggregateNode(key, viewMode));
+            const aggregate = aggregates.get(key);
+            if (!aggregate.members.includes(tableId)) aggregate.members.push(tableId);
+            aggregate.warnings.push(...node.warnings);
+            aggregate.diff = GraphRenderer.mergeDiff(aggregate.diff, node.diff);
+            aggregate.groups.add(node.group);
+            aggregateOf.set(node.id, aggregate.id);
+        });
+
+        aggregates.forEach(aggregate => {
+            aggregate.count = aggregate.members.length;
+            aggregate.columnCount = d3.sum(aggregate.members, id => tables.get(id).columns.length);
+            // Coloured like its members when they all share a group
+            aggregate.group = aggregate.groups.size === 1 ? Array.from(aggregate.groups)[0] : 'default';
+            delete aggregate.groups;
+        });
+
+        const merged = new Map();
+        links.forEach(link => {
+            const source = aggregateOf.get(link.source) || link.source;
+            const target = aggregateOf.get(link.target) || link.target;
+            if (source === target) return;
+
+            // An aggregate has no column rows, so edges attach to it as a whole
+            const rerouted = {
+                ...link,
+                source,
+                target,
+                ...('sourceColumn' in link && aggregateOf.has(link.source) && { sourceColumn: null }),
+                ...('targetColumn' in link && aggregateOf.has(link.target) && { targetColumn: null })
+            };
+            const key = `${source}.${rerouted.sourceColumn || ''}->${target}.${rerouted.targetColumn || ''}:${link.type}`;
+            const existing = merged.get(key);
+            if (existing) {
+                existing.diff = GraphRenderer.mergeDiff(existing.diff, rerouted.diff);
+                if (existing.transformation !== rerouted.transformation) existing.transformation = null;
+                return;
+            }
+            merged.set(key, rerouted);
+        });
+
+        return { nodes: [...kept, ...aggregates.values()], links: Array.from(merged.values()) };
+    }
+
+    aggregateNode(key, viewMode) {
+        const node = {
+            id: `group:${key}`,
+            label: this.collapseLabel(key),
+            type: 'table',
+            tableType: 'aggregate',
+            aggregate: key,
+            members: [],
+            count: 0,
+            columnCount: 0,
+            warnings: [],
+            dbt: null,
+            diff: null,
+            span: null,
+            groups: new Set()
+        };
+        // In the cards view it is a card without rows, so card edges can attach to its header
+        return viewMode === 'cards' ? { ...node, card: true, collapsed: false, rows: [] } : node;
+    }
+
+    collapseKeys(table) {
+        // The groups a table can be collapsed into, most specific first
+        const keys = [];
+        if (table.type === 'cte' && table.statement !== undefined) keys.push(`cte:${table.statement}`);
+        if (table.schema) keys.push(`schema:${table.schema}`);
+        keys.push(`group:${this.getTableGroup(table)}`);
+        return keys;
+    }
+
+    collapseLabel(key) {
+        const [kind, value] = GraphRenderer.splitCollapseKey(key);
+        return kind === 'cte' ? `CTEs of query ${Number(value) + 1}` : value;
+    }
+
+    static splitCollapseKey(key) {
+        const separator = key.indexOf(':');
+        return [key.slice(0, separator), key.slice(separator + 1)];
+    }
+
+    collapseOptions() {
+        // Groups of two or more tables in the current data, for the collapse controls
+        if (!this.currentData) return [];
+
+        const counts = new Map();
+        this.currentData.tables.forEach(table => {
+            this.collapseKeys(table).forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+        });
+
+        return Array.from(counts)
+            .filter(([, count]) => count > 1)
+            .map(([key, count]) => {
+                const [kind] = GraphRenderer.splitCollapseKey(key);
+                return { key, kind, label: this.collapseLabel(key), count, collapsed: this.collapsedGroups.has(key) };
+            })
+            .sort((a, b) => a.kind.localeCompare(b.kind) || a.label.localeCompare(b.label, undefined, { numeric: true }));
+    }
+
+    setCollapsed(key, collapsed) {
+        // Collapse a group into its aggregate node, or expand it back in place: the aggregate appears
+        // where its members were, and expanded members move out from where the aggregate was
+        if (!this.currentData) return;
+
+        this.storePositions();
+        const drawn = new Map(this.drawnNodes().map(node => [node.id, node]));
+        const aggregateId = `group:${key}`;
+
+        if (collapsed) {
+            this.collapsedGroups.add(key);
+        } else {
+            this.collapsedGroups.delete(key);
+        }
+        const data = this.prepareGraphData(this.currentData, this.viewMode);
+
+        if (collapsed) {
+            const aggregate = data.nodes.find(node => node.id === aggregateId);
+            const members = aggregate
+                ? Array.from(drawn.values()).filter(node => aggregate.members.includes(node.type === 'column' ? node.table : node.id))
+                : [];
+            if (members.length > 0) {
+                this.positions.set(aggregateId, { x: d3.mean(members, node => node.x), y: d3.mean(members, node => node.y) });
+            }
+        } else if (drawn.has(aggregateId)) {
+            const { x, y } = drawn.get(aggregateId);
+            this.moveFrom = new Map(data.nodes.filter(node => !drawn.has(node.id)).map(node => [node.id, { x, y }]));
+            // The force layout starts from stored positions, so members spread out from the aggregate
+            if (this.layoutMode === 'force') this.moveFrom.forEach((position, id) => this.positions.set(id, position));
+        }
+
+        if (this.onCollapse) this.onCollapse(key, collapsed);
+        return this.renderGraph(data, { keepPositions: true });
     }
 
-    getTableGroup(tableName) {
-        // Determine table group based on schema/prefix
-        if (tableName.includes('bronze')) return 'bronze';
-        if (tableName.includes('silver')) return 'silver';
-        if (tableName.includes('gold')) return 'gold';
-        return 'default';
+    expandGroup(key) {
+        // The sidebar may be describing the aggregate that is about to disappear
+        document.getElementById('metadata-sidebar').classList.remove('open');
+        return this.setCollapsed(key, false);
+    }
+
+    animateMoves() {
+        // Slide newly drawn nodes from their moveFrom position to where the layout put them
+        const moves = this.moveFrom;
+        this.moveFrom = null;
+        if (!moves || moves.size === 0 || this.simulation) return;
+
+        const moving = this.drawnNodes()
+            .filter(node => moves.has(node.id))
+            .map(node => ({ node, from: moves.get(node.id), to: { x: node.x, y: node.y } }));
+        const place = t => {
+            moving.forEach(({ node, from, to }) => {
+                node.x = from.x + (to.x - from.x) * t;
+                node.y = from.y + (to.y - from.y) * t;
+            });
+            this.ticked();
+        };
+
+        place(0);
+        this.svg.transition('expand')
+            .duration(this.duration(GraphRenderer.EXPAND_DURATION))
+            .ease(d3.easeCubicOut)
+            .tween('expand', () => place);
+    }
+
+    filterLineage(data) {
+        // The part of a parser result the filter panel leaves visible, in the parser's own shape
+        const { groups, tableTypes, relationships } = this.filters;
+        const tables = data.tables.filter(table => !groups.has(this.getTableGroup(table)) && !tableTypes.has(table.type));
+        const ids = new Set(tables.map(table => table.id));
+
+        return {
+            ...data,
+            tables,
+            relationships: data.relationships.filter(rel => ids.has(rel.source) && ids.has(rel.target) && !relationships.has(rel.type)),
+            columns: data.columns.filter(column => ids.has(column.table))
+        };
+    }
+
+    tableNode(table) {
+        return {
+            id: table.id,
+            label: table.name,
+            type: 'table',
+            tableType: table.type,
+            columnCount: table.columns.length,
+            warnings: table.columns.flatMap(column => column.warnings || []),
+            dbt: table.dbt || null,
+            diff: table.diff || null,
+            span: table.span || null,
+            group: this.getTableGroup(table)
+        };
+    }
+
+    columnNode(table, column) {
+        return {
+            id: `${table.id}.${column.name}`,
+            label: column.name,
+            table: table.id,
+            tableName: table.name,
+            tableType: table.type,
+            type: 'column',
+            expression: column.expression || null,
+            transformation: column.transformation || null,
+            dataType: column.dataType || null,
+            warnings: column.warnings || [],
+            diff: column.diff || null,
+            previous: column.previous || null,
+            span: column.span || null,
+            group: this.getTableGroup(table)
+        };
     }
 
-    renderGraph(data) {
+    static mergeDiff(a, b) {
+        // A table-level edge stands for several column edges; if they disagree the edge changed
+        if (!a || a === b) return a || b || null;
+        return b ? 'changed' : a;
+    }
+
+    getTableGroup(table) {
+        // The first matching layer rule, else the dbt model folder
+        const rule = this.layerRules.classify(table);
+        if (rule) return rule.label;
+        return table.group || 'default';
+    }
+
+    setLayerRules(rules) {
+        this.layerRules = rules instanceof LayerRules ? rules : new LayerRules(rules);
+        this.updateLegend();
+        if (this.currentData) {
+            this.storePositions();
+            this.renderGraph(this.prepareGraphData(this.currentData, this.viewMode), { keepPositions: true });
+        }
+    }
+
+    updateLegend() {
+        // One entry per layer in the current data, in rule order; rules can opt out of the legend
+        const legend = document.getElementById('graph-legend');
+        const present = new Set(this.currentData ? this.currentData.tables.map(table => this.getTableGroup(table)) : []);
+        const ruleLabels = new Set(this.layerRules.rules.map(rule => rule.label));
+        const entries = [
+            ...this.layerRules.legend().filter(rule => present.has(rule.label)).map(rule => rule.label),
+            ...Array.from(present).filter(group => !ruleLabels.has(group) && group !== 'default').sort(),
+            ...(present.has('default') && !ruleLabels.has('default') ? ['default'] : [])
+        ];
+
+        legend.innerHTML = entries.map(group => `
+            <li><span class="legend-swatch" style="background:${this.getNodeColor({ group })}"></span>${this.escapeHTML(group === 'default' ? 'Unclassified' : group)}</li>
+        `).join('');
+        legend.hidden = entries.length === 0;
+    }
+
+    renderGraph(data, { keepPositions = false } = {}) {
         // Clear existing graph
         this.g.selectAll('*').remove();
-        
-        // Create simulation
-        this.simulation = d3.forceSimulation(data.nodes)
-            .force('link', d3.forceLink(data.links).id(d => d.id).distance(150))
-            .force('charge', d3.forceManyBody().strength(-300))
-            .force('center', d3.forceCenter(this.width / 2, this.height / 2))
-            .force('collision', d3.forceCollide().radius(60));
+        if (this.simulation) this.simulation.stop();
+        this.layoutRequest++;
+        if (this.tableView) this.tableView.refresh();
+        this.buildNeighbours(data);
+
+        // Too many nodes for one SVG element each: paint them on a canvas instead
+        if (data.nodes.length > GraphRenderer.CANVAS_THRESHOLD) {
+            return this.renderCanvas(data, keepPositions);
+        }
+        this.removeCanvas();
+
+        if (this.layoutMode === 'layered') {
+            this.simulation = null;
+            this.applyLayeredLayout(data, keepPositions);
+        } else {
+            // Start from the previous positions so a re-render settles where it was; pinned nodes stay put
+            data.nodes.forEach(node => {
+                const position = this.positions.get(node.id);
+                if (position) Object.assign(node, position);
+
+                const pin = this.pinned.get(node.id);
+                if (pin) Object.assign(node, { x: pin.x, y: pin.y, fx: pin.x, fy: pin.y });
+            });
+
+            this.simulation = d3.forceSimulation(data.nodes)
+                .force('link', d3.forceLink(data.links).id(d => d.id).distance(150))
+                .force('charge', d3.forceManyBody().strength(-300))
+                .force('center', d3.forceCenter(this.width / 2, this.height / 2))
+                .force('collision', d3.forceCollide().radius(60));
+        }
 
         // Create links
         this.links = this.g.append('g')
@@ -196,7 +606,7 @@ class GraphRenderer {
             .data(data.links)
             .enter()
             .append('path')
-            .attr('class', 'link')
+            .attr('class', d => ['link', d.transformation && `link-${d.transformation}`, d.diff && `diff-${d.diff}`].filter(Boolean).join(' '))
             .attr('stroke', 'url(#link-gradient)')
             .attr('stroke-width', 2)
             .attr('fill', 'none')
@@ -213,9 +623,20 @@ class GraphRenderer {
             .attr('class', 'node')
             .call(this.drag());
 
+        if (this.viewMode === 'cards') {
+            this.drawCards(nodeGroups);
+            this.drawBadges(nodeGroups);
+            this.nodes = nodeGroups;
+            this.addEventListeners();
+            this.makeAccessible();
+            this.restoreImpact();
+            this.startLayout(keepPositions);
+            return;
+        }
+
         // Add node shapes
         nodeGroups.append('rect')
-            .attr('class', d => `node-${d.type}`)
+            .attr('class', d => `node-${d.type} node-kind-${d.tableType}${d.warnings.length > 0 ? ' node-warning' : ''}${d.diff ? ` diff-${d.diff}` : ''}`)
             .attr('width', d => this.getNodeWidth(d))
             .attr('height', d => this.getNodeHeight(d))
             .attr('x', d => -this.getNodeWidth(d) / 2)
@@ -233,18 +654,466 @@ class GraphRenderer {
             .style('opacity', 0)
             .text(d => this.getNodeLabel(d));
 
+        // Layer colour, since the node fill follows the theme
+        nodeGroups.append('line')
+            .attr('class', 'layer-marker')
+            .attr('x1', d => -this.getNodeWidth(d) / 2 + 6)
+            .attr('x2', d => -this.getNodeWidth(d) / 2 + 6)
+            .attr('y1', d => -this.getNodeHeight(d) / 2 + 8)
+            .attr('y2', d => this.getNodeHeight(d) / 2 - 8)
+            .attr('stroke', d => this.getNodeColor(d))
+            .style('opacity', 0);
+
+        this.drawBadges(nodeGroups);
+
         // Store references
         this.nodes = nodeGroups;
 
         // Add event listeners
         this.addEventListeners();
+        this.makeAccessible();
+        this.restoreImpact();
+
+        this.startLayout(keepPositions);
+    }
 
+    renderCanvas(data, keepPositions = false) {
+        // Lays the graph out in a Web Worker, then hands it to the canvas. Returns a promise for the
+        // drawing; hover, click, zoom and impact analysis go through the same methods as SVG nodes.
+        this.simulation = null;
+        this.nodes = null;
+        this.links = null;
+        if (!this.canvasView) this.canvasView = new GraphCanvas(this);
+        this.canvasView.setData([], []);
+
+        const request = this.layoutRequest;
+        const nodes = data.nodes.map(node => {
+            // The force layout starts from where nodes were, relative to the centre it lays out around
+            const previous = this.positions.get(node.id);
+            return {
+                id: node.id,
+                width: this.getNodeWidth(node),
+                height: this.getNodeHeight(node),
+                ...(previous && { x: previous.x - this.width / 2, y: previous.y - this.height / 2 })
+            };
+        });
+        const links = data.links.map(link => ({ source: link.source, target: link.target, type: link.type }));
+
+        return BackgroundLayout.run({ mode: this.layoutMode, nodes, links }).then(positions => {
+            // A newer render started while this one was being laid out
+            if (request !== this.layoutRequest) return;
+
+            this.placeNodes(data, new Map(positions.map(([id, x, y]) => [id, { x, y }])), keepPositions);
+            this.canvasView.setData(data.nodes, data.links);
+            this.svg.select('.background').on('click', () => this.clearImpact());
+            this.makeAccessible();
+            this.restoreImpact();
+            this.startLayout(keepPositions);
+        });
+    }
+
+    buildNeighbours(data) {
+        // Adjacency along the drawn edges, for keyboard traversal and the nodes' spoken descriptions
+        const byId = new Map(data.nodes.map(node => [node.id, node]));
+        this.neighbours = new Map(data.nodes.map(node => [node.id, { upstream: [], downstream: [] }]));
+
+        const id = end => (typeof end === 'object' ? end.id : end);
+        data.links.forEach(link => {
+            const source = byId.get(id(link.source));
+            const target = byId.get(id(link.target));
+            if (!source || !target) return;
+
+            const downstream = this.neighbours.get(source.id).downstream;
+            const upstream = this.neighbours.get(target.id).upstream;
+            if (!downstream.includes(target)) downstream.push(target);
+            if (!upstream.includes(source)) upstream.push(source);
+        });
+    }
+
+    makeAccessible() {
+        // SVG nodes are focusable buttons with a roving tabindex: one tab stop for the graph, arrows inside it.
+        // The canvas has no elements to focus, so the SVG over it takes focus and the focused node is announced.
+        const nodes = this.drawnNodes();
+        const previous = this.focusedNode && nodes.find(node => node.id === this.focusedNode.id);
+        this.focusedNode = previous || null;
+
+        if (this.nodes) {
+            this.svg.attr('tabindex', null);
+            this.nodes
+                .attr('role', 'button')
+                .attr('aria-label', d => this.describeNode(d))
+                .attr('tabindex', d => (d === (this.focusedNode || nodes[0]) ? 0 : -1))
+                .on('focus', (event, d) => {
+                    this.focusedNode = d;
+                });
+        } else {
+            this.svg.attr('tabindex', 0);
+            if (this.canvasView) this.canvasView.setFocus(this.focusedNode);
+        }
+    }
+
+    describeNode(d) {
+        // What a screen reader says for a node: what it is and what it is connected to
+        const { upstream, downstream } = this.neighbours.get(d.id) || { upstream: [], downstream: [] };
+        const names = list => {
+            const shown = list.slice(0, GraphRenderer.DESCRIBED_NEIGHBOURS).map(node => node.label).join(', ');
+            const more = list.length - GraphRenderer.DESCRIBED_NEIGHBOURS;
+            return more > 0 ? `${shown} and ${more} more` : shown;
+        };
+
+        const parts = [];
+        if (d.aggregate) {
+            parts.push(`Collapsed group ${d.label} of ${d.count} tables`);
+        } else if (d.type === 'column') {
+            parts.push(`Column ${d.label} of ${d.tableName}`);
+        } else {
+            parts.push(`${GraphRenderer.TABLE_TYPES[d.tableType] || 'Table'} ${d.label}`);
+        }
+        if (d.group && d.group !== 'default' && !d.aggregate) parts.push(`layer ${d.group}`);
+        parts.push(upstream.length > 0 ? `reads from ${upstream.length}: ${names(upstream)}` : 'no upstream');
+        parts.push(downstream.length > 0 ? `feeds ${downstream.length}: ${names(downstream)}` : 'no downstream');
+        if (d.diff && d.diff !== 'unchanged') parts.push(d.diff);
+        if (d.warnings.length > 0) parts.push(`${d.warnings.length} warning${d.warnings.length === 1 ? '' : 's'}`);
+        return parts.join('. ');
+    }
+
+    handleKey(event) {
+        const nodes = this.drawnNodes();
+        if (nodes.length === 0) return;
+
+        const current = this.focusedNode;
+        let next = null;
+        switch (event.key) {
+            case 'ArrowRight':
+                next = current ? this.nearest(current, this.neighbours.get(current.id).downstream) : null;
+                break;
+            case 'ArrowLeft':
+                next = current ? this.nearest(current, this.neighbours.get(current.id).upstream) : null;
+                break;
+            case 'ArrowDown':
+            case 'ArrowUp':
+                next = current ? this.sibling(current, event.key === 'ArrowDown' ? 1 : -1) : null;
+                break;
+            case 'Home':
+                next = this.sortByPosition(nodes)[0];
+                break;
+            case 'Enter':
+            case ' ':
+                if (!current) return;
+                event.preventDefault();
+                this.handleNodeClick(current);
+                return;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+        // The first arrow press enters the graph at its top-left node
+        this.focusGraphNode(next || (current ? null : this.sortByPosition(nodes)[0]));
+    }
+
+    nearest(node, candidates) {
+        // Of several nodes along an edge, the one closest in height keeps the eye on the same row
+        return candidates.slice().sort((a, b) => Math.abs(a.y - node.y) - Math.abs(b.y - node.y))[0] || null;
+    }
+
+    sibling(node, offset) {
+        // Nodes sharing an upstream or downstream neighbour with this one, else its layer, top to bottom
+        const { upstream, downstream } = this.neighbours.get(node.id);
+        const related = new Set([node]);
+        upstream.forEach(parent => this.neighbours.get(parent.id).downstream.forEach(other => related.add(other)));
+        downstream.forEach(child => this.neighbours.get(child.id).upstream.forEach(other => related.add(other)));
+
+        let siblings = this.sortByPosition(Array.from(related));
+        if (siblings.length < 2) {
+            siblings = this.sortByPosition(this.drawnNodes().filter(other => Math.abs(other.x - node.x) < 1));
+        }
+        if (siblings.length < 2) return null;
+
+        const index = siblings.indexOf(node);
+        return siblings[(index + offset + siblings.length) % siblings.length];
+    }
+
+    sortByPosition(nodes) {
+        return nodes.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+    }
+
+    focusGraphNode(node) {
+        if (!node) return;
+        this.focusedNode = node;
+
+        if (this.nodes) {
+            this.nodes.attr('tabindex', d => (d === node ? 0 : -1));
+            this.nodes.filter(d => d === node).node().focus({ preventScroll: true });
+        } else if (this.canvasView) {
+            this.canvasView.setFocus(node);
+            this.announce(this.describeNode(node));
+        }
+        this.ensureVisible(node);
+    }
+
+    announce(message) {
+        // Canvas nodes have no element to carry a label, so the focused one is read from a live region
+        const region = document.getElementById('graph-announcer');
+        if (region) region.textContent = message;
+    }
+
+    ensureVisible(node) {
+        // Pan (without zooming) when the node is outside the view
+        const [x, y] = d3.zoomTransform(this.svg.node()).apply([node.x, node.y]);
+        const margin = GraphRenderer.FOCUS_MARGIN;
+        if (x >= margin && x <= this.width - margin && y >= margin && y <= this.height - margin) return;
+
+        this.svg.transition()
+            .duration(this.duration(400))
+            .call(this.zoom.translateTo, node.x, node.y);
+    }
+
+    setReducedMotion(reduced) {
+        this.reducedMotion = reduced;
+        document.documentElement.toggleAttribute('data-reduced-motion', reduced);
+    }
+
+    duration(ms) {
+        return this.reducedMotion ? 0 : ms;
+    }
+
+    removeCanvas() {
+        if (!this.canvasView) return;
+        this.canvasView.destroy();
+        this.canvasView = null;
+    }
+
+    drawnNodes() {
+        // Nodes of the current drawing, SVG or canvas
+        if (this.nodes) return this.nodes.data();
+        return this.canvasView ? this.canvasView.nodes : [];
+    }
+
+    themeChanged() {
+        // The SVG drawing follows the stylesheet by itself; the canvas has to be repainted
+        if (this.canvasView) this.canvasView.requestDraw();
+    }
+
+    startLayout(keepPositions = false) {
         // Start simulation and animate
-        this.simulation.on('tick', () => this.ticked());
+        if (this.simulation) {
+            this.simulation
+                .on('tick', () => this.ticked())
+                .on('end', () => this.storePositions());
+        } else {
+            this.ticked();
+            this.storePositions();
+            if (!keepPositions && !this.initialZoom) this.fitToView();
+        }
+
+        if (this.initialZoom) {
+            this.svg.call(this.zoom.transform, this.initialZoom);
+            this.initialZoom = null;
+        }
+        this.animateMoves();
         this.animateIn();
     }
 
+    drawCards(nodeGroups) {
+        const width = d => this.getNodeWidth(d);
+        const top = d => -this.getNodeHeight(d) / 2;
+        const { header } = GraphRenderer.CARD;
+
+        nodeGroups.append('rect')
+            .attr('class', d => `node-table node-card node-kind-${d.tableType}${d.warnings.length > 0 ? ' node-warning' : ''}${d.diff ? ` diff-${d.diff}` : ''}`)
+            .attr('width', width)
+            .attr('height', d => this.getNodeHeight(d))
+            .attr('x', d => -width(d) / 2)
+            .attr('y', top)
+            .attr('rx', 8)
+            .attr('stroke', d => this.getNodeStroke(d))
+            .attr('stroke-width', 2)
+            .style('opacity', 0);
+
+        nodeGroups.append('rect')
+            .attr('class', 'card-header')
+            .attr('width', width)
+            .attr('height', header)
+            .attr('x', d => -width(d) / 2)
+            .attr('y', top)
+            .attr('rx', 8)
+            .attr('fill', d => this.getNodeColor(d))
+            .style('opacity', 0);
+
+        nodeGroups.append('text')
+            .attr('class', 'node-text card-title')
+            .attr('y', d => top(d) + header / 2)
+            .style('opacity', 0)
+            .text(d => this.getNodeLabel(d));
+
+        // Fold / unfold the column list
+        nodeGroups.filter(d => d.rows.length > 0)
+            .append('text')
+            .attr('class', 'card-toggle')
+            .attr('x', d => -width(d) / 2 + 10)
+            .attr('y', d => top(d) + header / 2)
+            .text(d => d.collapsed ? '▸' : '▾')
+            .on('click', (event, d) => {
+                event.stopPropagation();
+                this.toggleCard(d.id);
+            });
+
+        const rows = nodeGroups.filter(d => !d.collapsed)
+            .selectAll('g.card-row')
+            .data(d => d.rows.map((column, i) => ({ column, card: d, i })))
+            .enter()
+            .append('g')
+            .attr('class', r => `card-row${r.column.diff ? ` diff-${r.column.diff}` : ''}`)
+            .attr('transform', r => `translate(0, ${this.rowOffset(r.card, r.i)})`)
+            .on('click', (event, r) => {
+                event.stopPropagation();
+                this.handleNodeClick(r.column);
+            });
+
+        rows.append('text')
+            .attr('class', r => `card-row-label${r.column.warnings.length > 0 ? ' card-row-warning' : ''}`)
+            .attr('x', r => -width(r.card) / 2 + 12)
+            .text(r => r.column.label);
+
+        rows.append('text')
+            .attr('class', 'card-row-type')
+            .attr('x', r => width(r.card) / 2 - 12)
+            .text(r => r.column.dataType || r.column.transformation || '');
+
+        // Ports where column edges attach
+        rows.append('circle')
+            .attr('class', 'card-port')
+            .attr('cx', r => -width(r.card) / 2)
+            .attr('r', 3);
+        rows.append('circle')
+            .attr('class', 'card-port')
+            .attr('cx', r => width(r.card) / 2)
+            .attr('r', 3);
+
+        // Separator under the header
+        nodeGroups.filter(d => !d.collapsed && d.rows.length > 0)
+            .append('line')
+            .attr('class', 'card-divider')
+            .attr('x1', d => -width(d) / 2)
+            .attr('x2', d => width(d) / 2)
+            .attr('y1', d => top(d) + header)
+            .attr('y2', d => top(d) + header);
+
+        // Faded in by animateIn with the rest of the node
+        nodeGroups.selectAll('text, circle, line').style('opacity', 0);
+    }
+
+    drawBadges(nodeGroups) {
+        // Collapsed groups show how many tables they stand for in a badge on their top-right corner
+        const badges = nodeGroups.filter(d => d.aggregate)
+            .append('g')
+            .attr('class', 'aggregate-badge')
+            .attr('transform', d => `translate(${this.getNodeWidth(d) / 2}, ${-this.getNodeHeight(d) / 2})`);
+
+        badges.append('circle').attr('r', GraphRenderer.BADGE_RADIUS);
+        badges.append('text')
+            .attr('dy', '0.35em')
+            .text(d => d.count);
+        badges.append('title').text(d => `${d.count} tables collapsed; double-click to expand`);
+        badges.selectAll('circle, text').style('opacity', 0);
+    }
+
+    rowOffset(card, index) {
+        // Centre of a column row relative to the card's centre
+        const { header, row, padding } = GraphRenderer.CARD;
+        return -this.getNodeHeight(card) / 2 + header + padding + row * index + row / 2;
+    }
+
+    portPosition(node, column, side) {
+        // Edge anchor on the left (incoming) or right (outgoing) side of a card; collapsed cards and
+        // table-level edges attach to the header
+        const x = node.x + (side === 'right' ? 1 : -1) * this.getNodeWidth(node) / 2;
+        const index = column && !node.collapsed ? node.rows.findIndex(row => row.label === column) : -1;
+        const y = index >= 0
+            ? node.y + this.rowOffset(node, index)
+            : node.y - this.getNodeHeight(node) / 2 + GraphRenderer.CARD.header / 2;
+        return { x, y };
+    }
+
+    toggleCard(id) {
+        if (this.collapsedCards.has(id)) {
+            this.collapsedCards.delete(id);
+        } else {
+            this.collapsedCards.add(id);
+        }
+
+        // Redraw in place: keep every card where it is and only change its height
+        this.storePositions();
+        this.renderGraph(this.prepareGraphData(this.currentData, this.viewMode), { keepPositions: true });
+    }
+
+    applyLayeredLayout(data, keepPositions = false) {
+        // Joins relate tables without moving data between them, so they don't decide the layers
+        const flowLinks = data.links.filter(link => link.type !== 'join');
+        const positions = new LayeredLayout().run(data.nodes, flowLinks, d => ({
+            width: this.getNodeWidth(d),
+            height: this.getNodeHeight(d)
+        }));
+        this.placeNodes(data, positions, keepPositions);
+    }
+
+    placeNodes(data, positions, keepPositions = false) {
+        // Positions from a layout are centred on the origin; pinned and kept positions take precedence
+        data.nodes.forEach(node => {
+            const position = positions.get(node.id);
+            const previous = keepPositions && this.positions.get(node.id);
+            Object.assign(node, this.pinned.get(node.id) || previous || {
+                x: this.width / 2 + position.x,
+                y: this.height / 2 + position.y
+            });
+        });
+
+        // Resolve link endpoints to node objects, as d3.forceLink does in the force layout
+        const byId = new Map(data.nodes.map(node => [node.id, node]));
+        data.links.forEach(link => {
+            link.source = byId.get(link.source) || link.source;
+            link.target = byId.get(link.target) || link.target;
+        });
+    }
+
+    setLayoutMode(mode) {
+        this.layoutMode = mode;
+        if (this.currentData) {
+            this.render(this.currentData, this.viewMode);
+        }
+    }
+
+    storePositions() {
+        this.drawnNodes().forEach(d => this.positions.set(d.id, { x: d.x, y: d.y }));
+    }
+
+    fitToView() {
+        // Zoom so the whole graph is visible, without enlarging small graphs
+        const nodes = this.drawnNodes();
+        if (nodes.length === 0) return;
+
+        const x0 = d3.min(nodes, d => d.x - this.getNodeWidth(d) / 2);
+        const x1 = d3.max(nodes, d => d.x + this.getNodeWidth(d) / 2);
+        const y0 = d3.min(nodes, d => d.y - this.getNodeHeight(d) / 2);
+        const y1 = d3.max(nodes, d => d.y + this.getNodeHeight(d) / 2);
+        const scale = Math.min(1, 0.9 * Math.min(this.width / (x1 - x0), this.height / (y1 - y0)));
+
+        const transform = d3.zoomIdentity
+            .translate(this.width / 2, this.height / 2)
+            .scale(scale)
+            .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+
+        this.svg.transition()
+            .duration(this.duration(750))
+            .call(this.zoom.transform, transform);
+    }
+
     getNodeWidth(d) {
+        if (d.card) {
+            const longest = d3.max(d.rows, row => row.label.length + (row.dataType || row.transformation || '').length) || 0;
+            return Math.max(180, d.label.length * 8 + 40, longest * 7 + 48);
+        }
         if (d.type === 'table') {
             return Math.max(120, d.label.length * 8);
         }
@@ -252,27 +1121,29 @@ class GraphRenderer {
     }
 
     getNodeHeight(d) {
+        if (d.card) {
+            const { header, row, padding } = GraphRenderer.CARD;
+            return header + (d.collapsed || d.rows.length === 0 ? 0 : d.rows.length * row + padding * 2);
+        }
         return d.type === 'table' ? 50 : 30;
     }
 
     getNodeColor(d) {
-        const colors = {
-            bronze: '#ff6b35',
-            silver: '#00d4ff',
-            gold: '#00ff88',
-            default: '#8b5cf6'
-        };
-        return colors[d.group] || colors.default;
+        return this.layerRules.colorOf(d.group) || this.getGroupPalette(d.group).fill;
     }
 
     getNodeStroke(d) {
-        const strokes = {
-            bronze: '#ff8c42',
-            silver: '#33e0ff',
-            gold: '#33ff99',
-            default: '#a78bfa'
-        };
-        return strokes[d.group] || strokes.default;
+        const color = this.layerRules.colorOf(d.group);
+        return color ? d3.color(color).brighter(0.5).formatHex() : this.getGroupPalette(d.group).stroke;
+    }
+
+    getGroupPalette(group) {
+        // Other groups (dbt folders such as staging or marts) get a stable colour from their name
+        if (!group || group === 'default') return { fill: '#8b5cf6', stroke: '#a78bfa' };
+
+        let hash = 0;
+        for (const char of group) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        return GraphRenderer.GROUP_PALETTE[hash % GraphRenderer.GROUP_PALETTE.length];
     }
 
     getNodeLabel(d) {
@@ -286,10 +1157,19 @@ class GraphRenderer {
         this.nodes
             .on('mouseover', (event, d) => this.handleNodeHover(d, true))
             .on('mouseout', (event, d) => this.handleNodeHover(d, false))
-            .on('click', (event, d) => this.handleNodeClick(d));
+            .on('click', (event, d) => this.handleNodeClick(d))
+            .on('dblclick', (event, d) => {
+                if (d.aggregate) this.expandGroup(d.aggregate);
+            });
+
+        // Clicking empty space ends the impact analysis
+        this.svg.select('.background').on('click', () => this.clearImpact());
     }
 
     handleNodeHover(node, isHover) {
+        // While an impact analysis is shown, hovering leaves it alone
+        if (this.impact) return;
+
         if (isHover) {
             // Highlight connected nodes and links
             this.highlightConnections(node);
@@ -300,11 +1180,245 @@ class GraphRenderer {
     }
 
     handleNodeClick(node) {
+        this.resetHighlight();
+        if (node.aggregate) {
+            // A collapsed group has no lineage of its own; it lists its members instead
+            this.clearImpact();
+            this.showGroupMetadata(node);
+            return;
+        }
+        this.analyzeImpact(node);
+
         // Show metadata sidebar
         this.showMetadata(node);
+        if (this.onSelect) this.onSelect(node);
+    }
+
+    analyzeImpact(node) {
+        const level = node.type === 'column' ? 'column' : 'table';
+        const { direction, depth } = this.impactOptions;
+        const { upstream, downstream } = this.lineageGraph.impact(node.id, { level, direction, depth: depth || Infinity });
+
+        this.impact = { node, level, upstream, downstream };
+        this.applyImpact();
+        if (this.tableView) this.tableView.syncSelection();
+    }
+
+    setImpactOptions(options) {
+        Object.assign(this.impactOptions, options);
+        if (this.impact) {
+            const { node } = this.impact;
+            this.analyzeImpact(node);
+            this.showMetadata(node);
+        }
+    }
+
+    impactRole(id) {
+        if (!this.impact) return null;
+        if (id === this.impact.node.id) return 'origin';
+        if (this.impact.upstream.has(id)) return 'upstream';
+        if (this.impact.downstream.has(id)) return 'downstream';
+        return null;
+    }
+
+    applyImpact() {
+        if (!this.impact || !(this.nodes || this.canvasView)) return;
+
+        const { level } = this.impact;
+        const fadedClass = this.impactOptions.hide ? 'impact-hidden' : 'impact-faded';
+        const roleOf = id => this.impactRole(id);
+
+        // A collapsed group takes the role its members have at table level: one side of the origin,
+        // or 'contains' when they lie on both
+        const tableRoles = new Map();
+        if (level === 'column') {
+            [[this.impact.node.id, 'origin'], ...Array.from(this.impact.upstream.keys(), id => [id, 'upstream']),
+                ...Array.from(this.impact.downstream.keys(), id => [id, 'downstream'])].forEach(([id, role]) => {
+                const table = this.columnTable(id);
+                if (tableRoles.get(table) !== 'origin') tableRoles.set(table, role);
+            });
+        }
+        const aggregateRole = d => {
+            const roles = new Set(d.members.map(id => (level === 'column' ? tableRoles.get(id) : roleOf(id))).filter(Boolean));
+            if (roles.has('origin')) return 'origin';
+            return roles.size > 1 ? 'contains' : Array.from(roles)[0] || null;
+        };
+
+        // Cards hold columns, so a column-level analysis marks rows and keeps any card with a marked row
+        const nodeRole = d => {
+            if (d.aggregate) return aggregateRole(d);
+            if (d.card && level === 'column') {
+                return roleOf(d.id) || (d.rows.some(row => roleOf(row.id)) ? 'contains' : null);
+            }
+            return roleOf(d.id);
+        };
+        const endpoint = (node, column) => (level === 'column' && node.card ? `${node.id}.${column}` : node.id);
+        // A link stays visible when both ends lie on the same side of the origin
+        const endRole = (node, column) => (node.aggregate ? aggregateRole(node) : roleOf(endpoint(node, column)));
+        const linkOnPath = d => {
+            const source = endRole(d.source, d.sourceColumn);
+            const target = endRole(d.target, d.targetColumn);
+            const upstreamSide = role => role === 'upstream' || role === 'origin';
+            const downstreamSide = role => role === 'downstream' || role === 'origin';
+            return (upstreamSide(source) && upstreamSide(target)) || (downstreamSide(source) && downstreamSide(target));
+        };
+
+        if (this.canvasView) {
+            this.canvasView.setImpact({ nodeRole, rowRole: roleOf, linkOnPath, hide: this.impactOptions.hide });
+            return;
+        }
+
+        this.nodes.each((d, i, groups) => {
+            const role = nodeRole(d);
+            d3.select(groups[i])
+                .classed('impact-faded impact-hidden', false)
+                .classed(fadedClass, !role)
+                .classed('impact-origin', role === 'origin')
+                .classed('impact-upstream', role === 'upstream')
+                .classed('impact-downstream', role === 'downstream');
+        });
+
+        this.nodes.selectAll('.card-row')
+            .classed('impact-origin', r => roleOf(r.column.id) === 'origin')
+            .classed('impact-upstream', r => roleOf(r.column.id) === 'upstream')
+            .classed('impact-downstream', r => roleOf(r.column.id) === 'downstream');
+
+        this.links.each((d, i, groups) => {
+            d3.select(groups[i])
+                .classed('impact-faded impact-hidden', false)
+                .classed(fadedClass, !linkOnPath(d));
+        });
+    }
+
+    restoreImpact() {
+        // Keep the analysis across re-renders while its origin is still drawn (as a node or a card row)
+        if (!this.impact) return;
+
+        const origin = this.impact.node.id;
+        const drawn = this.drawnNodes().some(d => d.id === origin || (d.rows || []).some(row => row.id === origin));
+        if (drawn) {
+            this.analyzeImpact(this.impact.node);
+        } else {
+            this.impact = null;
+        }
+    }
+
+    clearImpact() {
+        this.impact = null;
+        if (this.tableView) this.tableView.syncSelection();
+        if (this.canvasView) this.canvasView.setImpact(null);
+        if (!this.nodes) return;
+
+        this.nodes.classed('impact-faded impact-hidden impact-origin impact-upstream impact-downstream', false);
+        this.nodes.selectAll('.card-row').classed('impact-origin impact-upstream impact-downstream', false);
+        this.links.classed('impact-faded impact-hidden', false);
+    }
+
+    impactList() {
+        // Plain-text summary for pasting into a change review
+        if (!this.impact) return '';
+
+        const { node, level, upstream, downstream } = this.impact;
+        const sorted = distances => Array.from(distances.entries()).sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]));
+        const section = (title, distances) => distances.size === 0 ? [] : [
+            `${title} (${distances.size}):`,
+            ...sorted(distances).map(([id, distance]) => `- ${id} (depth ${distance})`)
+        ];
+
+        const lines = [`Lineage of ${level} ${node.id}`];
+        if (this.impactOptions.direction !== 'upstream') {
+            lines.push(...section('Downstream', downstream));
+            if (level === 'column' && downstream.size > 0) {
+                const tables = new Set(Array.from(downstream.keys()).map(id => this.columnTable(id)));
+                lines.push(`Downstream tables (${tables.size}): ${Array.from(tables).join(', ')}`);
+            }
+        }
+        if (this.impactOptions.direction !== 'downstream') {
+            lines.push(...section('Upstream', upstream));
+        }
+
+        return lines.join('\n');
+    }
+
+    columnTable(columnId) {
+        // Column ids are "<table id>.<column>"; table ids may themselves contain dots
+        const column = this.currentData.columns.find(col => col.id === columnId);
+        return column ? column.table : columnId.slice(0, columnId.lastIndexOf('.'));
+    }
+
+    impactSection() {
+        if (!this.impact) return '';
+
+        const { direction, depth, hide } = this.impactOptions;
+        const { upstream, downstream, level } = this.impact;
+        const items = (distances, role) => Array.from(distances.entries())
+            .sort((a, b) => a[1] - b[1] || a[0].localeCompare(b[0]))
+            .map(([id, distance]) => `<li class="impact-${role}"><span>${this.escapeHTML(id)}</span><small>${distance}</small></li>`)
+            .join('');
+
+        return `
+            <div class="impact-section">
+                <h4>Impact analysis</h4>
+                <div class="impact-controls">
+                    <select id="impact-direction" aria-label="Lineage direction">
+                        <option value="both"${direction === 'both' ? ' selected' : ''}>Upstream &amp; downstream</option>
+                        <option value="downstream"${direction === 'downstream' ? ' selected' : ''}>Downstream impact</option>
+                        <option value="upstream"${direction === 'upstream' ? ' selected' : ''}>Upstream lineage</option>
+                    </select>
+                    <label>Depth <input id="impact-depth" type="number" min="1" placeholder="all" value="${depth || ''}"></label>
+                    <label><input id="impact-hide" type="checkbox"${hide ? ' checked' : ''}> Hide others</label>
+                </div>
+                ${direction !== 'upstream' ? `<h5>Downstream ${level}s (${downstream.size})</h5><ul class="impact-list">${items(downstream, 'downstream')}</ul>` : ''}
+                ${direction !== 'downstream' ? `<h5>Upstream ${level}s (${upstream.size})</h5><ul class="impact-list">${items(upstream, 'upstream')}</ul>` : ''}
+                <button id="impact-copy" class="control-btn">Copy list</button>
+            </div>
+        `;
+    }
+
+    bindImpactSection(content) {
+        const direction = content.querySelector('#impact-direction');
+        if (!direction) return;
+
+        direction.addEventListener('change', () => this.setImpactOptions({ direction: direction.value }));
+
+        const depth = content.querySelector('#impact-depth');
+        depth.addEventListener('change', () => this.setImpactOptions({ depth: parseInt(depth.value, 10) || null }));
+
+        const hide = content.querySelector('#impact-hide');
+        hide.addEventListener('change', () => this.setImpactOptions({ hide: hide.checked }));
+
+        const copy = content.querySelector('#impact-copy');
+        copy.addEventListener('click', () => {
+            const text = this.impactList();
+            const done = () => {
+                copy.textContent = 'Copied';
+                setTimeout(() => { copy.textContent = 'Copy list'; }, 1500);
+            };
+
+            if (navigator.clipboard) {
+                navigator.clipboard.writeText(text).then(done, () => this.copyFallback(text, done));
+            } else {
+                this.copyFallback(text, done);
+            }
+        });
+    }
+
+    copyFallback(text, done) {
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        document.body.appendChild(textarea);
+        textarea.select();
+        document.execCommand('copy');
+        textarea.remove();
+        done();
     }
 
     highlightConnections(targetNode) {
+        if (this.canvasView) {
+            this.canvasView.setHover(targetNode);
+            return;
+        }
+
         // Dim all elements first
         this.nodes.selectAll('rect').classed('dimmed', true);
         this.links.classed('dimmed', true);
@@ -333,6 +1447,9 @@ class GraphRenderer {
     }
 
     resetHighlight() {
+        if (this.canvasView) this.canvasView.setHover(null);
+        if (!this.nodes) return;
+
         this.nodes.selectAll('rect')
             .classed('highlighted', false)
             .classed('dimmed', false);
@@ -343,67 +1460,311 @@ class GraphRenderer {
     }
 
     showMetadata(node) {
+        // Every value shown here comes from the SQL, so all of it goes through escapeHTML
         const sidebar = document.getElementById('metadata-sidebar');
         const title = document.getElementById('sidebar-title');
         const content = document.getElementById('sidebar-content');
+        const isColumn = node.type === 'column';
+        const table = this.currentData.tables.find(t => t.id === (isColumn ? node.table : node.id)) || null;
 
-        title.textContent = this.isColumnView ? 'Column Details' : 'Table Details';
-        
-        let html = `
-            <div class="metadata-item">
-                <label>Name:</label>
-                <span>${node.label}</span>
-            </div>
-        `;
+        title.textContent = isColumn ? 'Column Details' : 'Table Details';
+
+        let html = this.metadataItem('Name', node.label);
+
+        if (!isColumn) {
+            html += this.metadataItem('Type', GraphRenderer.TABLE_TYPES[node.tableType] || node.tableType);
+            if (table) {
+                html += this.metadataItem('Catalog', table.catalog);
+                html += this.metadataItem('Schema', table.schema);
+            }
+            html += this.metadataItem('Group', node.group);
+            html += this.metadataItem('Columns', node.columnCount);
 
-        if (node.type === 'table') {
+            if (node.dbt) {
+                html += this.metadataItem(`dbt ${node.dbt.resourceType}`, node.dbt.name);
+                html += this.metadataItem('Path', node.dbt.path);
+            }
+        } else {
+            html += this.metadataItem('Type', 'Column');
             html += `
                 <div class="metadata-item">
-                    <label>Type:</label>
-                    <span>Table</span>
-                </div>
-                <div class="metadata-item">
-                    <label>Schema:</label>
-                    <span>${node.group}</span>
-                </div>
-                <div class="metadata-item">
-                    <label>Columns:</label>
-                    <span>${node.columnCount}</span>
+                    <label>Table:</label>
+                    <span>${this.nodeLink(node.table, 'table', node.tableName)}</span>
                 </div>
             `;
-        } else {
+            html += this.metadataItem('Derivation', node.transformation);
+            html += this.metadataItem('Expression', node.expression);
+        }
+
+        html += this.metadataItem('Data type', node.dataType);
+
+        if (node.diff && node.diff !== 'unchanged') {
+            html += this.metadataItem('Change', node.diff, `diff-item-${node.diff}`);
+            if (node.previous) {
+                html += this.metadataItem('Before', `${node.previous.transformation || ''} ${node.previous.expression || ''}`.trim());
+            }
+        }
+
+        if (node.warnings.length > 0) {
             html += `
-                <div class="metadata-item">
-                    <label>Type:</label>
-                    <span>Column</span>
-                </div>
-                <div class="metadata-item">
-                    <label>Table:</label>
-                    <span>${node.tableName}</span>
+                <div class="metadata-item metadata-warnings">
+                    <label>Warnings:</label>
+                    <ul>${node.warnings.map(warning => `<li>${this.escapeHTML(warning)}</li>`).join('')}</ul>
                 </div>
             `;
         }
 
+        html += this.lineageSection(node);
+        if (!isColumn && table) html += this.columnsSection(table);
+        html += this.snippetSection(node.span);
+        html += this.joinsSection(node);
+
+        // Impact analysis applies to the node the analysis started from
+        if (this.impact && this.impact.node.id === node.id) {
+            html += this.impactSection();
+        }
+
+        content.innerHTML = html;
+        this.bindImpactSection(content);
+        content.querySelectorAll('[data-node]').forEach(link => {
+            link.addEventListener('click', () => this.navigateTo(link.dataset.node, link.dataset.kind));
+        });
+        sidebar.classList.add('open');
+    }
+
+    showGroupMetadata(node) {
+        const content = document.getElementById('sidebar-content');
+        const [kind] = GraphRenderer.splitCollapseKey(node.aggregate);
+        document.getElementById('sidebar-title').textContent = 'Group Details';
+
+        let html = this.metadataItem('Name', node.label);
+        html += this.metadataItem('Type', `Collapsed ${GraphRenderer.COLLAPSE_KINDS[kind].toLowerCase()}`);
+        html += this.metadataItem('Tables', node.count);
+        html += this.metadataItem('Columns', node.columnCount);
+        if (node.diff && node.diff !== 'unchanged') {
+            html += this.metadataItem('Change', node.diff, `diff-item-${node.diff}`);
+        }
+        html += `
+            <div class="metadata-section">
+                <h4>Members</h4>
+                <ul class="metadata-links">${node.members.slice().sort().map(id => `<li>${this.nodeLink(id, 'table')}</li>`).join('')}</ul>
+                <button type="button" class="control-btn metadata-expand">Expand group</button>
+            </div>
+        `;
+
         content.innerHTML = html;
+        content.querySelector('.metadata-expand').addEventListener('click', () => this.expandGroup(node.aggregate));
+        content.querySelectorAll('[data-node]').forEach(link => {
+            link.addEventListener('click', () => this.navigateTo(link.dataset.node, link.dataset.kind));
+        });
+        document.getElementById('metadata-sidebar').classList.add('open');
+    }
+
+    metadataItem(label, value, className = null) {
+        // One "Label: value" row; rows without a value are left out
+        if (value === null || value === undefined || value === '') return '';
+        return `
+            <div class="metadata-item">
+                <label>${this.escapeHTML(label)}:</label>
+                <span${className ? ` class="${this.escapeHTML(className)}"` : ''}>${this.escapeHTML(value)}</span>
+            </div>
+        `;
+    }
+
+    nodeLink(id, kind, text = id) {
+        return `<button type="button" class="metadata-link" data-node="${this.escapeHTML(id)}" data-kind="${kind}">${this.escapeHTML(text)}</button>`;
+    }
+
+    lineageSection(node) {
+        // Direct neighbours (one step along data flow) and everything reachable transitively
+        const level = node.type === 'column' ? 'column' : 'table';
+        const direct = this.lineageGraph.impact(node.id, { level, depth: 1 });
+        const all = this.lineageGraph.impact(node.id, { level });
+        const neighbours = ids => Array.from(ids).sort().map(id => `<li>${this.nodeLink(id, level)}</li>`).join('');
+
+        return `
+            <div class="metadata-section">
+                <h4>Lineage</h4>
+                <dl class="metadata-counts">
+                    <dt>Upstream</dt><dd>${direct.upstream.size} direct · ${all.upstream.size} total</dd>
+                    <dt>Downstream</dt><dd>${direct.downstream.size} direct · ${all.downstream.size} total</dd>
+                </dl>
+                ${direct.upstream.size > 0 ? `<h5>Reads from</h5><ul class="metadata-links">${neighbours(direct.upstream.keys())}</ul>` : ''}
+                ${direct.downstream.size > 0 ? `<h5>Feeds</h5><ul class="metadata-links">${neighbours(direct.downstream.keys())}</ul>` : ''}
+            </div>
+        `;
+    }
+
+    columnsSection(table) {
+        if (table.columns.length === 0) return '';
+
+        const rows = table.columns.map(column => {
+            const derivation = column.expression && column.expression !== column.name
+                ? `<code>${this.escapeHTML(column.expression)}</code>`
+                : '';
+            return `
+                <li>
+                    ${this.nodeLink(`${table.id}.${column.name}`, 'column', column.name)}
+                    ${column.dataType ? `<small>${this.escapeHTML(column.dataType)}</small>` : ''}
+                    ${column.transformation && column.transformation !== 'direct' ? `<small>${this.escapeHTML(column.transformation)}</small>` : ''}
+                    ${derivation}
+                </li>
+            `;
+        }).join('');
+
+        return `
+            <div class="metadata-section">
+                <h4>Columns (${table.columns.length})</h4>
+                <ul class="metadata-columns">${rows}</ul>
+            </div>
+        `;
+    }
+
+    snippetSection(span) {
+        // Only graphs drawn from a single SQL text (not dbt projects or diffs) can be quoted
+        if (!span || !this.sourceSQL) return '';
+
+        let snippet = this.sourceSQL.slice(span.start, span.end);
+        if (snippet.length > GraphRenderer.SNIPPET_LENGTH) snippet = `${snippet.slice(0, GraphRenderer.SNIPPET_LENGTH)}…`;
+
+        return `
+            <div class="metadata-section">
+                <h4>SQL</h4>
+                <pre class="metadata-snippet">${this.escapeHTML(snippet)}</pre>
+            </div>
+        `;
+    }
+
+    joinsSection(node) {
+        const touches = (table, column) => node.type === 'column'
+            ? `${table}.${column}` === node.id
+            : table === node.id;
+        const joins = this.currentData.relationships.filter(rel => rel.type === 'join' &&
+            (touches(rel.source, rel.sourceColumn) || touches(rel.target, rel.targetColumn)));
+        if (joins.length === 0) return '';
+
+        const side = (table, column) => this.nodeLink(`${table}.${column}`, 'column');
+        const items = joins.map(rel => `<li>${side(rel.source, rel.sourceColumn)} = ${side(rel.target, rel.targetColumn)}</li>`).join('');
+
+        return `
+            <div class="metadata-section">
+                <h4>Join conditions (${joins.length})</h4>
+                <ul class="metadata-links">${items}</ul>
+            </div>
+        `;
+    }
+
+    navigateTo(id, kind) {
+        // Sidebar links select the node they name, drawn or not (a column in the table view shows its table)
+        const tableId = kind === 'column' ? this.columnTable(id) : id;
+        const table = this.currentData.tables.find(t => t.id === tableId);
+        if (!table) return;
+
+        let node = this.tableNode(table);
+        if (kind === 'column') {
+            const column = table.columns.find(col => `${table.id}.${col.name}` === id);
+            if (!column) return;
+            node = this.columnNode(table, column);
+        }
+
+        this.focusNode({ id, type: kind, table: tableId });
+        this.handleNodeClick(node);
+    }
+
+    showDiffSummary() {
+        // Sidebar listing what changed between the two compared queries
+        const summary = this.currentData && this.currentData.diff;
+        if (!summary) return;
+
+        const sidebar = document.getElementById('metadata-sidebar');
+        const content = document.getElementById('sidebar-content');
+        document.getElementById('sidebar-title').textContent = 'Lineage Changes';
+
+        const marks = { added: '+', removed: '−', changed: '~' };
+        const item = (status, text, id) => `<li class="diff-item-${status}"${id ? ` data-id="${this.escapeHTML(id)}"` : ''}>${marks[status]} ${this.escapeHTML(text)}</li>`;
+        const section = (title, group, level) => {
+            const items = ['added', 'removed', 'changed'].flatMap(status => group[status].map(entry => {
+                if (typeof entry === 'object') return item(status, `${entry.id}: ${entry.before} → ${entry.after}`, `${level}:${entry.id}`);
+                return item(status, entry, level ? `${level}:${entry}` : null);
+            }));
+            return `<h4>${title} (${items.length})</h4>${items.length > 0 ? `<ul>${items.join('')}</ul>` : ''}`;
+        };
+
+        const unchanged = !LineageDiff.hasChanges(summary);
+        content.innerHTML = `
+            <div class="diff-summary">
+                ${unchanged ? '<p>The two versions have the same lineage.</p>' : ''}
+                ${section('Tables', summary.tables, 'table')}
+                ${section('Columns', summary.columns, 'column')}
+                ${section('Edges', summary.edges, null)}
+            </div>
+        `;
+
+        // Entries for tables and columns centre the graph on them
+        content.querySelectorAll('li[data-id]').forEach(entry => {
+            entry.addEventListener('click', () => {
+                const [type, ...rest] = entry.dataset.id.split(':');
+                const id = rest.join(':');
+                this.focusNode(type === 'column' ? { id, type, table: this.columnTable(id) } : { id, type });
+            });
+        });
+
         sidebar.classList.add('open');
     }
 
+    escapeHTML(value) {
+        // Also escapes quotes, so the result is safe inside attribute values
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
     ticked() {
         if (this.links) {
-            this.links.attr('d', d => {
-                const dx = d.target.x - d.source.x;
-                const dy = d.target.y - d.source.y;
-                const dr = Math.sqrt(dx * dx + dy * dy) * 0.3;
-                return `M${d.source.x},${d.source.y}A${dr},${dr} 0 0,1 ${d.target.x},${d.target.y}`;
-            });
+            this.links.attr('d', d => this.linkPath(d));
         }
 
         if (this.nodes) {
             this.nodes.attr('transform', d => `translate(${d.x},${d.y})`);
         }
+        if (this.canvasView) this.canvasView.requestDraw();
+    }
+
+    linkPath(d) {
+        // Cards: from the source row's right port to the target row's left port
+        if (d.source.card) {
+            const source = this.portPosition(d.source, d.sourceColumn, 'right');
+            const target = this.portPosition(d.target, d.targetColumn, 'left');
+            const bend = Math.max(60, Math.abs(target.x - source.x) / 2);
+            return `M${source.x},${source.y}C${source.x + bend},${source.y} ${target.x - bend},${target.y} ${target.x},${target.y}`;
+        }
+
+        // Layered layout: horizontal S-curves from the right edge of the source to the left edge of the target
+        const sx = d.source.x + this.getNodeWidth(d.source) / 2;
+        const tx = d.target.x - this.getNodeWidth(d.target) / 2;
+        if (this.layoutMode === 'layered' && tx > sx) {
+            const mx = (sx + tx) / 2;
+            return `M${sx},${d.source.y}C${mx},${d.source.y} ${mx},${d.target.y} ${tx},${d.target.y}`;
+        }
+
+        const dx = d.target.x - d.source.x;
+        const dy = d.target.y - d.source.y;
+        const dr = Math.sqrt(dx * dx + dy * dy) * 0.3;
+        return `M${d.source.x},${d.source.y}A${dr},${dr} 0 0,1 ${d.target.x},${d.target.y}`;
     }
 
     animateIn() {
+        // Canvas drawings appear at once; staggering thousands of nodes would take minutes
+        if (this.canvasView) return;
+
+        // Reduced motion: show the end state without the elastic pop-in
+        if (this.reducedMotion) {
+            this.nodes.selectAll('rect').style('opacity', 1).attr('transform', 'scale(1)');
+            this.nodes.selectAll('text, circle, line').style('opacity', 1);
+            this.links.style('opacity', 0.7);
+            return;
+        }
+
         // Animate nodes
         this.nodes.selectAll('rect')
             .transition()
@@ -413,10 +1774,10 @@ class GraphRenderer {
             .attr('transform', 'scale(1)')
             .ease(d3.easeElasticOut);
 
-        this.nodes.selectAll('text')
+        this.nodes.selectAll('text, circle, line')
             .transition()
             .duration(600)
-            .delay((d, i) => i * 100 + 200)
+            .delay((d, i) => Math.min(i, 5) * 100 + 200)
             .style('opacity', 1);
 
         // Animate links
@@ -428,34 +1789,186 @@ class GraphRenderer {
             .ease(d3.easeQuadOut);
     }
 
-    toggleView() {
+    setViewMode(mode) {
         if (!this.currentData) return;
-        
-        this.isColumnView = !this.isColumnView;
-        this.render(this.currentData, this.isColumnView);
+
+        this.render(this.currentData, mode);
+    }
+
+    filterOptions() {
+        // Values present in the current data, for building the filter panel
+        const data = this.currentData;
+        if (!data) return { groups: [], tableTypes: [], relationships: [] };
+
+        const unique = values => Array.from(new Set(values)).sort();
+        return {
+            groups: unique(data.tables.map(table => this.getTableGroup(table))),
+            tableTypes: unique(data.tables.map(table => table.type)),
+            relationships: unique(data.relationships.map(rel => rel.type))
+        };
+    }
+
+    setFilter(kind, value, visible) {
+        const hidden = this.filters[kind];
+        if (visible) {
+            hidden.delete(value);
+        } else {
+            hidden.add(value);
+        }
+
+        if (this.currentData) {
+            this.renderGraph(this.prepareGraphData(this.currentData, this.viewMode));
+        }
+    }
+
+    search(query, limit = 10) {
+        // Fuzzy-match table and column names; a column also matches on "table.column", but only as a
+        // substring, since a scattered match across both names is rarely what was meant
+        const text = query.trim();
+        if (!this.currentData || !text) return [];
+
+        const matches = [];
+        this.currentData.tables.forEach(table => {
+            const score = Math.max(GraphRenderer.fuzzyScore(text, table.name), GraphRenderer.fuzzyScore(text, table.id));
+            if (score > 0) {
+                matches.push({ id: table.id, label: table.name, detail: table.type, type: 'table', score });
+            }
+
+            table.columns.forEach(column => {
+                const qualifiedScore = GraphRenderer.fuzzyScore(text, `${table.name}.${column.name}`);
+                const columnScore = Math.max(GraphRenderer.fuzzyScore(text, column.name), qualifiedScore >= 40 ? qualifiedScore - 5 : 0);
+                if (columnScore > 0) {
+                    matches.push({ id: `${table.id}.${column.name}`, table: table.id, label: column.name, detail: table.name, type: 'column', score: columnScore });
+                }
+            });
+        });
+
+        return matches
+            .sort((a, b) => b.score - a.score || (a.type === 'table' ? 0 : 1) - (b.type === 'table' ? 0 : 1) ||
+                a.label.length - b.label.length || a.label.localeCompare(b.label))
+            .slice(0, limit);
+    }
+
+    static fuzzyScore(query, text) {
+        // 0 for no match; exact > prefix > substring > characters in order, fewer gaps scoring higher
+        const q = query.toLowerCase();
+        const t = text.toLowerCase();
+        if (t === q) return 100;
+        if (t.startsWith(q)) return 80;
+
+        const index = t.indexOf(q);
+        if (index >= 0) return 60 - Math.min(index, 20);
+
+        let position = -1;
+        let gaps = 0;
+        for (const char of q) {
+            const next = t.indexOf(char, position + 1);
+            if (next < 0) return 0;
+            if (position >= 0 && next > position + 1) gaps++;
+            position = next;
+        }
+        return Math.max(1, 30 - gaps * 3);
+    }
+
+    locate(offset) {
+        // The table or column whose source span most tightly encloses a position in the SQL,
+        // in the same shape as a search match
+        if (!this.currentData) return null;
+
+        let best = null;
+        const consider = (span, match) => {
+            if (!span || offset < span.start || offset > span.end) return;
+            if (!best || span.end - span.start < best.size) best = { ...match, size: span.end - span.start };
+        };
+        this.currentData.tables.forEach(table => {
+            consider(table.span, { id: table.id, type: 'table' });
+            table.columns.forEach(column => consider(column.span, { id: `${table.id}.${column.name}`, table: table.id, type: 'column' }));
+        });
+        return best;
+    }
+
+    focusNode(match) {
+        // Centre on a search match: the column's own node in column view, otherwise its table or card.
+        // Returns false when the match is hidden by the filters.
+        const nodes = this.drawnNodes();
+        const tableId = match.type === 'column' ? match.table : match.id;
+        const node = nodes.find(d => d.id === match.id) ||
+            nodes.find(d => d.id === tableId) ||
+            nodes.find(d => d.table === tableId) ||
+            nodes.find(d => d.aggregate && d.members.includes(tableId));
+        if (!node) return false;
+
+        if (this.canvasView) {
+            this.canvasView.setMatch(node, match.id);
+        } else {
+            this.nodes.classed('search-match', d => d === node);
+            this.nodes.selectAll('.card-row').classed('search-match', r => r.column.id === match.id);
+        }
+
+        const scale = Math.max(d3.zoomTransform(this.svg.node()).k, 1.2);
+        const transform = d3.zoomIdentity
+            .translate(this.width / 2, this.height / 2)
+            .scale(scale)
+            .translate(-node.x, -node.y);
+
+        this.svg.transition()
+            .duration(this.duration(750))
+            .call(this.zoom.transform, transform);
+
+        return true;
+    }
+
+    getViewState() {
+        // Zoom transform and dragged node positions, rounded to keep permalinks short
+        const transform = d3.zoomTransform(this.svg.node());
+        const round = value => Math.round(value * 100) / 100;
+
+        return {
+            zoom: { x: round(transform.x), y: round(transform.y), k: round(transform.k) },
+            pinned: Array.from(this.pinned, ([id, position]) => [id, Math.round(position.x), Math.round(position.y)])
+        };
+    }
+
+    setViewState({ zoom = null, pinned = [] } = {}) {
+        // Takes effect on the next render
+        this.pinned = new Map(pinned.map(([id, x, y]) => [id, { x, y }]));
+        this.initialZoom = zoom ? d3.zoomIdentity.translate(zoom.x, zoom.y).scale(zoom.k) : null;
     }
 
     resetZoom() {
         this.svg.transition()
-            .duration(750)
+            .duration(this.duration(750))
             .call(this.zoom.transform, d3.zoomIdentity);
     }
 
     drag() {
         return d3.drag()
             .on('start', (event, d) => {
+                if (!this.simulation) return;
                 if (!event.active) this.simulation.alphaTarget(0.3).restart();
                 d.fx = d.x;
                 d.fy = d.y;
             })
             .on('drag', (event, d) => {
+                if (!this.simulation) {
+                    // No simulation to run: move the node and redraw its links directly
+                    d.x = event.x;
+                    d.y = event.y;
+                    this.ticked();
+                    return;
+                }
                 d.fx = event.x;
                 d.fy = event.y;
             })
             .on('end', (event, d) => {
+                // A dragged node stays where it was dropped, in either layout, and is shared in permalinks
+                if (!this.simulation) {
+                    this.pinned.set(d.id, { x: d.x, y: d.y });
+                    this.positions.set(d.id, { x: d.x, y: d.y });
+                    return;
+                }
                 if (!event.active) this.simulation.alphaTarget(0);
-                d.fx = null;
-                d.fy = null;
+                this.pinned.set(d.id, { x: d.fx, y: d.fy });
             });
     }
 
@@ -469,6 +1982,7 @@ class GraphRenderer {
 
     resize() {
         this.updateDimensions();
+        if (this.canvasView) this.canvasView.resize();
         if (this.simulation) {
             this.simulation
                 .force('center', d3.forceCenter(this.width / 2, this.height / 2))
@@ -476,3 +1990,47 @@ class GraphRenderer {
         }
     }
 }
+
+// Table card geometry, in pixels
+GraphRenderer.CARD = { header: 32, row: 20, padding: 6 };
+
+GraphRenderer.GROUP_PALETTE = [
+    { fill: '#f59e0b', stroke: '#fbbf24' },
+    { fill: '#ec4899', stroke: '#f472b6' },
+    { fill: '#14b8a6', stroke: '#2dd4bf' },
+    { fill: '#6366f1', stroke: '#818cf8' },
+    { fill: '#84cc16', stroke: '#a3e635' },
+    { fill: '#ef4444', stroke: '#f87171' }
+];
+
+// Sidebar names for the parser's table types
+GraphRenderer.TABLE_TYPES = {
+    table: 'Table',
+    view: 'View',
+    cte: 'CTE',
+    subquery: 'Subquery',
+    function: 'Table function',
+    result: 'Query result',
+    aggregate: 'Collapsed group'
+};
+
+// What each kind of collapse key groups tables by
+GraphRenderer.COLLAPSE_KINDS = {
+    schema: 'Schema',
+    group: 'Layer / folder',
+    cte: 'CTE group'
+};
+
+// Count badge on collapsed groups, and how long their members take to slide out on expanding
+GraphRenderer.BADGE_RADIUS = 11;
+GraphRenderer.EXPAND_DURATION = 600;
+
+// Longest SQL snippet quoted in the sidebar, in characters
+GraphRenderer.SNIPPET_LENGTH = 2000;
+
+// Graphs with more nodes than this are laid out in a worker and painted on a canvas
+GraphRenderer.CANVAS_THRESHOLD = 300;
+
+// Neighbours named in a node's spoken description, and how close to the edge a focused node may sit before panning
+GraphRenderer.DESCRIBED_NEIGHBOURS = 5;
+GraphRenderer.FOCUS_MARGIN = 40;
@@ -0,0 +1,96 @@
+class LayerRules {
+    // Ordered rules that put tables into layers (the graph's groups) by their catalog, schema or name;
+    // the first matching rule wins. A rule is
+    // { label, field: 'name' | 'catalog' | 'schema' | 'table', syntax: 'glob' | 'regex', pattern, color, legend }
+    // where 'name' is the qualified name and 'table' its last part. Globs match the whole value with
+    // * and ?; regular expressions match anywhere unless anchored. Both ignore case.
+    constructor(rules = LayerRules.DEFAULTS) {
+        this.rules = rules.map(rule => LayerRules.normalize(rule));
+        this.matchers = this.rules.map(rule => LayerRules.compile(rule));
+    }
+
+    static normalize(rule) {
+        const normalized = {
+            label: String(rule.label || '').trim(),
+            field: rule.field || 'name',
+            syntax: rule.syntax || 'glob',
+            pattern: String(rule.pattern || ''),
+            color: rule.color || LayerRules.DEFAULT_COLOR,
+            legend: rule.legend !== false
+        };
+
+        if (!normalized.label) throw new Error('A layer rule needs a label');
+        if (!LayerRules.FIELDS.includes(normalized.field)) throw new Error(`Unknown field "${normalized.field}"`);
+        if (!['glob', 'regex'].includes(normalized.syntax)) throw new Error(`Unknown pattern syntax "${normalized.syntax}"`);
+        if (!/^#[0-9a-f]{6}$/i.test(normalized.color)) throw new Error(`"${normalized.color}" is not a #rrggbb colour`);
+        return normalized;
+    }
+
+    static compile(rule) {
+        if (rule.syntax === 'regex') {
+            try {
+                return new RegExp(rule.pattern, 'i');
+            } catch (error) {
+                throw new Error(`Invalid regular expression for layer "${rule.label}": ${error.message}`);
+            }
+        }
+
+        const source = rule.pattern
+            .split('')
+            .map(char => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+            .join('');
+        return new RegExp(`^${source}$`, 'i');
+    }
+
+    static fieldValue(table, field) {
+        switch (field) {
+            case 'catalog':
+                return table.catalog || '';
+            case 'schema':
+                return table.schema || '';
+            case 'table':
+                return table.objectName || table.name.split('.').pop();
+            default:
+                return table.name;
+        }
+    }
+
+    classify(table) {
+        // The first rule matching the table, or null
+        const index = this.rules.findIndex((rule, i) => rule.pattern && this.matchers[i].test(LayerRules.fieldValue(table, rule.field)));
+        return index >= 0 ? this.rules[index] : null;
+    }
+
+    colorOf(label) {
+        const rule = this.rules.find(candidate => candidate.label === label);
+        return rule ? rule.color : null;
+    }
+
+    legend() {
+        // One entry per label, in rule order
+        const seen = new Set();
+        return this.rules.filter(rule => {
+            if (!rule.legend || seen.has(rule.label)) return false;
+            seen.add(rule.label);
+            return true;
+        });
+    }
+
+    toJSON() {
+        return this.rules.map(rule => ({ ...rule }));
+    }
+}
+
+LayerRules.FIELDS = ['name', 'catalog', 'schema', 'table'];
+LayerRules.DEFAULT_COLOR = '#8b5cf6';
+
+// The medallion layers, matched as whole words of the qualified name so "silverware_sales" stays unclassified
+LayerRules.DEFAULTS = [
+    { label: 'bronze', field: 'name', syntax: 'regex', pattern: '(^|[._])bronze([._]|$)', color: '#ff6b35' },
+    { label: 'silver', field: 'name', syntax: 'regex', pattern: '(^|[._])silver([._]|$)', color: '#00d4ff' },
+    { label: 'gold', field: 'name', syntax: 'regex', pattern: '(^|[._])gold([._]|$)', color: '#00ff88' }
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LayerRules };
+}
@@ -0,0 +1,69 @@
+class BackgroundLayout {
+    // Layouts for GraphRenderer's canvas mode, computed in a Web Worker running this same file so
+    // thousands of nodes don't freeze the page. Where a worker can't start (pages opened from
+    // file://, blocked CDN) the layout runs on the main thread instead.
+    // A request is { mode: 'layered' | 'force', nodes: [{ id, width, height, x?, y? }], links: [{ source, target, type }] }
+    // and the result is [[id, x, y], ...] centred on the origin.
+
+    static run(request) {
+        return BackgroundLayout.inWorker(request).catch(() => BackgroundLayout.compute(request));
+    }
+
+    static inWorker(request) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(BackgroundLayout.SCRIPT);
+            worker.onmessage = ({ data }) => {
+                worker.terminate();
+                if (data.error) {
+                    reject(new Error(data.error));
+                } else {
+                    resolve(data.positions);
+                }
+            };
+            worker.onerror = event => {
+                worker.terminate();
+                reject(new Error(event.message || 'Layout worker failed'));
+            };
+            worker.postMessage(request);
+        });
+    }
+
+    static compute({ mode, nodes, links }) {
+        if (mode === 'force') return BackgroundLayout.force(nodes, links);
+
+        // Joins relate tables without moving data between them, so they don't decide the layers
+        const flowLinks = links.filter(link => link.type !== 'join');
+        const positions = new LayeredLayout().run(nodes, flowLinks, node => ({ width: node.width, height: node.height }));
+        return Array.from(positions, ([id, position]) => [id, position.x, position.y]);
+    }
+
+    static force(nodes, links) {
+        // The forces of GraphRenderer's live simulation, run to rest in one go
+        const simulation = d3.forceSimulation(nodes.map(node => ({ ...node })))
+            .force('link', d3.forceLink(links.map(link => ({ ...link }))).id(d => d.id).distance(150))
+            .force('charge', d3.forceManyBody().strength(-300))
+            .force('center', d3.forceCenter(0, 0))
+            .force('collision', d3.forceCollide().radius(60))
+            .stop();
+
+        const ticks = Math.ceil(Math.log(simulation.alphaMin()) / Math.log(1 - simulation.alphaDecay()));
+        simulation.tick(ticks);
+        return simulation.nodes().map(node => [node.id, node.x, node.y]);
+    }
+}
+
+BackgroundLayout.SCRIPT = 'layout-worker.js';
+BackgroundLayout.DEPENDENCIES = ['dag-layout.js', 'https://d3js.org/d3.v7.min.js'];
+
+// Inside the worker: load the layout code and answer requests
+if (typeof window === 'undefined' && typeof importScripts === 'function') {
+    importScripts(...BackgroundLayout.DEPENDENCIES);
+
+    self.onmessage = ({ data }) => {
+        try {
+            self.postMessage({ positions: BackgroundLayout.compute(data) });
+        } catch (error) {
+            self.postMessage({ error: error.message });
+        }
+    };
+}
@@ -0,0 +1,152 @@
+class LineageDiff {
+    // Compares two SQLParser results. compare() returns one merged result in the parser's shape where
+    // every table, column and relationship carries diff: 'added' | 'removed' | 'changed' | 'unchanged',
+    // plus a summary of what changed, so the graph views can draw both versions at once.
+
+    static compare(before, after) {
+        const summary = {
+            tables: { added: [], removed: [], changed: [] },
+            columns: { added: [], removed: [], changed: [] },
+            edges: { added: [], removed: [], changed: [] }
+        };
+
+        const relationships = LineageDiff.mergeRelationships(before.relationships, after.relationships, summary);
+        const tables = LineageDiff.mergeTables(before.tables, after.tables, summary);
+
+        // A table whose inputs changed is changed even if its own columns read the same
+        const rewired = new Set(relationships.filter(rel => rel.diff !== 'unchanged').map(rel => rel.target));
+        tables.forEach(table => {
+            if (table.diff === 'unchanged' && rewired.has(table.id)) {
+                table.diff = 'changed';
+                summary.tables.changed.push(table.id);
+            }
+        });
+
+        const columnIds = new Set(after.columns.map(column => column.id));
+        return {
+            tables,
+            relationships,
+            columns: [...after.columns, ...before.columns.filter(column => !columnIds.has(column.id))],
+            diagnostics: after.diagnostics,
+            diff: summary
+        };
+    }
+
+    static mergeTables(beforeTables, afterTables, summary) {
+        const previous = new Map(beforeTables.map(table => [table.id, table]));
+        const current = new Set(afterTables.map(table => table.id));
+
+        const tables = afterTables.map(table => {
+            const old = previous.get(table.id);
+            if (!old) {
+                summary.tables.added.push(table.id);
+                return { ...table, diff: 'added', columns: table.columns.map(column => ({ ...column, diff: 'added' })) };
+            }
+
+            const columns = LineageDiff.mergeColumns(table, old, summary);
+            const changed = columns.some(column => column.diff !== 'unchanged');
+            if (changed) summary.tables.changed.push(table.id);
+            return { ...table, diff: changed ? 'changed' : 'unchanged', columns };
+        });
+
+        beforeTables.filter(table => !current.has(table.id)).forEach(table => {
+            summary.tables.removed.push(table.id);
+            tables.push({ ...table, diff: 'removed', columns: table.columns.map(column => ({ ...column, diff: 'removed' })) });
+        });
+
+        return tables;
+    }
+
+    static mergeColumns(table, old, summary) {
+        const previous = new Map(old.columns.map(column => [column.name.toLowerCase(), column]));
+        const current = new Set(table.columns.map(column => column.name.toLowerCase()));
+        const id = column => `${table.id}.${column.name}`;
+
+        const columns = table.columns.map(column => {
+            const before = previous.get(column.name.toLowerCase());
+            if (!before) {
+                summary.columns.added.push(id(column));
+                return { ...column, diff: 'added' };
+            }
+            if (LineageDiff.derivationKey(before) !== LineageDiff.derivationKey(column)) {
+                summary.columns.changed.push({ id: id(column), before: LineageDiff.derivation(before), after: LineageDiff.derivation(column) });
+                return { ...column, diff: 'changed', previous: { expression: before.expression || null, transformation: before.transformation || null } };
+            }
+            return { ...column, diff: 'unchanged' };
+        });
+
+        old.columns.filter(column => !current.has(column.name.toLowerCase())).forEach(column => {
+            summary.columns.removed.push(id(column));
+            columns.push({ ...column, diff: 'removed' });
+        });
+
+        return columns;
+    }
+
+    static derivation(column) {
+        const expression = (column.expression || '').replace(/\s+/g, ' ').trim();
+        return `${column.transformation || 'direct'}: ${expression}`;
+    }
+
+    static derivationKey(column) {
+        // Whitespace and the case of keywords and names don't change what a column computes; the contents
+        // of string literals and quoted identifiers do, so those are compared as written
+        const expression = column.expression || '';
+        let normalized;
+        try {
+            normalized = new SQLTokenizer().tokenize(expression)
+                .filter(token => token.type !== 'eof')
+                .map(token => (token.type === 'word' ? token.upper : expression.slice(token.start, token.end)))
+                .join(' ');
+        } catch (error) {
+            if (!(error instanceof SQLSyntaxError)) throw error;
+            normalized = expression.replace(/\s+/g, ' ').trim();
+        }
+        return `${column.transformation || 'direct'}: ${normalized}`;
+    }
+
+    static mergeRelationships(beforeRelationships, afterRelationships, summary) {
+        // Edges are matched on their endpoints; the same endpoints with another derivation is a change
+        const key = rel => `${rel.source}.${rel.sourceColumn || '*'}->${rel.target}.${rel.targetColumn || '*'}:${rel.type}`;
+        const label = rel => key(rel).replace(/:(\w+)$/, ' ($1)');
+        const previous = new Map(beforeRelationships.map(rel => [key(rel), rel]));
+        const current = new Set(afterRelationships.map(key));
+        const seen = new Set();
+
+        const relationships = [];
+        afterRelationships.forEach(rel => {
+            const k = key(rel);
+            if (seen.has(k)) return;
+            seen.add(k);
+
+            const old = previous.get(k);
+            if (!old) {
+                summary.edges.added.push(label(rel));
+                relationships.push({ ...rel, diff: 'added' });
+            } else if ((old.transformation || null) !== (rel.transformation || null)) {
+                summary.edges.changed.push(label(rel));
+                relationships.push({ ...rel, diff: 'changed', previousTransformation: old.transformation || null });
+            } else {
+                relationships.push({ ...rel, diff: 'unchanged' });
+            }
+        });
+
+        beforeRelationships.forEach(rel => {
+            const k = key(rel);
+            if (current.has(k) || seen.has(k)) return;
+            seen.add(k);
+            summary.edges.removed.push(label(rel));
+            relationships.push({ ...rel, diff: 'removed' });
+        });
+
+        return relationships;
+    }
+
+    static hasChanges(summary) {
+        return Object.values(summary).some(group => Object.values(group).some(list => list.length > 0));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LineageDiff };
+}
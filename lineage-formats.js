@@ -0,0 +1,152 @@
+class LineageFormatter {
+    // Serialises a SQLParser result ({ tables, relationships, columns, diagnostics })
+
+    static toJSON(data) {
+        return JSON.stringify({
+            tables: data.tables,
+            relationships: data.relationships,
+            columns: data.columns,
+            diagnostics: data.diagnostics
+        }, null, 2);
+    }
+
+    static toDOT(data, { columns = false } = {}) {
+        const quote = value => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        const lines = ['digraph lineage {', '    rankdir=LR;', '    node [shape=box, fontname="Helvetica"];'];
+
+        if (columns) {
+            data.tables.forEach((table, i) => {
+                lines.push(`    subgraph cluster_${i} {`);
+                lines.push(`        label=${quote(table.name)};`);
+                if (LineageFormatter.INTERMEDIATE_TYPES.has(table.type)) lines.push('        style=dashed;');
+                table.columns.forEach(column => {
+                    lines.push(`        ${quote(`${table.id}.${column.name}`)} [label=${quote(column.name)}];`);
+                });
+                lines.push('    }');
+            });
+        } else {
+            data.tables.forEach(table => {
+                const style = LineageFormatter.INTERMEDIATE_TYPES.has(table.type) ? ', style=dashed' : '';
+                lines.push(`    ${quote(table.id)} [label=${quote(table.name)}${style}];`);
+            });
+        }
+
+        LineageFormatter.edges(data, columns).forEach(edge => {
+            lines.push(`    ${quote(edge.source)} -> ${quote(edge.target)} [label=${quote(edge.label)}];`);
+        });
+
+        lines.push('}');
+        return lines.join('\n');
+    }
+
+    static toMermaid(data, { columns = false } = {}) {
+        // Mermaid ids must be plain words, so nodes are numbered and labelled separately
+        const ids = new Map();
+        const idFor = key => {
+            if (!ids.has(key)) ids.set(key, `n${ids.size}`);
+            return ids.get(key);
+        };
+        const label = value => `"${String(value).replace(/"/g, '#quot;')}"`;
+        const lines = ['flowchart LR'];
+
+        if (columns) {
+            data.tables.forEach(table => {
+                lines.push(`    subgraph ${idFor(`table:${table.id}`)}[${label(table.name)}]`);
+                table.columns.forEach(column => {
+                    lines.push(`        ${idFor(`${table.id}.${column.name}`)}[${label(column.name)}]`);
+                });
+                lines.push('    end');
+            });
+        } else {
+            data.tables.forEach(table => {
+                const text = label(table.name);
+                const shape = LineageFormatter.INTERMEDIATE_TYPES.has(table.type) ? `(${text})` : `[${text}]`;
+                lines.push(`    ${idFor(table.id)}${shape}`);
+            });
+        }
+
+        LineageFormatter.edges(data, columns).forEach(edge => {
+            if (!ids.has(edge.source) || !ids.has(edge.target)) return;
+            lines.push(`    ${ids.get(edge.source)} -->|${edge.label}| ${ids.get(edge.target)}`);
+        });
+
+        return lines.join('\n');
+    }
+
+    static mappings(data) {
+        // One row per lineage edge, target first; table-level edges ('*') leave the columns empty
+        const names = new Map(data.tables.map(table => [table.id, table.name]));
+        const column = name => (name && name !== '*' ? name : '');
+        const seen = new Set();
+
+        return data.relationships
+            .map(rel => ({
+                target: names.get(rel.target) || rel.target,
+                targetColumn: column(rel.targetColumn),
+                source: names.get(rel.source) || rel.source,
+                sourceColumn: column(rel.sourceColumn),
+                transformation: rel.transformation || '',
+                expression: rel.expression || '',
+                type: rel.type,
+                diff: rel.diff || '',
+                targetId: rel.target,
+                sourceId: rel.source
+            }))
+            .filter(row => {
+                const key = LineageFormatter.MAPPING_COLUMNS.map(({ key }) => row[key]).join('\u0000');
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    static csv(rows, columns) {
+        // RFC 4180: fields with commas, quotes or line breaks are quoted, quotes doubled
+        const field = value => {
+            const text = String(value === null || value === undefined ? '' : value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns.map(column => field(column.label)), ...rows.map(row => columns.map(column => field(row[column.key])))]
+            .map(fields => fields.join(','))
+            .join('\r\n');
+    }
+
+    static edges(data, columns) {
+        // Same edges the graph view draws: one per column pair, or one per table pair and type
+        const seen = new Set();
+        const edges = [];
+
+        data.relationships.forEach(rel => {
+            if (columns && (rel.sourceColumn === '*' || rel.targetColumn === '*' || !rel.sourceColumn || !rel.targetColumn)) return;
+
+            const source = columns ? `${rel.source}.${rel.sourceColumn}` : rel.source;
+            const target = columns ? `${rel.target}.${rel.targetColumn}` : rel.target;
+            const label = columns && rel.transformation ? `${rel.type}:${rel.transformation}` : rel.type;
+            const key = `${source}->${target}:${label}`;
+
+            if (seen.has(key)) return;
+            seen.add(key);
+            edges.push({ source, target, label });
+        });
+
+        return edges;
+    }
+}
+
+LineageFormatter.INTERMEDIATE_TYPES = new Set(['cte', 'subquery', 'function']);
+
+// Columns of the source-to-target mapping rows: row key and CSV / table header
+LineageFormatter.MAPPING_COLUMNS = [
+    { key: 'target', label: 'Target table' },
+    { key: 'targetColumn', label: 'Target column' },
+    { key: 'source', label: 'Source table' },
+    { key: 'sourceColumn', label: 'Source column' },
+    { key: 'transformation', label: 'Transformation' },
+    { key: 'expression', label: 'Expression' },
+    { key: 'type', label: 'Relationship' },
+    { key: 'diff', label: 'Change' }
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LineageFormatter };
+}
@@ -0,0 +1,58 @@
+class LineageGraph {
+    // Adjacency over a SQLParser result, at table and column level, for walking lineage transitively.
+    // Joins relate tables without moving data between them, so they are not followed.
+    constructor(data) {
+        this.tables = { down: new Map(), up: new Map() };
+        this.columns = { down: new Map(), up: new Map() };
+
+        data.relationships.forEach(rel => {
+            if (rel.type === 'join') return;
+
+            LineageGraph.link(this.tables, rel.source, rel.target);
+            if (rel.sourceColumn && rel.targetColumn && rel.sourceColumn !== '*' && rel.targetColumn !== '*') {
+                LineageGraph.link(this.columns, `${rel.source}.${rel.sourceColumn}`, `${rel.target}.${rel.targetColumn}`);
+            }
+        });
+    }
+
+    static link(edges, source, target) {
+        if (source === target) return;
+        if (!edges.down.has(source)) edges.down.set(source, new Set());
+        if (!edges.up.has(target)) edges.up.set(target, new Set());
+        edges.down.get(source).add(target);
+        edges.up.get(target).add(source);
+    }
+
+    walk(id, { level = 'table', direction = 'downstream', depth = Infinity } = {}) {
+        // Breadth-first, so each reachable id is reported with its shortest distance
+        const edges = (level === 'column' ? this.columns : this.tables)[direction === 'upstream' ? 'up' : 'down'];
+        const distances = new Map();
+        let frontier = [id];
+
+        for (let distance = 1; frontier.length > 0 && distance <= depth; distance++) {
+            const next = [];
+            frontier.forEach(current => {
+                (edges.get(current) || []).forEach(neighbour => {
+                    if (neighbour === id || distances.has(neighbour)) return;
+                    distances.set(neighbour, distance);
+                    next.push(neighbour);
+                });
+            });
+            frontier = next;
+        }
+
+        return distances;
+    }
+
+    impact(id, { level = 'table', direction = 'both', depth = Infinity } = {}) {
+        // Returns { upstream, downstream }: Maps of id -> distance (empty for the direction not asked for)
+        return {
+            upstream: direction === 'downstream' ? new Map() : this.walk(id, { level, direction: 'upstream', depth }),
+            downstream: direction === 'upstream' ? new Map() : this.walk(id, { level, direction: 'downstream', depth })
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LineageGraph };
+}
@@ -0,0 +1,213 @@
+class LineageTable {
+    // The lineage the graph shows, as a table of source-to-target mappings: one row per edge between
+    // tables or columns, after the filter panel. Rows sort by any column and narrow to those containing
+    // the filter text; what is listed exports as CSV. It is a plain <table> with a caption and header
+    // cells, so screen readers can move through it by row and column. Table and column names are
+    // buttons selecting the node in the graph, and rows touching the graph's selection are highlighted.
+    constructor(container, renderer) {
+        this.container = container;
+        this.renderer = renderer;
+        // Sorted column and direction; unsorted rows keep the parser's order
+        this.sort = { key: null, ascending: true };
+        this.query = '';
+        // Rows of the drawn table, in order
+        this.listed = [];
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'lineage-table-toolbar';
+
+        this.filterInput = document.createElement('input');
+        this.filterInput.type = 'search';
+        this.filterInput.placeholder = 'Filter mappings…';
+        this.filterInput.setAttribute('aria-label', 'Filter mappings');
+        this.filterInput.addEventListener('input', () => {
+            this.query = this.filterInput.value.trim().toLowerCase();
+            this.render();
+        });
+
+        const exportButton = document.createElement('button');
+        exportButton.type = 'button';
+        exportButton.className = 'control-btn';
+        exportButton.textContent = 'Export CSV';
+        exportButton.addEventListener('click', () => this.exportCSV());
+
+        toolbar.append(this.filterInput, exportButton);
+        this.body = document.createElement('div');
+        this.body.className = 'lineage-table-scroll';
+        this.container.append(toolbar, this.body);
+    }
+
+    get visible() {
+        return !this.container.hidden;
+    }
+
+    show() {
+        this.container.hidden = false;
+        this.refresh();
+    }
+
+    hide() {
+        this.container.hidden = true;
+    }
+
+    refresh() {
+        // Only rebuilt while on screen; show() catches up
+        if (this.visible) this.render();
+    }
+
+    rows() {
+        const renderer = this.renderer;
+        if (!renderer.currentData) return [];
+        return LineageFormatter.mappings(renderer.filterLineage(renderer.currentData));
+    }
+
+    columns(rows) {
+        // The change column only means something when comparing two versions
+        return LineageFormatter.MAPPING_COLUMNS.filter(column => column.key !== 'diff' || rows.some(row => row.diff));
+    }
+
+    listedRows(rows) {
+        // The rows containing the filter text in any column, in the chosen order
+        const { key, ascending } = this.sort;
+        const listed = this.query
+            ? rows.filter(row => LineageFormatter.MAPPING_COLUMNS.some(column => String(row[column.key]).toLowerCase().includes(this.query)))
+            : rows.slice();
+
+        if (key) {
+            // Empty cells last in either direction; Array.prototype.sort is stable, so ties keep parser order
+            listed.sort((a, b) => {
+                if (!a[key] || !b[key]) return !a[key] - !b[key];
+                const order = a[key].localeCompare(b[key], undefined, { numeric: true, sensitivity: 'base' });
+                return ascending ? order : -order;
+            });
+        }
+        return listed;
+    }
+
+    setSort(key) {
+        // Ascending, then descending, then back to the parser's order
+        if (this.sort.key !== key) {
+            this.sort = { key, ascending: true };
+        } else if (this.sort.ascending) {
+            this.sort = { key, ascending: false };
+        } else {
+            this.sort = { key: null, ascending: true };
+        }
+        this.render();
+    }
+
+    render() {
+        const rows = this.rows();
+        const listed = this.listedRows(rows);
+        const columns = this.columns(rows);
+        const tables = new Set(rows.flatMap(row => [row.sourceId, row.targetId]));
+
+        const table = document.createElement('table');
+        table.className = 'lineage-table';
+
+        const caption = document.createElement('caption');
+        if (rows.length === 0) {
+            caption.textContent = 'No lineage to show';
+        } else {
+            const shown = listed.length === rows.length ? '' : `${listed.length} of `;
+            caption.textContent = `${shown}${rows.length} mapping${rows.length === 1 ? '' : 's'} between ${tables.size} table${tables.size === 1 ? '' : 's'}`;
+        }
+        table.appendChild(caption);
+
+        // Header buttons sort; aria-sort tells screen readers which column is sorted and how
+        const head = table.createTHead().insertRow();
+        columns.forEach(column => {
+            const cell = document.createElement('th');
+            cell.scope = 'col';
+            const sorted = this.sort.key === column.key;
+            if (sorted) cell.setAttribute('aria-sort', this.sort.ascending ? 'ascending' : 'descending');
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'lineage-table-sort';
+            button.textContent = column.label;
+            if (sorted) button.dataset.direction = this.sort.ascending ? 'ascending' : 'descending';
+            button.addEventListener('click', () => this.setSort(column.key));
+            cell.appendChild(button);
+            head.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        listed.forEach(row => {
+            const tr = body.insertRow();
+            if (row.diff && row.diff !== 'unchanged') tr.classList.add(`diff-item-${row.diff}`);
+            columns.forEach(column => tr.appendChild(this.cell(row, column.key)));
+            // Clicking a row away from its links selects the target it maps to
+            tr.addEventListener('click', event => {
+                if (event.target.closest('button')) return;
+                if (row.targetColumn) {
+                    this.renderer.navigateTo(`${row.targetId}.${row.targetColumn}`, 'column');
+                } else {
+                    this.renderer.navigateTo(row.targetId, 'table');
+                }
+            });
+        });
+
+        this.listed = listed;
+        this.body.replaceChildren(table);
+        this.syncSelection();
+    }
+
+    cell(row, key) {
+        const cell = document.createElement('td');
+        const value = row[key];
+
+        // Names select their node; the table columns link to the column, the others are plain text
+        if (value && (key === 'source' || key === 'target')) {
+            cell.appendChild(this.link(row[`${key}Id`], 'table', value));
+        } else if (value && (key === 'sourceColumn' || key === 'targetColumn')) {
+            const tableId = key === 'sourceColumn' ? row.sourceId : row.targetId;
+            cell.appendChild(this.link(`${tableId}.${value}`, 'column', value));
+        } else if (value && key === 'expression') {
+            const code = document.createElement('code');
+            code.textContent = value;
+            cell.appendChild(code);
+        } else {
+            cell.textContent = value || '';
+        }
+        return cell;
+    }
+
+    link(id, kind, text) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'metadata-link';
+        button.textContent = text;
+        button.addEventListener('click', () => this.renderer.navigateTo(id, kind));
+        return button;
+    }
+
+    syncSelection() {
+        // Highlight the rows reading from or writing to the node selected in the graph, and bring the first into view
+        if (!this.visible) return;
+        const impact = this.renderer.impact;
+        const selected = impact ? impact.node : null;
+        const touches = (row, end) => {
+            if (!selected) return false;
+            const tableId = row[`${end}Id`];
+            if (selected.type !== 'column') return tableId === selected.id;
+            return `${tableId}.${row[`${end}Column`]}` === selected.id;
+        };
+
+        let first = null;
+        this.body.querySelectorAll('tbody tr').forEach((tr, i) => {
+            const row = this.listed[i];
+            const on = touches(row, 'source') || touches(row, 'target');
+            tr.classList.toggle('lineage-row-selected', on);
+            if (on && !first) first = tr;
+        });
+        if (first && first.scrollIntoView) first.scrollIntoView({ block: 'nearest' });
+    }
+
+    exportCSV() {
+        // What is listed, in the order listed
+        const rows = this.rows();
+        const csv = LineageFormatter.csv(this.listedRows(rows), this.columns(rows));
+        GraphExporter.download(csv, 'lineage-mappings.csv', 'text/csv');
+    }
+}
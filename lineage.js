@@ -0,0 +1,57 @@
+// Node entry point for the lineage parser. The parser sources are classic browser
+// scripts whose classes find each other as globals, so they are published on
+// globalThis before use, exactly as the <script> tags in index.html do.
+const modules = [
+    require('./sql-dialects.js'),
+    require('./sql-tokenizer.js'),
+    require('./sql-ast-parser.js'),
+    require('./sql-scope.js'),
+    require('./schema-catalog.js'),
+    require('./sql-parser.js'),
+    require('./dbt-project.js'),
+    require('./lineage-formats.js'),
+    require('./lineage-graph.js'),
+    require('./lineage-diff.js'),
+    require('./layer-rules.js'),
+    require('./dag-layout.js')
+];
+
+const exported = Object.assign({}, ...modules);
+Object.entries(exported).forEach(([name, value]) => {
+    if (!(name in globalThis)) globalThis[name] = value;
+});
+
+const { SQLParser, SchemaCatalog, LineageFormatter } = exported;
+
+function extractLineage(sql, options = {}) {
+    // options: { dialect, defaultCatalog, defaultSchema, catalog: SchemaCatalog, segments: [{ start, end }] }
+    const parser = new SQLParser(options);
+    if (options.catalog) parser.setCatalog(options.catalog);
+    return parser.parseQuery(sql, { segments: options.segments || null });
+}
+
+function formatLineage(data, format = 'json', options = {}) {
+    switch (format) {
+        case 'json':
+            return LineageFormatter.toJSON(data);
+        case 'dot':
+            return LineageFormatter.toDOT(data, options);
+        case 'mermaid':
+            return LineageFormatter.toMermaid(data, options);
+        default:
+            throw new Error(`Unknown format "${format}" (expected json, dot or mermaid)`);
+    }
+}
+
+function loadCatalog(text, fileName = '') {
+    const catalog = new SchemaCatalog();
+    catalog.load(text, fileName);
+    return catalog;
+}
+
+module.exports = {
+    ...exported,
+    extractLineage,
+    formatLineage,
+    loadCatalog
+};
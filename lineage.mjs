@@ -0,0 +1,23 @@
+// ES module entry point; see lineage.js
+import lineage from './lineage.js';
+
+export const {
+    SQLDialect,
+    SQLTokenizer,
+    SQLSyntaxError,
+    SQLASTParser,
+    SQLScope,
+    SchemaCatalog,
+    SQLParser,
+    DbtProject,
+    LineageFormatter,
+    LineageGraph,
+    LineageDiff,
+    LayerRules,
+    LayeredLayout,
+    extractLineage,
+    formatLineage,
+    loadCatalog
+} = lineage;
+
+export default lineage;
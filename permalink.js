@@ -0,0 +1,77 @@
+class Permalink {
+    // Packs app state into a URL hash: JSON, deflated where the browser has CompressionStream,
+    // then base64url. The hash reads "<version>.<z|p>.<data>" (z: deflated, p: plain).
+
+    static async encode(state) {
+        const bytes = new TextEncoder().encode(JSON.stringify(state));
+
+        if (typeof CompressionStream === 'undefined') {
+            return `${Permalink.VERSION}.p.${Permalink.toBase64(bytes)}`;
+        }
+        const compressed = await Permalink.pipe(bytes, new CompressionStream('deflate-raw'));
+        return `${Permalink.VERSION}.z.${Permalink.toBase64(compressed)}`;
+    }
+
+    static async decode(hash) {
+        // Returns null for hashes that aren't permalinks; throws for damaged ones
+        const match = /^#?(v\d+)\.([zp])\.([A-Za-z0-9_-]+)$/.exec(hash);
+        if (!match) return null;
+        if (match[1] !== Permalink.VERSION) throw new Error(`Unsupported link version ${match[1]}`);
+
+        let bytes = Permalink.fromBase64(match[3]);
+        if (match[2] === 'z') {
+            bytes = await Permalink.pipe(bytes, new DecompressionStream('deflate-raw'));
+        }
+        return JSON.parse(new TextDecoder().decode(bytes));
+    }
+
+    static validate(state) {
+        // Links come from anyone, so only well-formed values are kept; anything else falls back to the defaults
+        if (state === null) return null;
+        if (typeof state !== 'object' || Array.isArray(state)) throw new Error('Link state is not an object');
+
+        const finite = value => typeof value === 'number' && Number.isFinite(value);
+        const oneOf = (value, allowed) => (allowed.includes(value) ? value : null);
+        const { zoom, pinned } = state;
+
+        return {
+            sql: typeof state.sql === 'string' ? state.sql : '',
+            dialect: typeof state.dialect === 'string' ? state.dialect : null,
+            theme: oneOf(state.theme, Permalink.THEMES),
+            layout: oneOf(state.layout, Permalink.LAYOUTS),
+            view: oneOf(state.view, Permalink.VIEWS),
+            zoom: zoom && finite(zoom.x) && finite(zoom.y) && finite(zoom.k) && zoom.k > 0
+                ? { x: zoom.x, y: zoom.y, k: zoom.k }
+                : null,
+            pinned: Array.isArray(pinned)
+                ? pinned.filter(pin => Array.isArray(pin) && typeof pin[0] === 'string' && finite(pin[1]) && finite(pin[2]))
+                    .map(([id, x, y]) => [id, x, y])
+                : []
+        };
+    }
+
+    static async pipe(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64(text) {
+        const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
+
+Permalink.VERSION = 'v1';
+
+// Values a link may carry for the app's settings
+Permalink.THEMES = ['dark', 'light'];
+Permalink.LAYOUTS = ['layered', 'force'];
+Permalink.VIEWS = ['table', 'column', 'cards'];
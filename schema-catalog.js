@@ -0,0 +1,175 @@
+class SchemaCatalog {
+    constructor() {
+        // Lower-cased catalog.schema.table -> { catalog, schema, name, columns: [{ name, dataType }] }
+        this.tables = new Map();
+    }
+
+    get size() {
+        return this.tables.size;
+    }
+
+    clear() {
+        this.tables.clear();
+    }
+
+    addTable(catalog, schema, name, columns = []) {
+        const key = [catalog, schema, name].filter(Boolean).join('.').toLowerCase();
+
+        if (!this.tables.has(key)) {
+            this.tables.set(key, { catalog: catalog || null, schema: schema || null, name, columns: [] });
+        }
+
+        const table = this.tables.get(key);
+        columns.forEach(column => {
+            if (!table.columns.some(col => col.name.toLowerCase() === column.name.toLowerCase())) {
+                table.columns.push({ name: column.name, dataType: column.dataType || null });
+            }
+        });
+
+        return table;
+    }
+
+    lookup({ catalog, schema, objectName }) {
+        // Match on every level the reference spells out; a partial name must match exactly one table
+        const matches = Array.from(this.tables.values()).filter(table =>
+            SchemaCatalog.sameName(table.name, objectName) &&
+            (!schema || !table.schema || SchemaCatalog.sameName(table.schema, schema)) &&
+            (!catalog || !table.catalog || SchemaCatalog.sameName(table.catalog, catalog))
+        );
+
+        return matches.length === 1 ? matches[0] : null;
+    }
+
+    load(text, fileName = '', dialect = null) {
+        // Returns the number of tables the file described
+        const trimmed = text.trim();
+        if (!trimmed) return 0;
+
+        if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+            const json = JSON.parse(trimmed);
+            return json.nodes || json.sources ? this.loadDbtCatalog(json) : this.loadInformationSchema(json);
+        }
+
+        if (/\.csv$/i.test(fileName) || /^[^\n]*column_name[^\n]*,/i.test(trimmed)) {
+            return this.loadInformationSchema(SchemaCatalog.parseCSV(trimmed));
+        }
+
+        return this.loadDDL(trimmed, dialect);
+    }
+
+    loadInformationSchema(rows) {
+        // Rows exported from information_schema.columns, as parsed CSV or a JSON array
+        const tables = new Set();
+        const list = Array.isArray(rows) ? rows : (rows.rows || rows.data || []);
+
+        list
+            .map(row => SchemaCatalog.lowerKeys(row))
+            .sort((a, b) => Number(a.ordinal_position || 0) - Number(b.ordinal_position || 0))
+            .forEach(row => {
+                const name = row.table_name;
+                if (!name || !row.column_name) return;
+
+                const table = this.addTable(row.table_catalog, row.table_schema, name, [{
+                    name: row.column_name,
+                    dataType: row.data_type
+                }]);
+                tables.add(table);
+            });
+
+        return tables.size;
+    }
+
+    loadDbtCatalog(json) {
+        // dbt docs generate: { nodes: {...}, sources: {...} } keyed by unique_id
+        const entries = [...Object.values(json.nodes || {}), ...Object.values(json.sources || {})];
+
+        entries.forEach(entry => {
+            const metadata = entry.metadata || {};
+            const columns = Object.values(entry.columns || {})
+                .sort((a, b) => (a.index || 0) - (b.index || 0))
+                .map(column => ({ name: column.name, dataType: column.type }));
+
+            this.addTable(metadata.database, metadata.schema, metadata.name, columns);
+        });
+
+        return entries.length;
+    }
+
+    loadDDL(sql, dialect = null) {
+        // Only plain CREATE TABLE definitions declare columns; everything else is ignored
+        const parser = new SQLASTParser({ dialect: dialect || SQLDialect.get('generic') });
+        const script = parser.parse(sql);
+        let count = 0;
+
+        script.statements.forEach(statement => {
+            if (statement.type !== 'create' || statement.query || statement.columns.length === 0) return;
+
+            const parts = statement.name;
+            this.addTable(
+                parts.length > 2 ? parts[parts.length - 3] : null,
+                parts.length > 1 ? parts[parts.length - 2] : null,
+                parts[parts.length - 1],
+                statement.columns.map(name => ({ name }))
+            );
+            count++;
+        });
+
+        return count;
+    }
+
+    static parseCSV(text) {
+        // RFC 4180: quoted fields may contain commas, newlines and doubled quotes
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',') {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        record.push(field);
+        records.push(record);
+
+        const [header, ...rows] = records.filter(row => row.some(value => value !== ''));
+        if (!header) return [];
+
+        return rows.map(row => Object.fromEntries(header.map((key, i) => [key.trim(), (row[i] || '').trim()])));
+    }
+
+    static lowerKeys(row) {
+        return Object.fromEntries(Object.entries(row).map(([key, value]) => [key.toLowerCase(), value]));
+    }
+
+    static sameName(a, b) {
+        return String(a).toLowerCase() === String(b).toLowerCase();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SchemaCatalog };
+}
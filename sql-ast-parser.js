@@ -0,0 +1,1471 @@
+class SQLASTParser {
+    constructor(options = {}) {
+        this.options = options;
+        this.dialect = options.dialect || SQLDialect.get('generic');
+        this.tokenizer = new SQLTokenizer(this.dialect.tokenizer);
+    }
+
+    parse(sql, start = 0, end = sql.length) {
+        // Parses sql[start, end); node positions index the whole string
+        this.sql = sql;
+        this.tokens = this.tokenizer.tokenize(sql, start, end);
+        this.index = 0;
+
+        return this.parseScript();
+    }
+
+    // ---- Token helpers ----
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.index + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type !== 'eof') this.index++;
+        return token;
+    }
+
+    previous() {
+        return this.tokens[Math.max(this.index - 1, 0)];
+    }
+
+    isKeyword(keyword, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'word' && token.upper === keyword;
+    }
+
+    isPunctuation(value, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'punctuation' && token.value === value;
+    }
+
+    isOperator(value, offset = 0) {
+        const token = this.peek(offset);
+        return token.type === 'operator' && token.value === value;
+    }
+
+    acceptKeyword(...keywords) {
+        // Accepts a sequence of keywords, e.g. acceptKeyword('GROUP', 'BY')
+        if (keywords.every((keyword, i) => this.isKeyword(keyword, i))) {
+            keywords.forEach(() => this.next());
+            return true;
+        }
+        return false;
+    }
+
+    acceptPunctuation(value) {
+        if (this.isPunctuation(value)) {
+            this.next();
+            return true;
+        }
+        return false;
+    }
+
+    acceptOperator(value) {
+        if (this.isOperator(value)) {
+            this.next();
+            return true;
+        }
+        return false;
+    }
+
+    expectKeyword(...keywords) {
+        if (!this.acceptKeyword(...keywords)) {
+            throw this.error(`Expected ${keywords.join(' ')}`);
+        }
+    }
+
+    expectOperator(value) {
+        if (!this.acceptOperator(value)) {
+            throw this.error(`Expected "${value}"`);
+        }
+    }
+
+    expectPunctuation(value) {
+        if (!this.acceptPunctuation(value)) {
+            throw this.error(`Expected "${value}"`);
+        }
+    }
+
+    error(message, token = this.peek()) {
+        const found = token.type === 'eof' ? 'end of input' : `"${this.sql.slice(token.start, token.end)}"`;
+        return new SQLSyntaxError(`${message} but found ${found} (line ${token.line}, column ${token.column})`, token);
+    }
+
+    node(type, startToken, props) {
+        // Every AST node records the source span it was parsed from
+        return {
+            type,
+            ...props,
+            start: startToken.start,
+            end: this.previous().end
+        };
+    }
+
+    isIdentifierToken(token) {
+        return token.type === 'identifier' ||
+            (token.type === 'word' && !SQLASTParser.RESERVED.has(token.upper));
+    }
+
+    // ---- Script and statements ----
+
+    parseScript() {
+        const start = this.peek();
+        const statements = [];
+
+        while (this.peek().type !== 'eof') {
+            if (this.acceptPunctuation(';')) continue;
+
+            const statementStart = this.index;
+            try {
+                statements.push(this.parseStatement());
+                if (!this.isPunctuation(';') && this.peek().type !== 'eof') {
+                    throw this.error('Expected end of statement');
+                }
+            } catch (error) {
+                if (!(error instanceof SQLSyntaxError)) throw error;
+
+                // Recover by skipping to the next statement boundary
+                this.index = statementStart;
+                const errorStart = this.peek();
+                this.skipToStatementEnd();
+                statements.push(this.node('error', errorStart, { error }));
+            }
+        }
+
+        return this.node('script', start, { statements });
+    }
+
+    skipToStatementEnd() {
+        let depth = 0;
+        while (this.peek().type !== 'eof') {
+            if (this.isPunctuation('(')) depth++;
+            else if (this.isPunctuation(')')) depth--;
+            else if (this.isPunctuation(';') && depth <= 0) break;
+            this.next();
+        }
+    }
+
+    parseStatement() {
+        const start = this.peek();
+        const startIndex = this.index;
+        let withClause = null;
+
+        if (this.isKeyword('WITH')) {
+            withClause = this.parseWithClause();
+
+            // Postgres-style WITH ... INSERT/UPDATE/MERGE
+            if (!['INSERT', 'UPDATE', 'MERGE'].some(k => this.isKeyword(k))) {
+                return this.parseQueryBody(start, withClause);
+            }
+        }
+
+        let statement = null;
+        switch (this.peek().upper) {
+            case 'SELECT':
+            case 'VALUES':
+                statement = this.parseQuery();
+                break;
+            case 'INSERT':
+                statement = this.parseInsert();
+                break;
+            case 'CREATE':
+                statement = this.parseCreate();
+                break;
+            case 'UPDATE':
+                statement = this.parseUpdate();
+                break;
+            case 'MERGE':
+                statement = this.parseMerge();
+                break;
+            default:
+                if (this.isPunctuation('(')) statement = this.parseQuery();
+        }
+
+        if (!statement) {
+            // Anything else is recorded so lineage extraction can report it
+            this.index = startIndex;
+            this.skipToStatementEnd();
+            return this.node('unknown', start, { keyword: start.upper });
+        }
+
+        if (withClause) {
+            statement.with = withClause.ctes;
+            statement.recursive = withClause.recursive;
+            statement.start = start.start;
+        }
+
+        return statement;
+    }
+
+    parseInsert() {
+        const start = this.peek();
+        this.expectKeyword('INSERT');
+
+        // INSERT INTO t, INSERT OVERWRITE [TABLE] t (Hive/Spark), INSERT INTO TABLE t
+        if (!this.acceptKeyword('OVERWRITE')) this.expectKeyword('INTO');
+        this.acceptKeyword('INTO');
+        this.acceptKeyword('TABLE');
+
+        const table = this.parseQualifiedName();
+
+        if (this.acceptKeyword('PARTITION')) {
+            this.skipParenthesised();
+        }
+
+        const columns = this.isPunctuation('(') && !this.isKeyword('SELECT', 1) && !this.isKeyword('WITH', 1)
+            ? this.parseIdentifierList()
+            : [];
+
+        let query = null;
+        if (!this.acceptKeyword('DEFAULT', 'VALUES')) {
+            query = this.parseQuery();
+        }
+
+        // ON CONFLICT / ON DUPLICATE KEY / RETURNING don't add lineage
+        this.skipToStatementEnd();
+
+        return this.node('insert', start, { table, columns, query });
+    }
+
+    parseCreate() {
+        const start = this.peek();
+        this.expectKeyword('CREATE');
+        this.acceptKeyword('OR', 'REPLACE');
+
+        while (SQLASTParser.CREATE_MODIFIERS.has(this.peek().upper)) this.next();
+
+        let objectType;
+        if (this.acceptKeyword('TABLE')) objectType = 'table';
+        else if (this.acceptKeyword('VIEW')) objectType = 'view';
+        else return null;
+
+        this.acceptKeyword('IF', 'NOT', 'EXISTS');
+        const name = this.parseQualifiedName();
+        const columns = this.isPunctuation('(') ? this.parseColumnDefinitions() : [];
+
+        // Skip table options (PARTITION BY, CLUSTER BY, WITH (...), COMMENT, ...) up to AS
+        while (!this.isKeyword('AS') && !this.isPunctuation(';') && this.peek().type !== 'eof') {
+            if (this.isPunctuation('(')) this.skipParenthesised();
+            else this.next();
+        }
+
+        const query = this.acceptKeyword('AS') ? this.parseQuery() : null;
+        this.skipToStatementEnd();
+
+        return this.node('create', start, { objectType, name, columns, query });
+    }
+
+    parseColumnDefinitions() {
+        // Column names from a CREATE TABLE definition or a view's column list
+        const columns = [];
+        this.expectPunctuation('(');
+
+        do {
+            if (SQLASTParser.TABLE_CONSTRAINTS.has(this.peek().upper)) {
+                this.skipDefinition();
+                continue;
+            }
+
+            columns.push(this.parseNamePart());
+            this.skipDefinition();
+        } while (this.acceptPunctuation(','));
+
+        this.expectPunctuation(')');
+        return columns;
+    }
+
+    skipDefinition() {
+        // Skip a column type and constraints up to the next top-level comma or closing paren
+        while (!this.isPunctuation(',') && !this.isPunctuation(')') && this.peek().type !== 'eof') {
+            if (this.isPunctuation('(')) this.skipParenthesised();
+            else this.next();
+        }
+    }
+
+    skipParenthesised() {
+        this.expectPunctuation('(');
+        let depth = 1;
+        while (depth > 0 && this.peek().type !== 'eof') {
+            if (this.isPunctuation('(')) depth++;
+            if (this.isPunctuation(')')) depth--;
+            this.next();
+        }
+    }
+
+    parseUpdate() {
+        const start = this.peek();
+        this.expectKeyword('UPDATE');
+        this.acceptKeyword('ONLY');
+
+        const target = this.parseTablePrimary();
+        this.expectKeyword('SET');
+        const assignments = this.parseAssignments();
+
+        const from = [];
+        if (this.acceptKeyword('FROM')) {
+            do {
+                from.push(this.parseTableReference());
+            } while (this.acceptPunctuation(','));
+        }
+
+        const where = this.acceptKeyword('WHERE') ? this.parseExpression() : null;
+        this.skipToStatementEnd();
+
+        return this.node('update', start, { target, assignments, from, where });
+    }
+
+    parseAssignments() {
+        const assignments = [];
+
+        do {
+            const start = this.peek();
+
+            if (this.isPunctuation('(')) {
+                // (a, b) = (x, y) or (a, b) = (SELECT ...)
+                const columns = this.parseIdentifierList();
+                this.expectOperator('=');
+                const value = this.parseExpression();
+                const values = value.type === 'row' ? value.items : columns.map(() => value);
+                columns.forEach((column, i) => {
+                    assignments.push(this.node('assignment', start, { column, expr: values[i] || value }));
+                });
+                continue;
+            }
+
+            const parts = this.parseQualifiedName();
+            this.expectOperator('=');
+            const expr = this.parseExpression();
+            assignments.push(this.node('assignment', start, { column: parts[parts.length - 1], expr }));
+        } while (this.acceptPunctuation(','));
+
+        return assignments;
+    }
+
+    parseMerge() {
+        const start = this.peek();
+        this.expectKeyword('MERGE');
+        this.acceptKeyword('INTO');
+
+        const target = this.parseTablePrimary();
+        this.expectKeyword('USING');
+        const source = this.parseTablePrimary();
+        this.expectKeyword('ON');
+        const on = this.parseExpression();
+
+        const clauses = [];
+        while (this.isKeyword('WHEN')) {
+            clauses.push(this.parseMergeClause());
+        }
+
+        if (clauses.length === 0) {
+            throw this.error('Expected WHEN');
+        }
+
+        return this.node('merge', start, { target, source, on, clauses });
+    }
+
+    parseMergeClause() {
+        const start = this.peek();
+        this.expectKeyword('WHEN');
+        const matched = !this.acceptKeyword('NOT');
+        this.expectKeyword('MATCHED');
+        this.acceptKeyword('BY', 'TARGET') || this.acceptKeyword('BY', 'SOURCE');
+
+        const condition = this.acceptKeyword('AND') ? this.parseExpression() : null;
+        this.expectKeyword('THEN');
+
+        const clause = { matched, condition, action: null, assignments: [], columns: [], values: [] };
+
+        if (this.acceptKeyword('UPDATE', 'SET')) {
+            clause.action = 'update';
+            clause.assignments = this.parseAssignments();
+        } else if (this.acceptKeyword('DELETE')) {
+            clause.action = 'delete';
+        } else if (this.acceptKeyword('INSERT')) {
+            clause.action = 'insert';
+            if (this.isPunctuation('(')) clause.columns = this.parseIdentifierList();
+            if (this.acceptKeyword('VALUES')) {
+                this.expectPunctuation('(');
+                clause.values = this.parseExpressionList();
+                this.expectPunctuation(')');
+            } else {
+                this.expectKeyword('ROW');
+            }
+        } else if (this.acceptKeyword('DO', 'NOTHING')) {
+            clause.action = 'nothing';
+        } else {
+            throw this.error('Expected UPDATE, DELETE or INSERT');
+        }
+
+        return this.node('mergeClause', start, clause);
+    }
+
+    // ---- Queries ----
+
+    parseQuery() {
+        const start = this.peek();
+        const withClause = this.isKeyword('WITH') ? this.parseWithClause() : { ctes: [], recursive: false };
+        return this.parseQueryBody(start, withClause);
+    }
+
+    parseWithClause() {
+        this.expectKeyword('WITH');
+        const recursive = this.acceptKeyword('RECURSIVE');
+        const ctes = [];
+
+        do {
+            ctes.push(this.parseCTE());
+        } while (this.acceptPunctuation(','));
+
+        return { ctes, recursive };
+    }
+
+    parseQueryBody(start, { ctes, recursive }) {
+        let body = this.parseSetOperation();
+        const orderBy = this.parseOrderBy();
+
+        // Spark/Hive distribution clauses don't affect lineage
+        while (this.dialect.supports('distributionClauses') &&
+            ['CLUSTER', 'DISTRIBUTE', 'SORT'].some(k => this.isKeyword(k)) && this.isKeyword('BY', 1)) {
+            this.next();
+            this.next();
+            this.parseExpressionList();
+            this.acceptKeyword('ASC') || this.acceptKeyword('DESC');
+        }
+
+        const limit = this.parseLimit();
+
+        if (ctes.length > 0 || orderBy.length > 0 || limit) {
+            body = this.node('query', start, { with: ctes, recursive, body, orderBy, limit });
+        }
+
+        return body;
+    }
+
+    parseCTE() {
+        const start = this.peek();
+        const name = this.parseIdentifier();
+        const columns = this.isPunctuation('(') ? this.parseIdentifierList() : [];
+
+        this.expectKeyword('AS');
+        this.acceptKeyword('NOT');
+        this.acceptKeyword('MATERIALIZED');
+        this.expectPunctuation('(');
+        const query = this.parseQuery();
+        this.expectPunctuation(')');
+
+        return this.node('cte', start, { name, columns, query });
+    }
+
+    parseSetOperation() {
+        const start = this.peek();
+        let left = this.parseQueryTerm();
+
+        while (['UNION', 'EXCEPT', 'INTERSECT', 'MINUS'].some(op => this.isKeyword(op))) {
+            const op = this.next().upper;
+            const all = this.acceptKeyword('ALL');
+            this.acceptKeyword('DISTINCT');
+            const right = this.parseQueryTerm();
+            left = this.node('setOperation', start, { op, all, left, right });
+        }
+
+        return left;
+    }
+
+    parseQueryTerm() {
+        if (this.acceptPunctuation('(')) {
+            const query = this.parseQuery();
+            this.expectPunctuation(')');
+            return query;
+        }
+        if (this.isKeyword('VALUES')) {
+            return this.parseValues();
+        }
+        return this.parseSelect();
+    }
+
+    parseValues() {
+        const start = this.peek();
+        this.expectKeyword('VALUES');
+        const rows = [];
+
+        do {
+            this.expectPunctuation('(');
+            rows.push(this.parseExpressionList());
+            this.expectPunctuation(')');
+        } while (this.acceptPunctuation(','));
+
+        return this.node('values', start, { rows });
+    }
+
+    parseSelect() {
+        const start = this.peek();
+        this.expectKeyword('SELECT');
+
+        let distinct = false;
+        if (this.acceptKeyword('DISTINCT')) {
+            distinct = true;
+            if (this.acceptKeyword('ON')) {
+                this.expectPunctuation('(');
+                this.parseExpressionList();
+                this.expectPunctuation(')');
+            }
+        } else {
+            this.acceptKeyword('ALL');
+        }
+
+        if (this.dialect.supports('top') && this.acceptKeyword('TOP')) {
+            this.parsePrimary();
+            this.acceptKeyword('PERCENT');
+            this.acceptKeyword('WITH', 'TIES');
+        }
+
+        const columns = [];
+        do {
+            columns.push(this.parseSelectItem());
+        } while (this.acceptPunctuation(','));
+
+        const select = { distinct, columns, into: null, from: [], where: null, groupBy: [], having: null, qualify: null };
+
+        // T-SQL / Postgres SELECT ... INTO new_table
+        if (this.acceptKeyword('INTO')) {
+            while (['TEMP', 'TEMPORARY', 'UNLOGGED'].some(k => this.isKeyword(k))) this.next();
+            this.acceptKeyword('TABLE');
+            select.into = this.parseQualifiedName();
+        }
+
+        if (this.acceptKeyword('FROM')) {
+            do {
+                select.from.push(this.parseTableReference());
+            } while (this.acceptPunctuation(','));
+        }
+
+        while (this.dialect.supports('lateralView') && this.isKeyword('LATERAL') && this.isKeyword('VIEW', 1)) {
+            select.from.push(this.parseLateralView());
+        }
+
+        if (this.acceptKeyword('WHERE')) {
+            select.where = this.parseExpression();
+        }
+
+        if (this.acceptKeyword('GROUP', 'BY')) {
+            this.acceptKeyword('ALL');
+            select.groupBy = this.parseGroupingList();
+        }
+
+        if (this.acceptKeyword('HAVING')) {
+            select.having = this.parseExpression();
+        }
+
+        if (this.acceptKeyword('WINDOW')) {
+            do {
+                this.parseIdentifier();
+                this.expectKeyword('AS');
+                this.parseWindowSpec();
+            } while (this.acceptPunctuation(','));
+        }
+
+        if (this.dialect.supports('qualify') && this.acceptKeyword('QUALIFY')) {
+            select.qualify = this.parseExpression();
+        }
+
+        return this.node('select', start, select);
+    }
+
+    parseLateralView() {
+        // Spark/Hive: LATERAL VIEW [OUTER] explode(expr) alias [AS col1, col2]
+        const start = this.peek();
+        this.expectKeyword('LATERAL', 'VIEW');
+        this.acceptKeyword('OUTER');
+
+        const name = this.parseQualifiedName();
+        const { args } = this.parseFunctionArguments(name);
+        const alias = this.parseIdentifier();
+        const columns = [];
+
+        if (this.acceptKeyword('AS')) {
+            do {
+                columns.push(this.parseNamePart());
+            } while (this.acceptPunctuation(','));
+        }
+
+        return this.node('tableFunction', start, { name, args, alias, columns, lateral: true });
+    }
+
+    parseSelectItem() {
+        const start = this.peek();
+
+        if (this.acceptOperator('*')) {
+            const star = this.node('star', start, { table: null });
+            this.parseStarModifiers(star);
+            return this.node('selectItem', start, { expr: star, alias: null });
+        }
+
+        // T-SQL: SELECT alias = expr
+        if (this.dialect.supports('assignmentAliases') && this.isIdentifierToken(this.peek()) && this.isOperator('=', 1)) {
+            const alias = this.next().value;
+            this.next();
+            return this.node('selectItem', start, { expr: this.parseExpression(), alias });
+        }
+
+        const expr = this.parseExpression();
+        if (expr.type === 'star') {
+            this.parseStarModifiers(expr);
+            return this.node('selectItem', start, { expr, alias: null });
+        }
+
+        const alias = this.parseAlias();
+
+        return this.node('selectItem', start, { expr, alias });
+    }
+
+    parseStarModifiers(star) {
+        // BigQuery * EXCEPT (...) / * REPLACE (...), Snowflake * EXCLUDE ... / * RENAME ...
+        star.except = [];
+        star.replace = [];
+        star.rename = [];
+        if (!this.dialect.supports('starModifiers')) return;
+
+        for (;;) {
+            if ((this.isKeyword('EXCEPT') && this.isPunctuation('(', 1) && !this.isKeyword('SELECT', 2)) ||
+                this.isKeyword('EXCLUDE')) {
+                this.next();
+                star.except.push(...(this.isPunctuation('(') ? this.parseIdentifierList() : [this.parseNamePart()]));
+            } else if (this.isKeyword('REPLACE') && this.isPunctuation('(', 1)) {
+                this.next();
+                this.expectPunctuation('(');
+                do {
+                    const expr = this.parseExpression();
+                    this.expectKeyword('AS');
+                    star.replace.push({ expr, alias: this.parseNamePart() });
+                } while (this.acceptPunctuation(','));
+                this.expectPunctuation(')');
+            } else if (this.isKeyword('RENAME')) {
+                this.next();
+                const parenthesised = this.acceptPunctuation('(');
+                do {
+                    const from = this.parseNamePart();
+                    this.expectKeyword('AS');
+                    star.rename.push({ from, to: this.parseNamePart() });
+                } while (parenthesised && this.acceptPunctuation(','));
+                if (parenthesised) this.expectPunctuation(')');
+            } else {
+                break;
+            }
+        }
+
+        star.end = this.previous().end;
+    }
+
+    parseAlias() {
+        if (this.acceptKeyword('AS')) {
+            const token = this.next();
+            if (token.type === 'word' || token.type === 'identifier' || token.type === 'string') {
+                return token.value;
+            }
+            throw this.error('Expected alias', token);
+        }
+
+        if (this.isIdentifierToken(this.peek())) {
+            return this.next().value;
+        }
+
+        return null;
+    }
+
+    parseGroupingList() {
+        const items = [];
+        do {
+            if (['ROLLUP', 'CUBE'].some(k => this.isKeyword(k)) && this.isPunctuation('(', 1)) {
+                this.next();
+                this.expectPunctuation('(');
+                items.push(...this.parseExpressionList());
+                this.expectPunctuation(')');
+            } else if (this.acceptKeyword('GROUPING', 'SETS')) {
+                this.expectPunctuation('(');
+                items.push(...this.parseExpressionList());
+                this.expectPunctuation(')');
+            } else {
+                items.push(this.parseExpression());
+            }
+        } while (this.acceptPunctuation(','));
+        return items;
+    }
+
+    parseOrderBy() {
+        const items = [];
+        if (!this.acceptKeyword('ORDER', 'BY')) return items;
+
+        do {
+            const start = this.peek();
+            const expr = this.parseExpression();
+            const direction = this.acceptKeyword('DESC') ? 'DESC' : 'ASC';
+            this.acceptKeyword('ASC');
+            if (this.acceptKeyword('NULLS')) {
+                this.acceptKeyword('FIRST') || this.expectKeyword('LAST');
+            }
+            items.push(this.node('orderItem', start, { expr, direction }));
+        } while (this.acceptPunctuation(','));
+
+        return items;
+    }
+
+    parseLimit() {
+        let limit = null;
+
+        if (this.acceptKeyword('LIMIT')) {
+            limit = this.acceptKeyword('ALL') ? null : this.parseExpression();
+            if (this.acceptPunctuation(',')) {
+                limit = this.parseExpression();
+            }
+        }
+
+        if (this.acceptKeyword('OFFSET')) {
+            this.parseExpression();
+            this.acceptKeyword('ROWS') || this.acceptKeyword('ROW');
+        }
+
+        if (this.acceptKeyword('FETCH')) {
+            this.acceptKeyword('FIRST') || this.expectKeyword('NEXT');
+            if (!this.isKeyword('ROWS') && !this.isKeyword('ROW')) {
+                limit = this.parseExpression();
+            }
+            this.acceptKeyword('ROWS') || this.expectKeyword('ROW');
+            this.acceptKeyword('ONLY') || this.expectKeyword('WITH', 'TIES');
+        }
+
+        return limit;
+    }
+
+    // ---- FROM clause ----
+
+    parseTableReference() {
+        const start = this.peek();
+        let left = this.parseTablePrimary();
+
+        for (;;) {
+            // Where the JOIN keywords begin, so the clause itself can be located in the source
+            const clauseStart = this.peek().start;
+            const joinType = this.parseJoinType();
+            if (!joinType) break;
+
+            const right = this.parseTablePrimary();
+            let on = null;
+            let using = [];
+
+            if (joinType.endsWith('APPLY') || joinType.startsWith('CROSS') || joinType.startsWith('NATURAL')) {
+                // No join condition
+            } else if (this.acceptKeyword('ON')) {
+                on = this.parseExpression();
+            } else if (this.acceptKeyword('USING')) {
+                using = this.parseIdentifierList();
+            }
+
+            left = this.node('join', start, { joinType, left, right, on, using, clauseStart });
+        }
+
+        return left;
+    }
+
+    parseJoinType() {
+        const joinTypes = [
+            ['NATURAL', 'LEFT', 'OUTER', 'JOIN'], ['NATURAL', 'RIGHT', 'OUTER', 'JOIN'], ['NATURAL', 'FULL', 'OUTER', 'JOIN'],
+            ['NATURAL', 'LEFT', 'JOIN'], ['NATURAL', 'RIGHT', 'JOIN'], ['NATURAL', 'FULL', 'JOIN'],
+            ['NATURAL', 'INNER', 'JOIN'], ['NATURAL', 'JOIN'],
+            ['LEFT', 'OUTER', 'JOIN'], ['RIGHT', 'OUTER', 'JOIN'], ['FULL', 'OUTER', 'JOIN'],
+            ['LEFT', 'JOIN'], ['RIGHT', 'JOIN'], ['FULL', 'JOIN'], ['INNER', 'JOIN'], ['CROSS', 'JOIN'],
+            ['JOIN'], ['CROSS', 'APPLY'], ['OUTER', 'APPLY']
+        ];
+
+        const match = joinTypes.find(keywords => keywords.every((keyword, i) => this.isKeyword(keyword, i)));
+        if (!match) return null;
+
+        match.forEach(() => this.next());
+        return match.filter(keyword => keyword !== 'OUTER' || match.includes('APPLY')).join(' ');
+    }
+
+    parseTablePrimary() {
+        const start = this.peek();
+        const lateral = this.acceptKeyword('LATERAL');
+
+        if (this.isPunctuation('(')) {
+            // Either a derived table or a parenthesised join
+            if (['SELECT', 'WITH', 'VALUES'].some(k => this.isKeyword(k, 1)) || this.isPunctuation('(', 1)) {
+                this.next();
+                const query = this.parseQuery();
+                this.expectPunctuation(')');
+                const { alias, columns } = this.parseTableAlias();
+                return this.node('derivedTable', start, { query, alias, columns, lateral });
+            }
+
+            this.next();
+            const inner = this.parseTableReference();
+            this.expectPunctuation(')');
+            return inner;
+        }
+
+        const name = this.parseQualifiedName();
+
+        if (this.isPunctuation('(')) {
+            // Table-valued function, e.g. UNNEST(...), generate_series(...)
+            const args = this.parseFunctionArguments();
+            const { alias, columns } = this.parseTableAlias();
+            return this.node('tableFunction', start, { name, args: args.args, alias, columns, lateral });
+        }
+
+        const { alias, columns } = this.parseTableAlias();
+
+        // T-SQL table hints: FROM t WITH (NOLOCK)
+        if (this.dialect.supports('tableHints') && this.isKeyword('WITH') && this.isPunctuation('(', 1)) {
+            this.next();
+            this.skipParenthesised();
+        }
+
+        return this.node('table', start, { name, alias, columns });
+    }
+
+    parseTableAlias() {
+        const alias = this.parseAlias();
+        const columns = alias && this.isPunctuation('(') ? this.parseIdentifierList() : [];
+        return { alias, columns };
+    }
+
+    // ---- Expressions ----
+
+    parseExpressionList() {
+        const exprs = [];
+        do {
+            exprs.push(this.parseExpression());
+        } while (this.acceptPunctuation(','));
+        return exprs;
+    }
+
+    parseExpression() {
+        return this.parseOr();
+    }
+
+    parseOr() {
+        const start = this.peek();
+        let left = this.parseAnd();
+        while (this.acceptKeyword('OR')) {
+            left = this.node('binary', start, { op: 'OR', left, right: this.parseAnd() });
+        }
+        return left;
+    }
+
+    parseAnd() {
+        const start = this.peek();
+        let left = this.parseNot();
+        while (this.acceptKeyword('AND')) {
+            left = this.node('binary', start, { op: 'AND', left, right: this.parseNot() });
+        }
+        return left;
+    }
+
+    parseNot() {
+        const start = this.peek();
+        if (this.acceptKeyword('NOT')) {
+            return this.node('unary', start, { op: 'NOT', operand: this.parseNot() });
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const start = this.peek();
+        let left = this.parseAdditive();
+
+        for (;;) {
+            const token = this.peek();
+
+            if (token.type === 'operator' && SQLASTParser.COMPARISON_OPERATORS.has(token.value)) {
+                this.next();
+                // ANY/ALL/SOME (subquery) comparisons
+                if (['ANY', 'ALL', 'SOME'].some(k => this.isKeyword(k)) && this.isPunctuation('(', 1)) {
+                    this.next();
+                }
+                left = this.node('binary', start, { op: token.value, left, right: this.parseAdditive() });
+                continue;
+            }
+
+            if (this.acceptKeyword('IS')) {
+                const not = this.acceptKeyword('NOT');
+                let right;
+                if (this.acceptKeyword('DISTINCT', 'FROM')) {
+                    right = this.parseAdditive();
+                } else {
+                    const valueStart = this.peek();
+                    this.next(); // NULL, TRUE, FALSE, UNKNOWN
+                    right = this.node('literal', valueStart, { value: valueStart.upper });
+                }
+                left = this.node('binary', start, { op: not ? 'IS NOT' : 'IS', left, right });
+                continue;
+            }
+
+            const not = this.isKeyword('NOT') &&
+                ['IN', 'BETWEEN', 'LIKE', 'ILIKE', 'RLIKE', 'SIMILAR', 'REGEXP'].some(k => this.isKeyword(k, 1));
+            if (not) this.next();
+
+            if (this.acceptKeyword('IN')) {
+                left = this.parseInPredicate(start, left, not);
+            } else if (this.acceptKeyword('BETWEEN')) {
+                this.acceptKeyword('SYMMETRIC');
+                const low = this.parseAdditive();
+                this.expectKeyword('AND');
+                const high = this.parseAdditive();
+                left = this.node('between', start, { expr: left, low, high, not });
+            } else if (['LIKE', 'ILIKE', 'RLIKE', 'REGEXP'].some(k => this.isKeyword(k)) || this.isKeyword('SIMILAR')) {
+                const op = this.next().upper;
+                if (op === 'SIMILAR') this.expectKeyword('TO');
+                this.acceptKeyword('ANY') || this.acceptKeyword('ALL');
+                const right = this.parseAdditive();
+                if (this.acceptKeyword('ESCAPE')) this.parseAdditive();
+                left = this.node('binary', start, { op: not ? `NOT ${op}` : op, left, right });
+            } else {
+                break;
+            }
+        }
+
+        return left;
+    }
+
+    parseInPredicate(start, expr, not) {
+        this.expectPunctuation('(');
+
+        if (this.isKeyword('SELECT') || this.isKeyword('WITH')) {
+            const query = this.parseQuery();
+            this.expectPunctuation(')');
+            return this.node('in', start, { expr, query, list: [], not });
+        }
+
+        const list = this.isPunctuation(')') ? [] : this.parseExpressionList();
+        this.expectPunctuation(')');
+        return this.node('in', start, { expr, query: null, list, not });
+    }
+
+    parseAdditive() {
+        const start = this.peek();
+        let left = this.parseMultiplicative();
+
+        while (['+', '-', '||', '&', '|', '^', '#'].some(op => this.isOperator(op))) {
+            const op = this.next().value;
+            left = this.node('binary', start, { op, left, right: this.parseMultiplicative() });
+        }
+
+        return left;
+    }
+
+    parseMultiplicative() {
+        const start = this.peek();
+        let left = this.parseUnary();
+
+        while (['*', '/', '%', '<<', '>>'].some(op => this.isOperator(op))) {
+            const op = this.next().value;
+            left = this.node('binary', start, { op, left, right: this.parseUnary() });
+        }
+
+        return left;
+    }
+
+    parseUnary() {
+        const start = this.peek();
+        if (['-', '+', '~', '!'].some(op => this.isOperator(op))) {
+            const op = this.next().value;
+            return this.node('unary', start, { op, operand: this.parseUnary() });
+        }
+        return this.parsePostfix();
+    }
+
+    parsePostfix() {
+        const start = this.peek();
+        let expr = this.parsePrimary();
+
+        for (;;) {
+            if (this.acceptOperator('::')) {
+                expr = this.node('cast', start, { expr, dataType: this.parseDataType() });
+            } else if (this.isPunctuation('[')) {
+                this.next();
+                const index = this.isPunctuation(']') ? null : this.parseExpression();
+                if (this.acceptOperator(':')) {
+                    if (!this.isPunctuation(']')) this.parseExpression();
+                }
+                this.expectPunctuation(']');
+                expr = this.node('subscript', start, { expr, index });
+            } else if (['->', '->>', '#>', '#>>'].some(op => this.isOperator(op))) {
+                const op = this.next().value;
+                expr = this.node('binary', start, { op, left: expr, right: this.parsePrimary() });
+            } else if (this.dialect.supports('variantPaths') && this.isOperator(':')) {
+                expr = this.node('path', start, { expr, path: this.parseVariantPath() });
+            } else if (this.acceptKeyword('COLLATE')) {
+                this.next();
+            } else if (this.acceptKeyword('AT', 'TIME', 'ZONE')) {
+                expr = this.node('function', start, { name: ['timezone'], args: [expr, this.parsePrimary()] });
+            } else {
+                break;
+            }
+        }
+
+        return expr;
+    }
+
+    parsePrimary() {
+        const start = this.peek();
+        const token = this.peek();
+
+        if (token.type === 'number' || token.type === 'string') {
+            this.next();
+            return this.node('literal', start, { value: token.value, literalType: token.type });
+        }
+
+        if (token.type === 'parameter') {
+            this.next();
+            return this.node('parameter', start, { name: token.value });
+        }
+
+        if (this.isOperator('*')) {
+            this.next();
+            return this.node('star', start, { table: null });
+        }
+
+        if (this.acceptPunctuation('(')) {
+            if (this.isKeyword('SELECT') || this.isKeyword('WITH')) {
+                const query = this.parseQuery();
+                this.expectPunctuation(')');
+                return this.node('subquery', start, { query });
+            }
+
+            const exprs = this.parseExpressionList();
+            this.expectPunctuation(')');
+            return exprs.length === 1
+                ? this.node('paren', start, { expr: exprs[0] })
+                : this.node('row', start, { items: exprs });
+        }
+
+        if (this.dialect.supports('arrayLiterals') && this.acceptPunctuation('[')) {
+            const items = this.isPunctuation(']') ? [] : this.parseExpressionList();
+            this.expectPunctuation(']');
+            return this.node('function', start, { name: ['ARRAY'], args: items });
+        }
+
+        if (token.type === 'word') {
+            switch (token.upper) {
+                case 'CASE':
+                    return this.parseCase();
+                case 'CAST':
+                case 'TRY_CAST':
+                case 'SAFE_CAST':
+                    if (this.isPunctuation('(', 1)) return this.parseCast();
+                    break;
+                case 'EXISTS':
+                    if (this.isPunctuation('(', 1)) {
+                        this.next();
+                        this.expectPunctuation('(');
+                        const query = this.parseQuery();
+                        this.expectPunctuation(')');
+                        return this.node('exists', start, { query });
+                    }
+                    break;
+                case 'INTERVAL':
+                    this.next();
+                    this.parsePrimary();
+                    while (SQLASTParser.INTERVAL_UNITS.has(this.peek().upper)) this.next();
+                    return this.node('literal', start, { value: this.sql.slice(start.start, this.previous().end), literalType: 'interval' });
+                case 'NULL':
+                case 'TRUE':
+                case 'FALSE':
+                    this.next();
+                    return this.node('literal', start, { value: token.upper, literalType: 'keyword' });
+                case 'DATE':
+                case 'TIME':
+                case 'TIMESTAMP':
+                    // Typed literals such as DATE '2024-01-01'
+                    if (this.peek(1).type === 'string') {
+                        this.next();
+                        const value = this.next().value;
+                        return this.node('literal', start, { value, literalType: token.upper.toLowerCase() });
+                    }
+                    break;
+                case 'ARRAY':
+                    if (this.isPunctuation('[', 1)) {
+                        this.next();
+                        this.next();
+                        const items = this.isPunctuation(']') ? [] : this.parseExpressionList();
+                        this.expectPunctuation(']');
+                        return this.node('function', start, { name: ['ARRAY'], args: items });
+                    }
+                    break;
+                default:
+                    if (SQLASTParser.NILADIC_FUNCTIONS.has(token.upper) && !this.isPunctuation('(', 1)) {
+                        this.next();
+                        return this.node('function', start, { name: [token.value], args: [] });
+                    }
+            }
+        }
+
+        if (token.type === 'word' || token.type === 'identifier') {
+            return this.parseColumnOrFunction();
+        }
+
+        throw this.error('Expected an expression');
+    }
+
+    parseColumnOrFunction() {
+        const start = this.peek();
+        const parts = [this.parseNamePart()];
+
+        while (this.isPunctuation('.')) {
+            this.next();
+            if (this.acceptOperator('*')) {
+                return this.node('star', start, { table: this.splitNameParts(parts) });
+            }
+            parts.push(this.parseNamePart());
+        }
+
+        if (this.isPunctuation('(')) {
+            return this.parseFunctionCall(start, parts);
+        }
+
+        if (start.type === 'word' && SQLASTParser.RESERVED.has(start.upper) && parts.length === 1) {
+            throw this.error('Expected an expression', start);
+        }
+
+        return this.node('column', start, { parts: this.splitNameParts(parts) });
+    }
+
+    parseFunctionCall(start, name) {
+        const { args, distinct, orderBy } = this.parseFunctionArguments(name);
+        let filter = null;
+        let over = null;
+
+        if (this.acceptKeyword('WITHIN', 'GROUP')) {
+            this.expectPunctuation('(');
+            orderBy.push(...this.parseOrderBy());
+            this.expectPunctuation(')');
+        }
+
+        if (this.acceptKeyword('FILTER')) {
+            this.expectPunctuation('(');
+            this.expectKeyword('WHERE');
+            filter = this.parseExpression();
+            this.expectPunctuation(')');
+        }
+
+        // Window null treatment doesn't affect lineage
+        this.acceptKeyword('IGNORE', 'NULLS') || this.acceptKeyword('RESPECT', 'NULLS');
+
+        if (this.acceptKeyword('OVER')) {
+            over = this.isPunctuation('(') ? this.parseWindowSpec() : { partitionBy: [], orderBy: [], name: this.parseIdentifier() };
+        }
+
+        return this.node('function', start, { name, args, distinct, orderBy, filter, over });
+    }
+
+    parseFunctionArguments(name = []) {
+        this.expectPunctuation('(');
+        const args = [];
+        const orderBy = [];
+        const distinct = this.acceptKeyword('DISTINCT');
+        this.acceptKeyword('ALL');
+
+        const functionName = name.length > 0 ? name[name.length - 1].toUpperCase() : '';
+
+        if (functionName === 'TRIM') {
+            this.acceptKeyword('BOTH') || this.acceptKeyword('LEADING') || this.acceptKeyword('TRAILING');
+        }
+
+        // EXTRACT(YEAR FROM d): the part named before FROM is a keyword, not a column
+        if (functionName === 'EXTRACT' && this.peek().type === 'word') {
+            args.push(this.parseDatePart());
+            this.expectKeyword('FROM');
+        }
+
+        // T-SQL's CONVERT(INT, a [, style]) names the target type first
+        if ((functionName === 'CONVERT' || functionName === 'TRY_CONVERT') && this.dialect.supports('convertTypeFirst')) {
+            const typeStart = this.peek();
+            args.push(this.node('literal', typeStart, { value: this.parseDataType(), literalType: 'type' }));
+            this.expectPunctuation(',');
+        }
+
+        while (!this.isPunctuation(')')) {
+            if (this.isOperator('*') && (this.isPunctuation(')', 1) || this.isPunctuation(',', 1))) {
+                const starToken = this.next();
+                args.push(this.node('star', starToken, { table: null }));
+            } else if (this.isKeyword('SELECT') || this.isKeyword('WITH')) {
+                const queryStart = this.peek();
+                args.push(this.node('subquery', queryStart, { query: this.parseQuery() }));
+            } else if (functionName === 'POSITION' || functionName === 'STRPOS') {
+                args.push(this.parseAdditive());
+                if (this.acceptKeyword('IN')) continue;
+            } else {
+                args.push(this.parseExpression());
+            }
+
+            // Named arguments, e.g. FLATTEN(input => col)
+            if (this.acceptOperator('=>')) {
+                args[args.length - 1] = this.parseExpression();
+            }
+
+            if (this.isKeyword('ORDER') && this.isKeyword('BY', 1)) {
+                orderBy.push(...this.parseOrderBy());
+            }
+
+            this.acceptKeyword('IGNORE', 'NULLS') || this.acceptKeyword('RESPECT', 'NULLS');
+
+            if (this.acceptKeyword('SEPARATOR')) {
+                args.push(this.parseExpression());
+            }
+
+            // STRUCT(a AS x): x names a field rather than reading a column
+            if (functionName === 'STRUCT' && this.acceptKeyword('AS')) {
+                this.parseIdentifier();
+            }
+
+            // Keyword-separated arguments: EXTRACT(x FROM y), SUBSTRING(x FROM a FOR b), CAST-like AS
+            if (['FROM', 'FOR', 'AS'].some(k => this.isKeyword(k))) {
+                this.next();
+                continue;
+            }
+
+            if (!this.acceptPunctuation(',')) break;
+        }
+
+        this.expectPunctuation(')');
+        this.markDatePart(functionName, args);
+        return { args, distinct, orderBy };
+    }
+
+    markDatePart(functionName, args) {
+        // The unit in DATEADD(day, 1, d) or BigQuery's DATE_TRUNC(d, MONTH) parses as a column but is a keyword
+        const [preferred, fallback] = this.dialect.supports('trailingDateParts')
+            ? [SQLASTParser.TRAILING_DATE_PARTS, SQLASTParser.LEADING_DATE_PARTS]
+            : [SQLASTParser.LEADING_DATE_PARTS, SQLASTParser.TRAILING_DATE_PARTS];
+        const [position, arity] = preferred.get(functionName) || fallback.get(functionName) || [];
+        if (position === undefined || args.length < arity) return;
+
+        // Only a bare word, optionally with an argument as in WEEK(MONDAY); a quoted name stays a column
+        const arg = args[position];
+        const text = this.sql.slice(arg.start, arg.end);
+        if (!/^[A-Za-z_]+(\s*\(\s*[A-Za-z_]+\s*\))?$/.test(text)) return;
+
+        args[position] = { type: 'literal', value: text.replace(/\s+/g, '').toUpperCase(), literalType: 'keyword', start: arg.start, end: arg.end };
+    }
+
+    parseDatePart() {
+        // A date or time unit, with BigQuery's optional argument as in WEEK(MONDAY)
+        const start = this.next();
+        if (this.isPunctuation('(') && this.peek(1).type === 'word' && this.isPunctuation(')', 2)) {
+            this.next();
+            this.next();
+            this.next();
+        }
+        return this.node('literal', start, { value: this.sql.slice(start.start, this.previous().end).toUpperCase(), literalType: 'keyword' });
+    }
+
+    parseWindowSpec() {
+        this.expectPunctuation('(');
+        const spec = { partitionBy: [], orderBy: [], name: null };
+
+        if (this.isIdentifierToken(this.peek()) && !this.isKeyword('PARTITION') && !this.isKeyword('ORDER')) {
+            spec.name = this.parseIdentifier();
+        }
+
+        if (this.acceptKeyword('PARTITION', 'BY')) {
+            spec.partitionBy = this.parseExpressionList();
+        }
+
+        spec.orderBy = this.parseOrderBy();
+
+        // Frame clauses (ROWS BETWEEN ...) don't affect lineage; skip them
+        let depth = 0;
+        while (!(this.isPunctuation(')') && depth === 0) && this.peek().type !== 'eof') {
+            if (this.isPunctuation('(')) depth++;
+            if (this.isPunctuation(')')) depth--;
+            this.next();
+        }
+
+        this.expectPunctuation(')');
+        return spec;
+    }
+
+    parseVariantPath() {
+        // Snowflake semi-structured access: col:field.nested[0]."Quoted"
+        const start = this.peek();
+        this.expectOperator(':');
+        this.parseNamePart();
+
+        for (;;) {
+            if (this.isPunctuation('.') && ['word', 'identifier'].includes(this.peek(1).type)) {
+                this.next();
+                this.next();
+            } else if (this.isPunctuation('[')) {
+                this.next();
+                this.parseExpression();
+                this.expectPunctuation(']');
+            } else {
+                break;
+            }
+        }
+
+        return this.sql.slice(start.end, this.previous().end);
+    }
+
+    parseCase() {
+        const start = this.peek();
+        this.expectKeyword('CASE');
+
+        const operand = this.isKeyword('WHEN') ? null : this.parseExpression();
+        const whens = [];
+
+        while (this.acceptKeyword('WHEN')) {
+            const when = this.parseExpression();
+            this.expectKeyword('THEN');
+            const then = this.parseExpression();
+            whens.push({ when, then });
+        }
+
+        if (whens.length === 0) {
+            throw this.error('Expected WHEN');
+        }
+
+        const elseExpr = this.acceptKeyword('ELSE') ? this.parseExpression() : null;
+        this.expectKeyword('END');
+
+        return this.node('case', start, { operand, whens, else: elseExpr });
+    }
+
+    parseCast() {
+        const start = this.next();
+        this.expectPunctuation('(');
+        const expr = this.parseExpression();
+        this.expectKeyword('AS');
+        const dataType = this.parseDataType();
+        this.expectPunctuation(')');
+        return this.node('cast', start, { expr, dataType });
+    }
+
+    parseDataType() {
+        const start = this.peek();
+        this.parseNamePart();
+
+        // Multi-word types: DOUBLE PRECISION, CHARACTER VARYING, TIMESTAMP WITH TIME ZONE
+        while (['PRECISION', 'VARYING'].some(k => this.isKeyword(k))) this.next();
+
+        if (this.isPunctuation('(')) {
+            this.next();
+            while (!this.isPunctuation(')') && this.peek().type !== 'eof') this.next();
+            this.expectPunctuation(')');
+        }
+
+        this.acceptKeyword('WITH', 'TIME', 'ZONE') || this.acceptKeyword('WITHOUT', 'TIME', 'ZONE');
+
+        // Parameterised types such as ARRAY<STRING> or STRUCT<a INT64>
+        if (this.acceptOperator('<')) {
+            let depth = 1;
+            while (depth > 0 && this.peek().type !== 'eof') {
+                if (this.isOperator('<')) depth++;
+                if (this.isOperator('>')) depth--;
+                if (this.isOperator('>>')) depth -= 2;
+                this.next();
+            }
+        }
+
+        while (this.isPunctuation('[') && this.isPunctuation(']', 1)) {
+            this.next();
+            this.next();
+        }
+
+        return this.sql.slice(start.start, this.previous().end);
+    }
+
+    // ---- Identifiers ----
+
+    parseNamePart() {
+        const token = this.peek();
+        if (token.type === 'word' || token.type === 'identifier') {
+            this.next();
+            return token.value;
+        }
+        throw this.error('Expected an identifier');
+    }
+
+    parseIdentifier() {
+        const token = this.peek();
+        if (this.isIdentifierToken(token)) {
+            this.next();
+            return token.value;
+        }
+        throw this.error('Expected an identifier');
+    }
+
+    parseQualifiedName() {
+        const parts = [this.parseIdentifier()];
+        while (this.acceptPunctuation('.')) {
+            parts.push(this.parseNamePart());
+        }
+        return this.splitNameParts(parts);
+    }
+
+    splitNameParts(parts) {
+        // BigQuery lets one quoted identifier span several levels: `project.dataset.table`
+        if (!this.dialect.supports('splitQuotedIdentifiers')) return parts;
+        return parts.flatMap(part => part.split('.'));
+    }
+
+    parseIdentifierList() {
+        this.expectPunctuation('(');
+        const identifiers = [];
+        do {
+            identifiers.push(this.parseNamePart());
+        } while (this.acceptPunctuation(','));
+        this.expectPunctuation(')');
+        return identifiers;
+    }
+}
+
+// Keywords that can never be used as a bare alias or column name
+SQLASTParser.RESERVED = new Set([
+    'ALL', 'AND', 'ANY', 'APPLY', 'AS', 'ASC', 'BETWEEN', 'BY', 'CASE', 'CROSS', 'DESC', 'DISTINCT',
+    'ELSE', 'END', 'EXCEPT', 'EXISTS', 'FETCH', 'FOR', 'FROM', 'FULL', 'GROUP', 'HAVING', 'ILIKE',
+    'IN', 'INNER', 'INTERSECT', 'INTO', 'IS', 'JOIN', 'LATERAL', 'LEFT', 'LIKE', 'LIMIT', 'MINUS',
+    'NATURAL', 'NOT', 'NULL', 'OFFSET', 'ON', 'OR', 'ORDER', 'OUTER', 'QUALIFY', 'RETURNING', 'RIGHT',
+    'SELECT', 'SET', 'SOME', 'THEN', 'UNION', 'USING', 'VALUES', 'WHEN', 'WHERE', 'WINDOW', 'WITH'
+]);
+
+SQLASTParser.CREATE_MODIFIERS = new Set([
+    'TEMP', 'TEMPORARY', 'TRANSIENT', 'VOLATILE', 'GLOBAL', 'LOCAL', 'EXTERNAL', 'SECURE',
+    'MATERIALIZED', 'RECURSIVE', 'UNLOGGED', 'MULTISET'
+]);
+
+SQLASTParser.TABLE_CONSTRAINTS = new Set([
+    'CONSTRAINT', 'PRIMARY', 'FOREIGN', 'UNIQUE', 'CHECK', 'KEY', 'INDEX', 'EXCLUDE', 'PERIOD'
+]);
+
+SQLASTParser.COMPARISON_OPERATORS = new Set(['=', '==', '<>', '!=', '<', '>', '<=', '>=', '~', '~*', '!~', '!~*', '@>', '<@', '&&']);
+
+SQLASTParser.NILADIC_FUNCTIONS = new Set([
+    'CURRENT_DATE', 'CURRENT_TIME', 'CURRENT_TIMESTAMP', 'CURRENT_USER', 'SESSION_USER',
+    'LOCALTIME', 'LOCALTIMESTAMP', 'SYSDATE', 'SYSTIMESTAMP'
+]);
+
+SQLASTParser.INTERVAL_UNITS = new Set([
+    'YEAR', 'YEARS', 'MONTH', 'MONTHS', 'WEEK', 'WEEKS', 'DAY', 'DAYS', 'HOUR', 'HOURS',
+    'MINUTE', 'MINUTES', 'SECOND', 'SECONDS', 'TO'
+]);
+
+// Functions taking a bare date part, as [argument position, fewest arguments]; DATEDIFF(a, b) takes none
+SQLASTParser.LEADING_DATE_PARTS = new Map([
+    ['DATEADD', [0, 3]], ['DATEDIFF', [0, 3]], ['DATEDIFF_BIG', [0, 3]], ['TIMEADD', [0, 3]], ['TIMEDIFF', [0, 3]],
+    ['TIMESTAMPADD', [0, 3]], ['TIMESTAMPDIFF', [0, 3]],
+    ['DATEPART', [0, 2]], ['DATENAME', [0, 2]], ['DATETRUNC', [0, 2]], ['DATE_PART', [0, 2]], ['DATE_TRUNC', [0, 2]]
+]);
+
+// BigQuery names the part after the dates
+SQLASTParser.TRAILING_DATE_PARTS = new Map([
+    ['DATE_TRUNC', [1, 2]], ['DATETIME_TRUNC', [1, 2]], ['TIMESTAMP_TRUNC', [1, 2]], ['TIME_TRUNC', [1, 2]], ['LAST_DAY', [1, 2]],
+    ['DATE_DIFF', [2, 3]], ['DATETIME_DIFF', [2, 3]], ['TIMESTAMP_DIFF', [2, 3]], ['TIME_DIFF', [2, 3]]
+]);
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SQLASTParser };
+}
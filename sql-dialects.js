@@ -0,0 +1,145 @@
+class SQLDialect {
+    constructor({ name, label, tokenizer = {}, features = {} }) {
+        this.name = name;
+        this.label = label;
+        // Options passed straight to SQLTokenizer (quoting, comments, escapes)
+        this.tokenizer = tokenizer;
+        // Syntax extensions understood by SQLASTParser
+        this.features = { ...SQLDialect.DEFAULT_FEATURES, ...features };
+    }
+
+    supports(feature) {
+        return Boolean(this.features[feature]);
+    }
+
+    quoteIdentifier(name) {
+        // With the dialect's first identifier quote; the tokenizer's own default is "
+        const [open, close] = Object.entries(this.tokenizer.identifierQuotes || { '"': '"' })[0];
+        return `${open}${String(name).split(close).join(close + close)}${close}`;
+    }
+
+    static register(dialect) {
+        SQLDialect.registry.set(dialect.name, dialect);
+        return dialect;
+    }
+
+    static get(name) {
+        return SQLDialect.registry.get(name) || SQLDialect.registry.get('generic');
+    }
+
+    static all() {
+        return Array.from(SQLDialect.registry.values());
+    }
+}
+
+SQLDialect.registry = new Map();
+
+SQLDialect.DEFAULT_FEATURES = {
+    top: false,                    // SELECT TOP n
+    qualify: false,                // QUALIFY <window predicate>
+    lateralView: false,            // LATERAL VIEW [OUTER] explode(...) t AS c
+    variantPaths: false,           // col:field.sub[0]
+    tableHints: false,             // FROM t WITH (NOLOCK)
+    splitQuotedIdentifiers: false, // `project.dataset.table` is three name parts
+    starModifiers: false,          // * EXCEPT (...), * EXCLUDE (...), * REPLACE (...)
+    assignmentAliases: false,      // SELECT alias = expr
+    distributionClauses: false,    // CLUSTER BY / DISTRIBUTE BY / SORT BY
+    trailingDateParts: false,      // DATE_TRUNC(d, MONTH) rather than DATE_TRUNC(month, d)
+    convertTypeFirst: false,       // CONVERT(INT, expr [, style])
+    arrayLiterals: false           // [1, 2, 3] without the ARRAY keyword
+};
+
+// Accepts the non-conflicting union of every dialect's syntax
+SQLDialect.register(new SQLDialect({
+    name: 'generic',
+    label: 'Generic SQL',
+    features: {
+        top: true,
+        qualify: true,
+        lateralView: true,
+        tableHints: true,
+        starModifiers: true,
+        distributionClauses: true,
+        convertTypeFirst: true
+    }
+}));
+
+SQLDialect.register(new SQLDialect({
+    name: 'postgres',
+    label: 'PostgreSQL',
+    tokenizer: {
+        identifierQuotes: { '"': '"' }
+    }
+}));
+
+SQLDialect.register(new SQLDialect({
+    name: 'snowflake',
+    label: 'Snowflake',
+    tokenizer: {
+        identifierQuotes: { '"': '"' }
+    },
+    features: {
+        top: true,
+        qualify: true,
+        variantPaths: true,
+        starModifiers: true,
+        arrayLiterals: true
+    }
+}));
+
+SQLDialect.register(new SQLDialect({
+    name: 'bigquery',
+    label: 'BigQuery',
+    tokenizer: {
+        identifierQuotes: { '`': '`' },
+        stringQuotes: ["'", '"'],
+        backslashEscapes: true,
+        hashComments: true,
+        dollarQuoting: false
+    },
+    features: {
+        qualify: true,
+        splitQuotedIdentifiers: true,
+        starModifiers: true,
+        trailingDateParts: true,
+        arrayLiterals: true
+    }
+}));
+
+SQLDialect.register(new SQLDialect({
+    name: 'spark',
+    label: 'Spark SQL',
+    tokenizer: {
+        identifierQuotes: { '`': '`' },
+        stringQuotes: ["'", '"'],
+        backslashEscapes: true,
+        dollarQuoting: false
+    },
+    features: {
+        qualify: true,
+        lateralView: true,
+        starModifiers: true,
+        distributionClauses: true
+    }
+}));
+
+SQLDialect.register(new SQLDialect({
+    name: 'tsql',
+    label: 'T-SQL',
+    tokenizer: {
+        identifierQuotes: { '"': '"', '[': ']' },
+        hashIdentifiers: true,
+        bracketSubscripts: false,
+        dollarQuoting: false
+    },
+    features: {
+        top: true,
+        tableHints: true,
+        assignmentAliases: true,
+        convertTypeFirst: true
+    }
+}));
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SQLDialect };
+}
@@ -0,0 +1,242 @@
+class SQLEditor {
+    // Turns a textarea into a SQL editor with line numbers, syntax highlighting and squiggles under
+    // diagnostics. The textarea stays the input element (typing, undo and paste work as usual); a
+    // highlighted copy of its text is drawn behind it, with the textarea's own text made transparent.
+    constructor(textarea, { dialect = 'generic', onChange = null, onCursor = null } = {}) {
+        this.textarea = textarea;
+        this.dialect = SQLDialect.get(dialect);
+        this.diagnostics = [];
+        // Source range picked out by selecting a graph node
+        this.marked = null;
+        this.onChange = onChange;
+        this.onCursor = onCursor;
+
+        this.element = document.createElement('div');
+        this.element.className = 'sql-editor';
+        if (textarea.id) this.element.id = `${textarea.id}-editor`;
+
+        this.gutter = document.createElement('div');
+        this.gutter.className = 'sql-editor-gutter';
+        this.gutter.setAttribute('aria-hidden', 'true');
+
+        const body = document.createElement('div');
+        body.className = 'sql-editor-body';
+        this.highlightLayer = document.createElement('pre');
+        this.highlightLayer.className = 'sql-editor-highlight';
+        this.highlightLayer.setAttribute('aria-hidden', 'true');
+
+        textarea.parentNode.insertBefore(this.element, textarea);
+        body.append(this.highlightLayer, textarea);
+        this.element.append(this.gutter, body);
+
+        // Showing and hiding is now the editor's business
+        this.element.hidden = textarea.hidden;
+        textarea.hidden = false;
+
+        textarea.classList.add('sql-editor-input');
+        textarea.spellcheck = false;
+        textarea.setAttribute('wrap', 'off');
+
+        textarea.addEventListener('input', () => {
+            // Diagnostics and marks point into the old text; the owner re-checks through onChange
+            this.diagnostics = [];
+            this.marked = null;
+            this.refresh();
+            if (this.onChange) this.onChange(this.value);
+        });
+        textarea.addEventListener('scroll', () => this.syncScroll());
+        ['click', 'keyup'].forEach(type => {
+            textarea.addEventListener(type, () => {
+                if (this.onCursor) this.onCursor(textarea.selectionStart);
+            });
+        });
+
+        this.refresh();
+    }
+
+    get value() {
+        return this.textarea.value;
+    }
+
+    setValue(sql) {
+        this.textarea.value = sql;
+        this.diagnostics = [];
+        this.marked = null;
+        this.refresh();
+    }
+
+    setDialect(name) {
+        this.dialect = SQLDialect.get(name);
+        this.refresh();
+    }
+
+    setDiagnostics(diagnostics) {
+        // Only diagnostics with a source position can be drawn
+        this.diagnostics = diagnostics.filter(diagnostic => diagnostic.start !== undefined);
+        this.refresh();
+    }
+
+    reveal(span) {
+        // Select a source range and scroll it into view
+        if (!span) return;
+        this.marked = { start: span.start, end: span.end };
+        this.refresh();
+
+        this.textarea.setSelectionRange(span.start, span.end);
+        const line = this.value.slice(0, span.start).split('\n').length - 1;
+        const lineHeight = parseFloat(getComputedStyle(this.textarea).lineHeight) || 22;
+        this.textarea.scrollTop = Math.max(0, line * lineHeight - this.textarea.clientHeight / 3);
+        this.syncScroll();
+    }
+
+    refresh() {
+        const sql = this.value;
+        // A trailing newline needs a character after it to take up a line in the <pre>
+        this.highlightLayer.innerHTML = `${this.highlight(sql)}\n `;
+        this.renderGutter(sql);
+        this.syncScroll();
+    }
+
+    renderGutter(sql) {
+        const problems = new Map();
+        this.diagnostics.forEach(diagnostic => {
+            const line = sql.slice(0, diagnostic.start).split('\n').length;
+            if (!problems.has(line) || diagnostic.severity === 'error') problems.set(line, diagnostic);
+        });
+
+        this.gutter.innerHTML = '';
+        const lineCount = sql.split('\n').length;
+        for (let line = 1; line <= lineCount; line++) {
+            const number = document.createElement('div');
+            number.textContent = line;
+            const problem = problems.get(line);
+            if (problem) {
+                number.className = `gutter-${problem.severity}`;
+                number.title = problem.message;
+            }
+            this.gutter.appendChild(number);
+        }
+    }
+
+    syncScroll() {
+        this.highlightLayer.scrollTop = this.textarea.scrollTop;
+        this.highlightLayer.scrollLeft = this.textarea.scrollLeft;
+        this.gutter.scrollTop = this.textarea.scrollTop;
+    }
+
+    highlight(sql) {
+        // Split the text at token and decoration boundaries, then emit one span per piece
+        const pieces = this.classify(sql);
+        const decorations = [
+            ...this.diagnostics.map(diagnostic => ({ ...this.clamp(diagnostic, sql.length), className: `squiggle-${diagnostic.severity}` })),
+            ...(this.marked ? [{ ...this.clamp(this.marked, sql.length), className: 'source-mark' }] : [])
+        ];
+
+        const points = new Set([0, sql.length]);
+        pieces.forEach(piece => points.add(piece.start));
+        decorations.forEach(decoration => {
+            points.add(decoration.start);
+            points.add(decoration.end);
+        });
+        const boundaries = Array.from(points).sort((a, b) => a - b);
+
+        let html = '';
+        let index = 0;
+        for (let i = 0; i < boundaries.length - 1; i++) {
+            const start = boundaries[i];
+            const end = boundaries[i + 1];
+            while (index < pieces.length - 1 && pieces[index + 1].start <= start) index++;
+
+            const classes = [pieces[index] && pieces[index].className, ...decorations
+                .filter(decoration => decoration.start <= start && decoration.end >= end)
+                .map(decoration => decoration.className)].filter(Boolean);
+            const text = SQLEditor.escape(sql.slice(start, end));
+            html += classes.length > 0 ? `<span class="${classes.join(' ')}">${text}</span>` : text;
+        }
+        return html;
+    }
+
+    clamp(range, length) {
+        // Zero-width ranges (a missing token, the end of input) still underline one character
+        const start = Math.min(range.start, Math.max(length - 1, 0));
+        return { start, end: Math.min(Math.max(range.end, start + 1), length) };
+    }
+
+    classify(sql) {
+        // Pieces covering the whole text, each with its highlight class; whatever lies between
+        // tokens is whitespace or comments
+        let tokens;
+        let end = sql.length;
+        try {
+            tokens = this.tokenize(sql);
+        } catch (error) {
+            // An unterminated string or comment: highlight up to it and leave the rest plain
+            if (!(error instanceof SQLSyntaxError)) throw error;
+            end = error.start;
+            try {
+                tokens = this.tokenize(sql.slice(0, end));
+            } catch (inner) {
+                tokens = [];
+            }
+        }
+
+        const pieces = [];
+        let position = 0;
+        tokens.forEach((token, i) => {
+            if (token.type === 'eof') return;
+            if (token.start > position) pieces.push(this.gap(sql, position, token.start));
+
+            const next = tokens[i + 1];
+            pieces.push({ start: token.start, className: this.tokenClass(token, next) });
+            position = token.end;
+        });
+        if (end > position) pieces.push(this.gap(sql, position, end));
+        if (end < sql.length) pieces.push({ start: end, className: null });
+
+        return pieces;
+    }
+
+    tokenize(sql) {
+        return new SQLTokenizer(this.dialect.tokenizer).tokenize(sql);
+    }
+
+    gap(sql, start, end) {
+        return { start, className: /\S/.test(sql.slice(start, end)) ? 'tok-comment' : null };
+    }
+
+    tokenClass(token, next) {
+        switch (token.type) {
+            case 'word':
+                if (next && next.type === 'punctuation' && next.value === '(' && !SQLASTParser.RESERVED.has(token.upper)) {
+                    return 'tok-function';
+                }
+                return SQLEditor.KEYWORDS.has(token.upper) ? 'tok-keyword' : null;
+            case 'string':
+            case 'number':
+            case 'identifier':
+            case 'parameter':
+            case 'operator':
+                return `tok-${token.type}`;
+            default:
+                return null;
+        }
+    }
+
+    static escape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+}
+
+// Words highlighted as keywords: the parser's reserved words plus statement and type keywords
+// that are also valid identifiers
+SQLEditor.KEYWORDS = new Set([
+    ...SQLASTParser.RESERVED,
+    'ALTER', 'BEGIN', 'CAST', 'COMMIT', 'CREATE', 'CURRENT', 'DELETE', 'DROP', 'EXCLUDE', 'FILTER',
+    'FIRST', 'FOLLOWING', 'IF', 'IGNORE', 'INSERT', 'INTERVAL', 'LAST', 'MATCHED', 'MERGE', 'NULLS',
+    'OVER', 'PARTITION', 'PRECEDING', 'RANGE', 'RECURSIVE', 'RENAME', 'REPLACE', 'RESPECT', 'ROW',
+    'ROWS', 'TABLE', 'TEMP', 'TEMPORARY', 'TIES', 'TOP', 'TRUE', 'FALSE', 'UNBOUNDED', 'UNNEST',
+    'UPDATE', 'VIEW', 'ONLY', 'MATERIALIZED'
+]);
+
+// Milliseconds of quiet after typing before the owner re-checks the SQL
+SQLEditor.LINT_DELAY = 500;
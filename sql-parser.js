@@ -1,190 +1,846 @@
 class SQLParser {
-    constructor() {
+    constructor(options = {}) {
+        this.options = options;
+        this.setDialect(options.dialect || 'generic');
         this.tables = new Map();
         this.relationships = [];
         this.columns = new Map();
+        this.diagnostics = [];
     }
 
-    parseQuery(sqlQuery) {
-        // Clean and normalize the query
-        const cleanQuery = this.cleanQuery(sqlQuery);
-        
+    setDialect(name) {
+        this.dialect = SQLDialect.get(name);
+        this.astParser = new SQLASTParser({ ...this.options, dialect: this.dialect });
+    }
+
+    setCatalog(catalog) {
+        // A SchemaCatalog supplying column lists for tables the script reads but never defines
+        this.catalog = catalog;
+    }
+
+    setDefaultNamespace(catalog, schema) {
+        // Unqualified table names resolve into this catalog and schema
+        this.options = { ...this.options, defaultCatalog: catalog || null, defaultSchema: schema || null };
+    }
+
+    parseQuery(sqlQuery, { segments = null } = {}) {
+        // Segments ({ start, end } ranges of the script, e.g. one per dbt model) are tokenized and parsed
+        // on their own, so an unterminated string in one can't swallow the rest; their tables record the
+        // segment index. Positions always index the whole script.
         // Reset state
         this.tables.clear();
         this.relationships = [];
         this.columns.clear();
+        this.diagnostics = [];
+        this.reportedAliases = new Set();
+        this.reportedColumns = new Set();
+        this.subqueryCount = 0;
+        this.tableFunctions = new Map();
+        this.canonicalNames = new Map();
+        this.sql = sqlQuery;
+        this.statementIndex = 0;
+        this.segmentIndex = undefined;
 
-        // Parse different parts of the query
-        this.parseFromClause(cleanQuery);
-        this.parseJoins(cleanQuery);
-        this.parseSelectClause(cleanQuery);
-        this.parseWithClause(cleanQuery);
+        let parsed = false;
+        let statements = 0;
+        (segments || [{ start: 0, end: sqlQuery.length }]).forEach((range, index) => {
+            let ast = null;
+            try {
+                ast = this.astParser.parse(sqlQuery, range.start, range.end);
+            } catch (error) {
+                // Tokenizer errors (unterminated strings, comments) abort the whole script or segment
+                if (!(error instanceof SQLSyntaxError)) throw error;
+                this.addDiagnostic('error', 'SYNTAX_ERROR', error.message, error);
+            }
+            if (!ast) return;
+
+            parsed = true;
+            this.checkParentheses(this.astParser.tokens);
+            this.segmentIndex = segments ? index : undefined;
+            ast.statements.forEach(statement => {
+                this.statementIndex = statements++;
+                this.visitStatement(statement);
+            });
+        });
+
+        if (parsed && statements === 0) {
+            this.addDiagnostic('error', 'EMPTY_QUERY', 'The query is empty');
+        }
 
         return {
             tables: Array.from(this.tables.values()),
             relationships: this.relationships,
-            columns: Array.from(this.columns.values())
+            columns: Array.from(this.columns.values()),
+            diagnostics: this.diagnostics
         };
     }
 
-    cleanQuery(query) {
-        return query
-            .replace(/--.*$/gm, '') // Remove single-line comments
-            .replace(/\/\*[\s\S]*?\*\//g, '') // Remove multi-line comments
-            .replace(/\s+/g, ' ') // Normalize whitespace
-            .trim();
+    checkParentheses(tokens) {
+        const open = [];
+
+        for (const token of tokens) {
+            if (token.type !== 'punctuation') continue;
+
+            if (token.value === '(') {
+                open.push(token);
+            } else if (token.value === ')' && !open.pop()) {
+                this.addDiagnostic('error', 'UNBALANCED_PARENS',
+                    `Closing parenthesis without a matching opening one (line ${token.line}, column ${token.column})`, token);
+            }
+        }
+
+        open.forEach(token => {
+            this.addDiagnostic('error', 'UNBALANCED_PARENS',
+                `Parenthesis opened at line ${token.line}, column ${token.column} is never closed`, token);
+        });
     }
 
-    parseFromClause(query) {
-        // Match FROM clause patterns
-        const fromPattern = /FROM\s+([^WHERE|JOIN|GROUP|ORDER|HAVING|LIMIT|;]+)/gi;
-        const matches = query.match(fromPattern);
+    // ---- Statements and query blocks ----
 
-        if (matches) {
-            matches.forEach(match => {
-                const tablesPart = match.replace(/FROM\s+/i, '').trim();
-                this.extractTablesFromString(tablesPart);
-            });
+    visitStatement(statement) {
+        switch (statement.type) {
+            case 'error':
+                this.addDiagnostic('error', 'SYNTAX_ERROR', statement.error.message, statement.error);
+                break;
+            case 'unknown':
+                this.addDiagnostic('warning', 'UNKNOWN_STATEMENT',
+                    `Unsupported statement "${statement.keyword}": only SELECT, INSERT, CREATE TABLE/VIEW, UPDATE and MERGE are analysed`, statement);
+                break;
+            case 'insert':
+                this.visitInsert(statement);
+                break;
+            case 'create':
+                this.visitCreate(statement);
+                break;
+            case 'update':
+                this.visitUpdate(statement);
+                break;
+            case 'merge':
+                this.visitMerge(statement);
+                break;
+            default: {
+                const output = this.visitQuery(statement, null, new Map());
+                const select = statement.type === 'query' ? statement.body : statement;
+
+                if (select.into) {
+                    this.writeTarget(select.into, output, [], null, this.span(statement));
+                } else {
+                    const resultId = this.uniqueTableId('result');
+                    this.addTable(resultId, null, 'result', resultId, this.span(statement));
+                    this.addOutput(resultId, output, 'flow');
+                }
+            }
         }
     }
 
-    parseJoins(query) {
-        // Match various JOIN patterns
-        const joinPattern = /((?:LEFT|RIGHT|INNER|FULL|CROSS)?\s*JOIN)\s+([^\s]+)(?:\s+(?:AS\s+)?([^\s]+))?\s+ON\s+([^JOIN|WHERE|GROUP|ORDER|HAVING|LIMIT|;]+)/gi;
-        let match;
+    visitInsert(statement) {
+        const ctes = this.visitWith(statement, null, new Map());
+        const output = statement.query
+            ? this.visitQuery(statement.query, null, ctes)
+            : { sources: [], columns: [] };
 
-        while ((match = joinPattern.exec(query)) !== null) {
-            const [, joinType, tableName, alias, onCondition] = match;
-            
-            // Add the joined table
-            this.addTable(tableName, alias);
-            
-            // Parse the ON condition to find relationships
-            this.parseJoinCondition(onCondition);
+        this.writeTarget(statement.table, output, statement.columns, null, this.span(statement));
+    }
+
+    visitCreate(statement) {
+        const type = statement.objectType === 'view' ? 'view' : 'table';
+
+        if (!statement.query) {
+            // Plain DDL: record the table and its declared columns
+            const tableId = this.addPhysicalTable(statement.name, null, type);
+            Object.assign(this.tables.get(tableId), { defined: true, declared: true, span: this.span(statement) });
+            statement.columns.forEach(column => this.addColumn(tableId, column));
+            return;
         }
+
+        const output = this.visitQuery(statement.query, null, new Map());
+        this.writeTarget(statement.name, output, statement.columns, type, this.span(statement));
+    }
+
+    visitUpdate(statement) {
+        const ctes = this.visitWith(statement, null, new Map());
+        const scope = new SQLScope(null, ctes);
+
+        // The target is in scope for SET expressions but is not a source of itself
+        const [targetId] = this.visitFromItem(statement.target, scope);
+        scope.sources = [];
+
+        statement.from.forEach(item => this.visitFromItem(item, scope));
+        if (statement.where) this.visitExpression(statement.where, scope);
+
+        const columns = statement.assignments.map(assignment => this.deriveColumn(assignment.column, assignment.expr, scope));
+        this.addOutput(targetId, { sources: this.unique(scope.sources), columns, span: this.span(statement) }, 'flow');
     }
 
-    parseSelectClause(query) {
-        // Extract SELECT clause
-        const selectPattern = /SELECT\s+(.*?)\s+FROM/gi;
-        const match = selectPattern.exec(query);
+    visitMerge(statement) {
+        const ctes = this.visitWith(statement, null, new Map());
+        const scope = new SQLScope(null, ctes);
+
+        const [targetId] = this.visitFromItem(statement.target, scope);
+        scope.sources = [];
+
+        this.visitFromItem(statement.source, scope);
+        this.visitJoinCondition(statement.on, scope);
+        this.visitExpression(statement.on, scope);
+
+        const columns = [];
+        statement.clauses.forEach(clause => {
+            if (clause.condition) this.visitExpression(clause.condition, scope);
+
+            clause.assignments.forEach(assignment => {
+                columns.push(this.deriveColumn(assignment.column, assignment.expr, scope));
+            });
+
+            clause.values.forEach((value, i) => {
+                if (clause.columns[i]) columns.push(this.deriveColumn(clause.columns[i], value, scope));
+            });
+        });
+
+        // WHEN MATCHED and WHEN NOT MATCHED may both write the same column
+        const merged = new Map();
+        columns.forEach(column => {
+            const key = column.name.toLowerCase();
+            merged.set(key, merged.has(key) ? this.combineColumns(merged.get(key), column) : column);
+        });
+
+        this.addOutput(targetId, {
+            sources: this.unique(scope.sources),
+            columns: Array.from(merged.values()),
+            span: this.span(statement)
+        }, 'flow');
+    }
 
-        if (match) {
-            const selectClause = match[1];
-            this.parseSelectColumns(selectClause);
+    writeTarget(name, output, columns = [], type = null, span = null) {
+        // Physical tables are keyed by name, so a table written here feeds any later statement reading it
+        const targetId = this.addPhysicalTable(name, null, type || 'table', span);
+
+        const table = this.tables.get(targetId);
+        if (type) table.type = type;
+        // A table created or filled here points at that statement rather than an earlier read
+        if (span && !table.defined) table.span = span;
+
+        // Map output columns onto the declared column list (or the table's known columns) by position
+        const targetColumns = columns.length > 0 ? columns : (table.defined ? table.columns.map(col => col.name) : []);
+        if (!output.columns.some(column => column.name === '*')) {
+            targetColumns.forEach((column, i) => {
+                if (output.columns[i]) output.columns[i].name = column;
+            });
         }
+
+        table.defined = true;
+        this.addOutput(targetId, output, 'flow');
+    }
+
+    visitWith(node, parentScope, ctes) {
+        // Registers a statement's CTEs and returns the CTE names visible to its body
+        const innerCtes = new Map(ctes);
+
+        (node.with || []).forEach(cte => {
+            const key = cte.name.toLowerCase();
+            const cteId = this.uniqueTableId(cte.name);
+
+            if (node.recursive) {
+                this.addTable(cte.name, null, 'cte', cteId, this.span(cte));
+                innerCtes.set(key, cteId);
+            }
+
+            const output = this.visitQuery(cte.query, parentScope, innerCtes);
+            cte.columns.forEach((name, i) => {
+                if (output.columns[i]) output.columns[i].name = name;
+            });
+
+            this.addTable(cte.name, null, 'cte', cteId, this.span(cte));
+            innerCtes.set(key, cteId);
+            this.addOutput(cteId, output, 'cte');
+        });
+
+        return innerCtes;
     }
 
-    parseWithClause(query) {
-        // Parse CTE (Common Table Expressions)
-        const withPattern = /WITH\s+(.*?)\s+SELECT/gi;
-        const match = withPattern.exec(query);
+    visitQuery(node, parentScope, ctes) {
+        // Returns the tables the query reads from and the columns it produces
+        const output = this.visitQueryBlock(node, parentScope, ctes);
+        output.span = output.span || this.span(node);
+        return output;
+    }
 
-        if (match) {
-            const withClause = match[1];
-            this.parseCTEs(withClause);
+    visitQueryBlock(node, parentScope, ctes) {
+        switch (node.type) {
+            case 'query': {
+                const innerCtes = this.visitWith(node, parentScope, ctes);
+                const output = this.visitQuery(node.body, parentScope, innerCtes);
+                if (output.scope) {
+                    node.orderBy.forEach(item => this.visitExpression(item.expr, output.scope));
+                }
+                return output;
+            }
+            case 'setOperation':
+                return this.mergeSetOperation(
+                    this.visitQuery(node.left, parentScope, ctes),
+                    this.visitQuery(node.right, parentScope, ctes)
+                );
+            case 'select':
+                return this.visitSelect(node, parentScope, ctes);
+            case 'values':
+                return this.visitValues(node, parentScope, ctes);
+            default:
+                return { sources: [], columns: [] };
         }
     }
 
-    extractTablesFromString(tableString) {
-        // Handle comma-separated tables and subqueries
-        const parts = tableString.split(',');
-        
-        parts.forEach(part => {
-            part = part.trim();
-            
-            // Skip subqueries for now (basic implementation)
-            if (part.includes('(')) return;
-            
-            // Extract table name and alias
-            const tableParts = part.split(/\s+/);
-            const tableName = tableParts[0];
-            const alias = tableParts.length > 1 && !['AS'].includes(tableParts[1].toUpperCase()) 
-                ? tableParts[tableParts.length - 1] 
-                : null;
-            
-            this.addTable(tableName, alias);
+    visitValues(values, parentScope, ctes) {
+        // Each VALUES column combines the expressions at its position in every row
+        const scope = new SQLScope(parentScope, ctes);
+        const columns = [];
+
+        values.rows.forEach(row => {
+            row.forEach((expr, i) => {
+                const column = this.deriveColumn(`column_${i + 1}`, expr, scope);
+                columns[i] = columns[i] ? this.combineColumns(columns[i], column) : column;
+            });
         });
+
+        return { sources: this.unique(scope.sources), columns };
+    }
+
+    visitSelect(select, parentScope, ctes) {
+        const scope = new SQLScope(parentScope, ctes);
+
+        select.from.forEach(item => this.visitFromItem(item, scope));
+
+        const columns = [];
+        select.columns.forEach((item, index) => {
+            if (item.expr.type === 'star') {
+                columns.push(...this.expandStar(item.expr, scope).map(column => ({ span: this.span(item), ...column })));
+                return;
+            }
+
+            columns.push(this.deriveColumn(item.alias || this.defaultColumnName(item.expr, index), item.expr, scope, item));
+        });
+
+        [select.where, ...select.groupBy, select.having, select.qualify]
+            .filter(Boolean)
+            .forEach(expr => this.visitExpression(expr, scope));
+
+        return { sources: this.unique(scope.sources), columns, scope, correlated: Boolean(scope.correlated) };
+    }
+
+    visitTableFunction(item, scope) {
+        // UNNEST, FLATTEN, explode and friends become intermediate nodes fed by their arguments
+        const functionName = item.name[item.name.length - 1];
+        const functionId = this.uniqueTableId(`${functionName.toLowerCase()}_function`);
+        const sources = this.uniqueColumns(this.visitExpression(item.args, scope));
+
+        this.addTable(item.alias || functionName, null, 'function', functionId, this.span(item));
+        this.tableFunctions.set(functionId, {
+            sources,
+            expression: this.sql.slice(item.start, item.end),
+            span: this.span(item)
+        });
+
+        // BigQuery-style UNNEST(arr) AS x exposes the alias itself as the value column
+        const columns = item.columns.length > 0 ? item.columns : (item.alias && !item.lateral ? [item.alias] : []);
+        this.addOutput(functionId, {
+            sources: this.unique(sources.map(source => source.table)),
+            columns: columns.map(name => this.functionColumn(functionId, name)),
+            span: this.span(item)
+        }, 'flow');
+
+        return functionId;
+    }
+
+    functionColumn(functionId, name) {
+        const { sources, expression, span } = this.tableFunctions.get(functionId);
+        return { name, sources, transformation: 'function', expression, span };
+    }
+
+    visitSubquery(query, parentScope, ctes, alias = null, node = query) {
+        // Each subquery becomes an intermediate node, the same way a CTE does
+        this.subqueryCount++;
+        const subqueryId = `subquery_${this.subqueryCount}`;
+
+        const output = this.visitQuery(query, parentScope, ctes);
+        this.addTable(alias || subqueryId, null, 'subquery', subqueryId, this.span(node));
+        this.tables.get(subqueryId).correlated = Boolean(output.correlated);
+        this.addOutput(subqueryId, output, 'flow');
+
+        return subqueryId;
+    }
+
+    deriveColumn(name, expr, scope, node = expr) {
+        // node is the select item (expression plus alias) when there is one
+        return {
+            name,
+            sources: this.uniqueColumns(this.visitExpression(expr, scope)),
+            transformation: this.classifyExpression(expr),
+            expression: this.sql.slice(expr.start, expr.end),
+            span: this.span(node)
+        };
     }
 
-    parseSelectColumns(selectClause) {
-        // Handle SELECT * case
-        if (selectClause.trim() === '*') {
+    visitFromItem(item, scope, span = this.span(item)) {
+        // Returns the ids of the tables this FROM item brings into scope; span is where a table
+        // first mentioned here is located (the whole JOIN clause for the right side of a join)
+        switch (item.type) {
+            case 'table': {
+                const cte = item.name.length === 1 && scope.resolveCTE(item.name[0]);
+                const tableId = cte || this.addPhysicalTable(item.name, item.alias, 'table', span);
+
+                // An alias hides the table name; otherwise it can be referenced however it was written
+                // (customers.id) or fully qualified (analytics.bronze.customers.id)
+                const table = this.tables.get(tableId);
+                const names = item.alias
+                    ? [item.alias]
+                    : this.unique([item.name[item.name.length - 1], item.name.join('.'), tableId, [table.schema, table.objectName].filter(Boolean).join('.')]);
+
+                scope.define(tableId, names);
+                scope.addSource(tableId);
+                return [tableId];
+            }
+            case 'derivedTable': {
+                // LATERAL subqueries can see the tables to their left
+                const subqueryId = this.visitSubquery(item.query, item.lateral ? scope : scope.parent, scope.ctes, item.alias, item);
+                const table = this.tables.get(subqueryId);
+                item.columns.forEach((name, i) => {
+                    if (table.columns[i]) table.columns[i].name = name;
+                });
+
+                scope.define(subqueryId, item.alias ? [item.alias] : []);
+                scope.addSource(subqueryId);
+                return [subqueryId];
+            }
+            case 'tableFunction': {
+                const functionId = this.visitTableFunction(item, scope);
+                const functionName = item.name[item.name.length - 1];
+                scope.define(functionId, [item.alias || functionName]);
+                scope.addSource(functionId);
+                return [functionId];
+            }
+            case 'join': {
+                const clause = { start: item.clauseStart, end: item.end };
+                const left = this.visitFromItem(item.left, scope);
+                const right = this.visitFromItem(item.right, scope, clause);
+
+                if (item.on) {
+                    this.visitJoinCondition(item.on, scope);
+                    this.visitExpression(item.on, scope);
+                }
+
+                if (left.length > 0 && right.length > 0) {
+                    item.using.forEach(column => {
+                        this.addColumn(left[left.length - 1], column);
+                        this.addColumn(right[0], column);
+                        this.locateColumn(left[left.length - 1], column, clause);
+                        this.locateColumn(right[0], column, clause);
+                        this.addRelationship(left[left.length - 1], column, right[0], column, 'join', { span: clause });
+                    });
+                }
+
+                return [...left, ...right];
+            }
+            default:
+                return [];
+        }
+    }
+
+    visitJoinCondition(condition, scope) {
+        // Extract table.column = table.column equalities from the ON condition
+        if (condition.type === 'binary' && condition.op === 'AND') {
+            this.visitJoinCondition(condition.left, scope);
+            this.visitJoinCondition(condition.right, scope);
             return;
         }
 
-        // Split by comma, but be careful with functions
-        const columns = this.smartSplit(selectClause, ',');
-        
-        columns.forEach(col => {
-            col = col.trim();
-            
-            // Skip aggregations and complex expressions for basic implementation
-            if (col.includes('(') && !col.match(/^\w+\.\w+$/)) return;
-            
-            // Extract column references
-            const columnMatch = col.match(/(\w+)\.(\w+)(?:\s+(?:AS\s+)?(\w+))?/i);
-            if (columnMatch) {
-                const [, tableRef, columnName, alias] = columnMatch;
-                this.addColumn(tableRef, columnName, alias);
+        if (condition.type !== 'binary' || condition.op !== '=' ||
+            condition.left.type !== 'column' || condition.right.type !== 'column') {
+            return;
+        }
+
+        const left = this.resolveColumn(condition.left, scope);
+        const right = this.resolveColumn(condition.right, scope);
+
+        if (left && right) {
+            this.addRelationship(left.table, left.column, right.table, right.column, 'join', { span: this.span(condition) });
+        }
+    }
+
+    visitExpression(expr, scope) {
+        // Returns every source column the expression reads
+        if (!expr || typeof expr !== 'object') return [];
+
+        if (Array.isArray(expr)) {
+            return expr.flatMap(child => this.visitExpression(child, scope));
+        }
+
+        switch (expr.type) {
+            case 'column': {
+                const resolved = this.resolveColumn(expr, scope);
+                if (!resolved) return [];
+
+                // Table function outputs (f.value, f.key) are discovered as they are referenced
+                const table = this.tables.get(resolved.table);
+                if (table && table.type === 'function' && !table.columns.some(col => col.name === resolved.column)) {
+                    this.addOutput(resolved.table, {
+                        sources: [],
+                        columns: [this.functionColumn(resolved.table, resolved.column)]
+                    }, 'flow');
+                }
+
+                this.checkColumnExists(resolved, expr);
+                this.addColumn(resolved.table, resolved.column);
+                this.locateColumn(resolved.table, resolved.column, expr);
+                return [resolved];
+            }
+            case 'subquery': {
+                // A scalar subquery's value is derived from its (single) output column
+                const subqueryId = this.visitSubquery(expr.query, scope, scope.ctes, null, expr);
+                scope.addSource(subqueryId);
+                return this.tables.get(subqueryId).columns
+                    .slice(0, 1)
+                    .map(col => ({ table: subqueryId, column: col.name }));
+            }
+            case 'exists':
+                // Predicates filter rows rather than feed columns, so only the table-level edge is kept
+                scope.addSource(this.visitSubquery(expr.query, scope, scope.ctes, null, expr));
+                return [];
+            case 'in': {
+                const sources = [...this.visitExpression(expr.expr, scope), ...this.visitExpression(expr.list, scope)];
+                if (expr.query) {
+                    scope.addSource(this.visitSubquery(expr.query, scope, scope.ctes));
+                }
+                return sources;
+            }
+        }
+
+        // Generic walk over child nodes (binary operands, function args, CASE branches, ...)
+        return Object.keys(expr)
+            .filter(key => key !== 'type' && expr[key] && typeof expr[key] === 'object')
+            .flatMap(key => this.visitExpression(expr[key], scope));
+    }
+
+    resolveColumn(expr, scope) {
+        const column = expr.parts[expr.parts.length - 1];
+
+        if (expr.parts.length < 2) {
+            const table = this.resolveUnqualifiedColumn(column, scope, expr);
+            return table ? { table, column } : null;
+        }
+
+        // The qualifier may be an alias or a partially or fully qualified table name
+        const qualifier = expr.parts.slice(0, -1);
+        const found = scope.lookup(qualifier);
+
+        if (found) {
+            if (found.scope !== scope) {
+                // Correlated reference: the outer table also feeds this query block
+                scope.addSource(found.tableId);
+                scope.correlated = true;
+            }
+            return { table: found.tableId, column };
+        }
+
+        const key = qualifier.join('.').toLowerCase();
+        if (!this.reportedAliases.has(key)) {
+            this.reportedAliases.add(key);
+            this.addDiagnostic('warning', 'UNRESOLVED_ALIAS',
+                `Alias or table "${qualifier.join('.')}" is referenced but never defined in a FROM or JOIN clause`, expr);
+        }
+        return null;
+    }
+
+    resolveUnqualifiedColumn(column, scope, location = null) {
+        // A bare column belongs to the only table in scope, or to the one table in scope
+        // whose known columns (from a CTE, the script or the schema catalog) include it
+        const tableIds = scope.tableIds();
+
+        if (tableIds.length === 1) {
+            return tableIds[0];
+        }
+
+        const owners = tableIds.filter(id => {
+            const table = id && this.tables.get(id);
+            return table && this.hasKnownColumns(table) && table.columns.some(col => col.name.toLowerCase() === column.toLowerCase());
+        });
+        if (owners.length === 1) return owners[0];
+
+        // No lineage is drawn for the column either way, so say why: several tables have it, or
+        // several tables whose columns aren't known might
+        const candidates = owners.length > 1 ? owners : tableIds.filter(id => {
+            const table = id && this.tables.get(id);
+            return table && !this.hasKnownColumns(table);
+        });
+
+        if (candidates.length > 1) {
+            const key = `${candidates.join('|')}.${column}`.toLowerCase();
+            if (!this.reportedColumns.has(key)) {
+                this.reportedColumns.add(key);
+                const tables = candidates.map(id => `"${id}"`);
+                this.addDiagnostic('warning', 'AMBIGUOUS_COLUMN', owners.length > 1
+                    ? `Column "${column}" exists in ${tables.join(' and ')}; qualify it with a table alias`
+                    : `Column "${column}" could come from ${tables.join(' or ')}; qualify it with a table alias`, location);
+            }
+        }
+
+        return null;
+    }
+
+    checkColumnExists({ table: tableId, column }, location) {
+        // Only tables with a CREATE TABLE column list or a catalog entry can be checked
+        const table = this.tables.get(tableId);
+        if (!table || !(table.declared || table.cataloged) || column === '*') return;
+        if (table.columns.some(col => col.name.toLowerCase() === column.toLowerCase())) return;
+
+        const key = `${tableId}.${column}`.toLowerCase();
+        if (this.reportedColumns.has(key)) return;
+        this.reportedColumns.add(key);
+
+        const message = `Column "${column}" does not exist in ${table.cataloged ? 'the schema catalog for' : 'the definition of'} "${tableId}"`;
+        this.addDiagnostic('warning', 'UNKNOWN_COLUMN', message, location);
+
+        // Attach the warning to the column so the metadata sidebar can show it
+        this.addColumn(tableId, column);
+        this.addWarning(this.columns.get(`${tableId}.${column}`), message);
+        this.addWarning(table.columns.find(col => col.name === column), message);
+    }
+
+    addWarning(target, message) {
+        if (!target) return;
+        target.warnings = target.warnings || [];
+        if (!target.warnings.includes(message)) target.warnings.push(message);
+    }
+
+    hasKnownColumns(table) {
+        // Intermediate nodes and tables defined earlier in the script have a complete column list
+        return table.type !== 'table' || Boolean(table.defined);
+    }
+
+    expandStar(star, scope) {
+        // Expand * / t.* into known column lists; tables with unknown columns keep a * edge
+        const entries = star.table ? [scope.lookupEntry(star.table)].filter(Boolean) : scope.entries;
+
+        return entries.flatMap(({ tableId, names }) => {
+            const table = this.tables.get(tableId);
+            const qualifier = names[0] || tableId;
+            if (!table) return [];
+
+            if (!this.hasKnownColumns(table) || table.columns.length === 0) {
+                return [{ name: '*', sources: [{ table: tableId, column: '*' }], transformation: 'direct', expression: '*' }];
             }
+
+            return this.applyStarModifiers(star, table.columns.map(col => ({
+                name: col.name,
+                sources: [{ table: tableId, column: col.name }],
+                transformation: 'direct',
+                expression: `${qualifier}.${col.name}`
+            })), scope);
         });
     }
 
-    parseJoinCondition(condition) {
-        // Extract table.column = table.column patterns
-        const conditionPattern = /(\w+)\.(\w+)\s*=\s*(\w+)\.(\w+)/gi;
-        let match;
+    applyStarModifiers(star, columns, scope) {
+        // * EXCEPT / EXCLUDE drop columns, REPLACE swaps in an expression, RENAME changes the name
+        const lower = name => name.toLowerCase();
+        const except = new Set((star.except || []).map(lower));
+        const replacements = new Map((star.replace || []).map(item => [lower(item.alias), item]));
+        const renames = new Map((star.rename || []).map(item => [lower(item.from), item.to]));
+
+        return columns
+            .filter(column => !except.has(lower(column.name)))
+            .map(column => {
+                const replacement = replacements.get(lower(column.name));
+                if (replacement) return this.deriveColumn(column.name, replacement.expr, scope);
+                return renames.has(lower(column.name)) ? { ...column, name: renames.get(lower(column.name)) } : column;
+            });
+    }
+
+    mergeSetOperation(left, right) {
+        // Columns of a UNION/EXCEPT/INTERSECT line up by position and take the left-hand names
+        const columns = left.columns.map((column, i) => {
+            const other = right.columns[i];
+            return other ? this.combineColumns(column, other) : column;
+        });
+
+        return { sources: this.unique([...left.sources, ...right.sources]), columns };
+    }
+
+    combineColumns(column, other) {
+        // A column fed by several alternative expressions keeps the first name
+        let transformation = column.transformation;
+        if (transformation === 'constant') transformation = other.transformation;
+        else if (other.transformation !== 'constant' && other.transformation !== transformation) transformation = 'function';
+
+        return {
+            name: column.name,
+            sources: this.uniqueColumns([...column.sources, ...other.sources]),
+            transformation,
+            expression: `${column.expression} | ${other.expression}`,
+            span: column.span || other.span
+        };
+    }
+
+    classifyExpression(expr) {
+        // The kind of transformation an output expression applies to its inputs
+        while (expr.type === 'paren') expr = expr.expr;
+
+        const containsAggregate = this.containsAggregate(expr);
 
-        while ((match = conditionPattern.exec(condition)) !== null) {
-            const [, leftTable, leftColumn, rightTable, rightColumn] = match;
-            
-            this.addRelationship(
-                leftTable, leftColumn,
-                rightTable, rightColumn,
-                'join'
-            );
+        switch (expr.type) {
+            case 'column':
+            case 'subquery':
+                return 'direct';
+            case 'literal':
+            case 'parameter':
+                return 'constant';
+            case 'case':
+                return 'case';
+            case 'binary':
+                if (expr.op === '||') return 'concatenation';
+                if (containsAggregate) return 'aggregate';
+                return ['+', '-', '*', '/', '%'].includes(expr.op) ? 'arithmetic' : 'function';
+            case 'unary':
+                if (containsAggregate) return 'aggregate';
+                return expr.op === '-' || expr.op === '+' ? 'arithmetic' : 'function';
+            case 'function': {
+                const name = expr.name[expr.name.length - 1].toUpperCase();
+                if (['CONCAT', 'CONCAT_WS'].includes(name)) return 'concatenation';
+                return containsAggregate ? 'aggregate' : 'function';
+            }
+            default:
+                return containsAggregate ? 'aggregate' : 'function';
+        }
+    }
+
+    containsAggregate(expr) {
+        if (!expr || typeof expr !== 'object') return false;
+        if (Array.isArray(expr)) return expr.some(child => this.containsAggregate(child));
+
+        // Aggregates inside a subquery belong to the subquery, not this expression
+        if (['subquery', 'exists', 'in'].includes(expr.type) && expr.query) return false;
+
+        if (expr.type === 'function' &&
+            SQLParser.AGGREGATE_FUNCTIONS.has(expr.name[expr.name.length - 1].toUpperCase())) {
+            return true;
         }
+
+        return Object.keys(expr).some(key => key !== 'type' && this.containsAggregate(expr[key]));
     }
 
-    parseCTEs(withClause) {
-        // Basic CTE parsing - can be enhanced
-        const ctePattern = /(\w+)\s+AS\s*\((.*?)\)/gi;
-        let match;
-
-        while ((match = ctePattern.exec(withClause)) !== null) {
-            const [, cteName, cteQuery] = match;
-            this.addTable(cteName, null, 'cte');
-            
-            // Recursively parse the CTE query
-            const subParser = new SQLParser();
-            const subResult = subParser.parseQuery(cteQuery);
-            
-            // Add relationships from CTE to its source tables
-            subResult.tables.forEach(table => {
-                this.addRelationship(table.name, '*', cteName, '*', 'cte');
+    defaultColumnName(expr, index) {
+        // Engines name a subscripted or cast column after the column itself
+        while (expr.type === 'paren' || expr.type === 'cast' || expr.type === 'subscript') expr = expr.expr;
+
+        if (expr.type === 'column') return expr.parts[expr.parts.length - 1];
+        if (expr.type === 'function') return expr.name[expr.name.length - 1].toLowerCase();
+        return `column_${index + 1}`;
+    }
+
+    addOutput(targetId, output, type) {
+        // Wire a query block's output columns and source tables into its target node
+        output.sources
+            .filter(source => source !== targetId)
+            .forEach(source => this.addRelationship(source, '*', targetId, '*', type, { span: output.span || null }));
+
+        output.columns.forEach(column => {
+            this.addColumn(targetId, column.name, null, {
+                expression: column.expression,
+                transformation: column.transformation,
+                span: column.span || null
             });
+
+            // A table written by several statements accumulates sources from each
+            const columnEntry = this.columns.get(`${targetId}.${column.name}`);
+            columnEntry.sources = this.unique([
+                ...(columnEntry.sources || []),
+                ...column.sources.map(source => `${source.table}.${source.column}`)
+            ]);
+
+            column.sources
+                .filter(source => source.table !== targetId || source.column !== column.name)
+                .forEach(source => {
+                    this.addRelationship(source.table, source.column, targetId, column.name, type, {
+                        transformation: column.transformation,
+                        expression: column.expression,
+                        span: column.span || null
+                    });
+                });
+        });
+    }
+
+    // ---- Lineage model ----
+
+    qualifyName(parts) {
+        // Canonical catalog.schema.table identity; missing levels fall back to the configured defaults
+        const objectName = parts[parts.length - 1];
+        const schema = parts.length > 1 ? parts[parts.length - 2] : (this.options.defaultSchema || null);
+        const catalog = parts.length > 2 ? parts[parts.length - 3] : ((schema && this.options.defaultCatalog) || null);
+
+        // Unquoted names are case-insensitive: BRONZE.Customers is the bronze.customers seen first
+        const name = [catalog, schema, objectName].filter(Boolean).join('.');
+        const key = name.toLowerCase();
+        if (!this.canonicalNames.has(key)) {
+            this.canonicalNames.set(key, name);
+        }
+
+        return {
+            id: this.canonicalNames.get(key),
+            catalog,
+            schema,
+            objectName
+        };
+    }
+
+    addPhysicalTable(parts, alias = null, type = 'table', span = null) {
+        // Physical tables are keyed by their canonical name, however each statement spells it
+        const identity = this.qualifyName(parts);
+        this.addTable(identity.id, alias, type, identity.id, span);
+
+        const table = this.tables.get(identity.id);
+        if (table.objectName === undefined) {
+            table.catalog = identity.catalog;
+            table.schema = identity.schema;
+            table.objectName = identity.objectName;
+            this.seedFromCatalog(table, identity);
         }
+
+        return identity.id;
     }
 
-    addTable(name, alias = null, type = 'table') {
-        const cleanName = name.replace(/[`"'\[\]]/g, '');
-        const tableId = alias || cleanName;
-        
+    seedFromCatalog(table, identity) {
+        // Catalog columns make the table's column list complete, so * expands and bare columns resolve
+        const entry = this.catalog && this.catalog.lookup(identity);
+        if (!entry || entry.columns.length === 0) return;
+
+        table.defined = true;
+        table.cataloged = true;
+        entry.columns.forEach(column => {
+            this.addColumn(table.id, column.name);
+            const tableColumn = table.columns.find(col => col.name === column.name);
+            if (column.dataType) {
+                tableColumn.dataType = column.dataType;
+                this.columns.get(`${table.id}.${column.name}`).dataType = column.dataType;
+            }
+        });
+    }
+
+    addTable(name, alias = null, type = 'table', tableId = name, span = null) {
         if (!this.tables.has(tableId)) {
             this.tables.set(tableId, {
                 id: tableId,
-                name: cleanName,
+                name: name,
                 alias: alias,
                 type: type,
-                columns: []
+                columns: [],
+                // Index of the statement that first mentions the table, and of its segment when parsed in segments
+                statement: this.statementIndex,
+                ...(this.segmentIndex !== undefined ? { segment: this.segmentIndex } : {}),
+                // Source range of that mention (or of its definition), for linking nodes to the SQL
+                span: span
             });
         }
     }
 
-    addColumn(tableRef, columnName, alias = null) {
+    addColumn(tableRef, columnName, alias = null, derivation = null) {
         const columnId = `${tableRef}.${columnName}`;
-        
+
         if (!this.columns.has(columnId)) {
             this.columns.set(columnId, {
                 id: columnId,
@@ -196,7 +852,7 @@ class SQLParser {
         }
 
         // Add column to table if table exists
-        if (this.tables.has(tableRef)) {
+        if (this.tables.has(tableRef) && columnName !== '*') {
             const table = this.tables.get(tableRef);
             if (!table.columns.some(col => col.name === columnName)) {
                 table.columns.push({
@@ -205,129 +861,90 @@ class SQLParser {
                 });
             }
         }
+
+        // The first statement that derives a column records how
+        if (derivation && !this.columns.get(columnId).expression) {
+            Object.assign(this.columns.get(columnId), derivation);
+            const table = this.tables.get(tableRef);
+            const column = table && table.columns.find(col => col.name === columnName);
+            if (column) Object.assign(column, derivation);
+        }
     }
 
-    addRelationship(sourceTable, sourceColumn, targetTable, targetColumn, type = 'flow') {
+    locateColumn(tableRef, columnName, node) {
+        // Columns no statement derives are located at their first reference
+        const span = this.span(node);
+        const column = this.columns.get(`${tableRef}.${columnName}`);
+        if (column && !column.span) column.span = span;
+
+        const table = this.tables.get(tableRef);
+        const tableColumn = table && table.columns.find(col => col.name === columnName);
+        if (tableColumn && !tableColumn.span) tableColumn.span = span;
+    }
+
+    addRelationship(sourceTable, sourceColumn, targetTable, targetColumn, type = 'flow', details = null) {
+        const id = `${sourceTable}.${sourceColumn}->${targetTable}.${targetColumn}`;
+        if (this.relationships.some(rel => rel.id === id && rel.type === type)) return;
+
         this.relationships.push({
-            id: `${sourceTable}.${sourceColumn}->${targetTable}.${targetColumn}`,
+            id: id,
             source: sourceTable,
             sourceColumn: sourceColumn,
             target: targetTable,
             targetColumn: targetColumn,
-            type: type
+            type: type,
+            ...details
         });
     }
 
-    smartSplit(str, delimiter) {
-        // Split by delimiter but respect parentheses
-        const result = [];
-        let current = '';
-        let depth = 0;
-        
-        for (let i = 0; i < str.length; i++) {
-            const char = str[i];
-            
-            if (char === '(') depth++;
-            else if (char === ')') depth--;
-            else if (char === delimiter && depth === 0) {
-                result.push(current.trim());
-                current = '';
-                continue;
-            }
-            
-            current += char;
+    addDiagnostic(severity, code, message, location = null) {
+        const diagnostic = { severity, code, message };
+
+        // Source positions let the UI point at the offending SQL
+        if (location && location.start !== undefined) {
+            diagnostic.start = location.start;
+            diagnostic.end = location.end;
+        }
+        if (location && location.line !== undefined) {
+            diagnostic.line = location.line;
+            diagnostic.column = location.column;
         }
-        
-        if (current.trim()) {
-            result.push(current.trim());
+
+        this.diagnostics.push(diagnostic);
+    }
+
+    span(node) {
+        return node && node.start !== undefined ? { start: node.start, end: node.end } : null;
+    }
+
+    uniqueTableId(name) {
+        // CTE and result names can repeat across statements; keep their nodes apart
+        let tableId = name;
+        for (let i = 2; this.tables.has(tableId); i++) {
+            tableId = `${name}_${i}`;
         }
-        
-        return result;
+        return tableId;
     }
 
-    // Generate sample data for demonstration
-    generateSampleData() {
-        return {
-            tables: [
-                {
-                    id: 'bronze_customers',
-                    name: 'bronze.customers',
-                    alias: null,
-                    type: 'table',
-                    columns: [
-                        { name: 'customer_id', alias: null },
-                        { name: 'email', alias: null },
-                        { name: 'first_name', alias: null },
-                        { name: 'last_name', alias: null },
-                        { name: 'created_at', alias: null }
-                    ]
-                },
-                {
-                    id: 'bronze_orders',
-                    name: 'bronze.orders',
-                    alias: null,
-                    type: 'table',
-                    columns: [
-                        { name: 'order_id', alias: null },
-                        { name: 'customer_id', alias: null },
-                        { name: 'order_date', alias: null },
-                        { name: 'total_amount', alias: null },
-                        { name: 'status', alias: null }
-                    ]
-                },
-                {
-                    id: 'silver_customer_orders',
-                    name: 'silver.customer_orders',
-                    alias: null,
-                    type: 'table',
-                    columns: [
-                        { name: 'customer_id', alias: null },
-                        { name: 'customer_name', alias: null },
-                        { name: 'total_orders', alias: null },
-                        { name: 'total_spent', alias: null },
-                        { name: 'avg_order_value', alias: null }
-                    ]
-                },
-                {
-                    id: 'gold_customer_metrics',
-                    name: 'gold.customer_metrics',
-                    alias: null,
-                    type: 'table',
-                    columns: [
-                        { name: 'customer_id', alias: null },
-                        { name: 'customer_segment', alias: null },
-                        { name: 'lifetime_value', alias: null },
-                        { name: 'churn_risk', alias: null }
-                    ]
-                }
-            ],
-            relationships: [
-                {
-                    id: 'bronze_customers->silver_customer_orders',
-                    source: 'bronze_customers',
-                    sourceColumn: 'customer_id',
-                    target: 'silver_customer_orders',
-                    targetColumn: 'customer_id',
-                    type: 'flow'
-                },
-                {
-                    id: 'bronze_orders->silver_customer_orders',
-                    source: 'bronze_orders',
-                    sourceColumn: 'customer_id',
-                    target: 'silver_customer_orders',
-                    targetColumn: 'customer_id',
-                    type: 'flow'
-                },
-                {
-                    id: 'silver_customer_orders->gold_customer_metrics',
-                    source: 'silver_customer_orders',
-                    sourceColumn: 'customer_id',
-                    target: 'gold_customer_metrics',
-                    targetColumn: 'customer_id',
-                    type: 'flow'
-                }
-            ],
-            columns: []
-        };
+    unique(values) {
+        return Array.from(new Set(values));
+    }
+
+    uniqueColumns(columns) {
+        const seen = new Map();
+        columns.forEach(col => seen.set(`${col.table}.${col.column}`, col));
+        return Array.from(seen.values());
     }
 }
+
+SQLParser.AGGREGATE_FUNCTIONS = new Set([
+    'COUNT', 'SUM', 'AVG', 'MIN', 'MAX', 'MEDIAN', 'MODE', 'STDDEV', 'STDDEV_POP', 'STDDEV_SAMP',
+    'VARIANCE', 'VAR_POP', 'VAR_SAMP', 'ARRAY_AGG', 'STRING_AGG', 'LISTAGG', 'GROUP_CONCAT',
+    'BOOL_AND', 'BOOL_OR', 'EVERY', 'ANY_VALUE', 'APPROX_COUNT_DISTINCT', 'COUNT_IF', 'COUNTIF',
+    'PERCENTILE_CONT', 'PERCENTILE_DISC', 'FIRST_VALUE', 'LAST_VALUE', 'ARRAY_AGG', 'OBJECT_AGG',
+    'COLLECT_LIST', 'COLLECT_SET', 'BIT_AND', 'BIT_OR', 'HLL', 'APPROX_DISTINCT'
+]);
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SQLParser };
+}
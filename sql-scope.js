@@ -0,0 +1,56 @@
+class SQLScope {
+    constructor(parent = null, ctes = new Map()) {
+        this.parent = parent;
+        // CTE name (lower-cased) -> node id, inherited from the enclosing WITH clauses
+        this.ctes = ctes;
+        // Tables brought into this query block, in FROM order
+        this.entries = [];
+        // Lower-cased alias or table name -> entry
+        this.names = new Map();
+        // Node ids this block reads from, including outer tables it correlates with
+        this.sources = [];
+        this.correlated = false;
+    }
+
+    define(tableId, names) {
+        const entry = { tableId, names };
+        this.entries.push(entry);
+        names.forEach(name => this.names.set(name.toLowerCase(), entry));
+        return entry;
+    }
+
+    resolveCTE(name) {
+        return this.ctes.get(name.toLowerCase()) || null;
+    }
+
+    lookup(qualifier) {
+        // Finds the innermost block defining an alias or (possibly qualified) table name
+        const key = qualifier.join('.').toLowerCase();
+
+        for (let scope = this; scope; scope = scope.parent) {
+            const entry = scope.names.get(key);
+            if (entry) {
+                return { tableId: entry.tableId, scope };
+            }
+        }
+
+        return null;
+    }
+
+    lookupEntry(qualifier) {
+        // Like lookup, but only within this query block (t.* never reaches outer tables)
+        return this.names.get(qualifier.join('.').toLowerCase()) || null;
+    }
+
+    tableIds() {
+        return this.entries.map(entry => entry.tableId);
+    }
+
+    addSource(tableId) {
+        this.sources.push(tableId);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SQLScope };
+}
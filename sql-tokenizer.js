@@ -0,0 +1,308 @@
+class SQLSyntaxError extends Error {
+    constructor(message, token) {
+        super(message);
+        this.name = 'SQLSyntaxError';
+        this.start = token ? token.start : 0;
+        this.end = token ? token.end : 0;
+        this.line = token ? token.line : 1;
+        this.column = token ? token.column : 1;
+    }
+}
+
+class SQLTokenizer {
+    constructor(options = {}) {
+        this.options = {
+            // Characters that open a quoted identifier, mapped to their closing character
+            identifierQuotes: { '"': '"', '`': '`', '[': ']' },
+            // Characters that open a string literal; BigQuery and Spark also accept "..."
+            stringQuotes: ["'"],
+            backslashEscapes: false,
+            dollarQuoting: true,
+            hashComments: false,
+            // T-SQL #temp and ##global temp tables
+            hashIdentifiers: false,
+            // "[" straight after a value subscripts it (a[0]) rather than opening a [quoted] identifier
+            bracketSubscripts: true,
+            ...options
+        };
+    }
+
+    tokenize(sql, start = 0, end = sql.length) {
+        // Tokenizes sql[start, end); positions, lines and columns stay those of the whole string
+        this.sql = sql;
+        this.end = end;
+        this.pos = start;
+        this.line = 1;
+        this.lineStart = 0;
+        for (let newline = sql.indexOf('\n'); newline !== -1 && newline < start; newline = sql.indexOf('\n', newline + 1)) {
+            this.line++;
+            this.lineStart = newline + 1;
+        }
+        this.tokenLine = 1;
+        this.tokenColumn = 1;
+
+        const tokens = [];
+        let token;
+
+        while ((token = this.nextToken()) !== null) {
+            tokens.push(token);
+        }
+
+        tokens.push(this.makeToken('eof', '', this.pos));
+        return tokens;
+    }
+
+    nextToken() {
+        this.skipWhitespaceAndComments();
+
+        this.tokenLine = this.line;
+        this.tokenColumn = this.pos - this.lineStart + 1;
+
+        if (this.pos >= this.end) return null;
+
+        const start = this.pos;
+        const char = this.sql[this.pos];
+        const next = this.pos + 1 < this.end ? this.sql[this.pos + 1] : undefined;
+
+        // String literals, including prefixed forms like N'...', E'...', X'...'
+        if (this.options.stringQuotes.includes(char)) {
+            return this.readString(start, this.options.backslashEscapes, char);
+        }
+        if (/[NnEeXxBbRr]/.test(char) && this.options.stringQuotes.includes(next)) {
+            this.pos++;
+            // Raw strings (r'...') never process escapes
+            return this.readString(start, /[Ee]/.test(char) || (this.options.backslashEscapes && !/[Rr]/.test(char)), next);
+        }
+
+        // Quoted identifiers
+        const closeQuote = this.options.identifierQuotes[char];
+        const subscript = char === '[' && this.options.bracketSubscripts && this.previousIsValue();
+        if (closeQuote && !subscript) {
+            return this.readQuotedIdentifier(start, closeQuote);
+        }
+
+        // Dollar-quoted strings ($$...$$ or $tag$...$tag$) and positional parameters ($1)
+        if (char === '$') {
+            const tag = this.match(SQLTokenizer.PATTERNS.dollarTag);
+            if (tag && this.options.dollarQuoting) {
+                return this.readDollarString(start, tag[0]);
+            }
+            const param = this.match(SQLTokenizer.PATTERNS.positionalParameter);
+            if (param) {
+                this.pos += param[0].length;
+                return this.makeToken('parameter', param[0], start);
+            }
+        }
+
+        // Numbers
+        if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(next))) {
+            const number = this.match(SQLTokenizer.PATTERNS.number);
+            this.pos += number[0].length;
+            return this.makeToken('number', number[0], start);
+        }
+
+        // Words: keywords and unquoted identifiers
+        const hashWord = this.options.hashIdentifiers && char === '#' && /[#A-Za-z_]/.test(next || '');
+        if (/[A-Za-z_\u0080-\uFFFF]/.test(char) || hashWord) {
+            const word = this.match(SQLTokenizer.PATTERNS.word);
+            this.pos += word[0].length;
+            return this.makeToken('word', word[0], start);
+        }
+
+        // Named parameters and variables (:name, @name, ?)
+        if ((char === ':' || char === '@') && /[A-Za-z_]/.test(next || '') && !this.previousIsValue()) {
+            const param = this.match(SQLTokenizer.PATTERNS.namedParameter);
+            this.pos += param[0].length;
+            return this.makeToken('parameter', param[0], start);
+        }
+        if (char === '?') {
+            this.pos++;
+            return this.makeToken('parameter', '?', start);
+        }
+
+        // Punctuation
+        if ('(),;.[]{}'.includes(char)) {
+            this.pos++;
+            return this.makeToken('punctuation', char, start);
+        }
+
+        // Operators, longest match first. "<@name" is a comparison with a T-SQL variable, not array containment
+        const variable = char === '<' && next === '@' && /[A-Za-z_]/.test(this.sql[this.pos + 2] || '');
+        const operator = SQLTokenizer.OPERATORS.find(op => this.sql.startsWith(op, this.pos) && this.pos + op.length <= this.end && !(variable && op === '<@'));
+        if (operator) {
+            this.pos += operator.length;
+            return this.makeToken('operator', operator, start);
+        }
+
+        throw this.error(`Unexpected character "${char}"`, this.makeToken('error', char, start, start + 1));
+    }
+
+    match(pattern) {
+        // Sticky patterns match in place rather than on a copy of the rest of the input; a match
+        // running past the end of the range is redone on the input cut at the range's end
+        pattern.lastIndex = this.pos;
+        const match = pattern.exec(this.sql);
+        if (!match || pattern.lastIndex <= this.end) return match;
+
+        pattern.lastIndex = this.pos;
+        return pattern.exec(this.sql.slice(0, this.end));
+    }
+
+    skipWhitespaceAndComments() {
+        while (this.pos < this.end) {
+            const char = this.sql[this.pos];
+            const next = this.pos + 1 < this.end ? this.sql[this.pos + 1] : undefined;
+
+            if (char === '\n') {
+                this.pos++;
+                this.line++;
+                this.lineStart = this.pos;
+            } else if (/\s/.test(char)) {
+                this.pos++;
+            } else if ((char === '-' && next === '-') || (char === '#' && this.options.hashComments)) {
+                while (this.pos < this.end && this.sql[this.pos] !== '\n') this.pos++;
+            } else if (char === '/' && next === '*') {
+                this.skipBlockComment();
+            } else {
+                break;
+            }
+        }
+    }
+
+    skipBlockComment() {
+        // Block comments nest, as in Postgres and the SQL standard
+        const start = this.pos;
+        let depth = 0;
+        // Comments are skipped before the next token's position is taken, so record where this one opens
+        this.tokenLine = this.line;
+        this.tokenColumn = start - this.lineStart + 1;
+
+        do {
+            if (this.pos >= this.end) {
+                throw this.error('Unterminated block comment', this.makeToken('comment', '', start));
+            }
+
+            if (this.sql.startsWith('/*', this.pos)) {
+                depth++;
+                this.pos += 2;
+            } else if (this.sql.startsWith('*/', this.pos)) {
+                depth--;
+                this.pos += 2;
+            } else {
+                this.advance();
+            }
+        } while (depth > 0);
+    }
+
+    readString(start, backslashEscapes, quote = "'") {
+        this.pos++; // opening quote
+        let value = '';
+
+        while (this.pos < this.end) {
+            const char = this.sql[this.pos];
+
+            if (char === quote && this.sql[this.pos + 1] === quote) {
+                value += quote;
+                this.pos += 2;
+            } else if (char === quote) {
+                this.pos++;
+                return this.makeToken('string', value, start);
+            } else if (char === '\\' && backslashEscapes) {
+                value += this.sql[this.pos + 1] || '';
+                this.pos += 2;
+            } else {
+                value += char;
+                this.advance();
+            }
+        }
+
+        throw this.error('Unterminated string literal', this.makeToken('string', value, start));
+    }
+
+    readQuotedIdentifier(start, closeQuote) {
+        this.pos++; // opening quote
+        let value = '';
+
+        while (this.pos < this.end) {
+            const char = this.sql[this.pos];
+
+            if (char === closeQuote && this.sql[this.pos + 1] === closeQuote) {
+                value += closeQuote;
+                this.pos += 2;
+            } else if (char === closeQuote) {
+                this.pos++;
+                return this.makeToken('identifier', value, start);
+            } else {
+                value += char;
+                this.advance();
+            }
+        }
+
+        throw this.error('Unterminated quoted identifier', this.makeToken('identifier', value, start));
+    }
+
+    readDollarString(start, tag) {
+        const bodyStart = this.pos + tag.length;
+        const bodyEnd = this.sql.indexOf(tag, bodyStart);
+
+        if (bodyEnd === -1 || bodyEnd + tag.length > this.end) {
+            throw this.error('Unterminated dollar-quoted string', this.makeToken('string', '', start));
+        }
+
+        this.pos = bodyStart;
+        while (this.pos < bodyEnd) this.advance();
+        this.pos = bodyEnd + tag.length;
+
+        return this.makeToken('string', this.sql.slice(bodyStart, bodyEnd), start);
+    }
+
+    advance() {
+        if (this.sql[this.pos] === '\n') {
+            this.line++;
+            this.lineStart = this.pos + 1;
+        }
+        this.pos++;
+    }
+
+    previousIsValue() {
+        // "a:b" directly after a value is a path operator, not a named parameter
+        const previous = this.sql[this.pos - 1];
+        return previous !== undefined && /[A-Za-z0-9_"'`\])]/.test(previous);
+    }
+
+    error(message, token) {
+        // Positioned the way SQLASTParser words its errors, so every syntax error says where it is
+        return new SQLSyntaxError(`${message} (line ${token.line}, column ${token.column})`, token);
+    }
+
+    makeToken(type, value, start, end = this.pos) {
+        return {
+            type,
+            value,
+            upper: type === 'word' ? value.toUpperCase() : value,
+            start,
+            end,
+            line: this.tokenLine,
+            column: this.tokenColumn
+        };
+    }
+}
+
+SQLTokenizer.OPERATORS = [
+    '->>', '#>>', '!~*', '||', '::', '<=', '>=', '<>', '!=', '->', '=>', '==', '#>', '<<', '>>',
+    '~*', '!~', '@>', '<@', '&&',
+    '+', '-', '*', '/', '%', '=', '<', '>', '~', '!', '&', '|', '^', ':', '@', '#'
+];
+
+// Sticky, so each matches only at lastIndex
+SQLTokenizer.PATTERNS = {
+    dollarTag: /\$([A-Za-z_][A-Za-z0-9_]*)?\$/y,
+    positionalParameter: /\$\d+/y,
+    number: /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y,
+    word: /#{0,2}[A-Za-z_\u0080-\uFFFF][A-Za-z0-9_$\u0080-\uFFFF]*/y,
+    namedParameter: /[:@][A-Za-z_][A-Za-z0-9_]*/y
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SQLTokenizer, SQLSyntaxError };
+}
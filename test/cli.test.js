@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'lineage.js');
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lineage-cli-'));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const write = (name, sql) => {
+    const file = path.join(dir, name);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, sql);
+    return file;
+};
+const run = (...args) => spawnSync(process.execPath, [CLI, ...args], { encoding: 'utf8' });
+
+test('exits 0 and prints the lineage for valid SQL', () => {
+    const result = run(write('ok.sql', 'CREATE TABLE b AS SELECT id FROM a;'));
+
+    assert.equal(result.status, 0);
+    assert.equal(result.stderr, '');
+    assert.deepEqual(JSON.parse(result.stdout).tables.map(table => table.id), ['a', 'b']);
+});
+
+test('parses the .sql files of a directory as one script', () => {
+    write('project/1_stage.sql', 'CREATE TABLE stage AS SELECT id FROM raw;');
+    write('project/2_mart.sql', 'CREATE TABLE mart AS SELECT id FROM stage;');
+    write('project/notes.txt', 'not sql');
+    const result = run('--format', 'dot', path.join(dir, 'project'));
+
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /"raw" -> "stage"/);
+    assert.match(result.stdout, /"stage" -> "mart"/);
+});
+
+test('exits 1 on parse errors and names the file and line', () => {
+    const file = write('broken.sql', 'SELECT 1;\nSELECT a b c FROM t;');
+    const result = run(file);
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, new RegExp(`${file.replace(/[.\\]/g, '\\$&')}:2:\\d+: error SYNTAX_ERROR`));
+});
+
+test('a file that fails to tokenize does not hide the lineage of the others', () => {
+    const broken = write('mixed/a_broken.sql', "SELECT 'open FROM t;");
+    write('mixed/b_good.sql', 'CREATE TABLE good AS SELECT id FROM src;');
+    const result = run(path.join(dir, 'mixed'));
+
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, new RegExp(`${broken.replace(/[.\\]/g, '\\$&')}:1:8: error SYNTAX_ERROR: Unterminated string literal`));
+    assert.deepEqual(JSON.parse(result.stdout).tables.map(table => table.id), ['src', 'good']);
+});
+
+test('exits 2 on usage and I/O errors', () => {
+    assert.equal(run().status, 2);
+    assert.equal(run('--format', 'yaml', 'x.sql').status, 2);
+    assert.equal(run('--bogus').status, 2);
+    assert.equal(run(path.join(dir, 'missing.sql')).status, 2);
+});
+
+test('--help exits 0', () => {
+    const result = run('--help');
+
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /^Usage: lineage/);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LayeredLayout } = require('../dag-layout.js');
+
+function crossings(links, order) {
+    // Two layers in the given order, with no crossing reduction
+    const layout = new LayeredLayout();
+    const ids = order.flat();
+    const { layers, graph } = layout.buildLayers(ids, links, new Map(order.flatMap((layer, rank) => layer.map(id => [id, rank]))));
+    const position = new Map();
+    layers.forEach(layer => layer.forEach((id, i) => position.set(id, i)));
+    return layout.countCrossings(layers, graph, position);
+}
+
+test('crossings between adjacent layers are counted once per pair of edges', () => {
+    assert.equal(crossings([['a', 'x'], ['b', 'y']], [['a', 'b'], ['x', 'y']]), 0);
+    assert.equal(crossings([['a', 'y'], ['b', 'x']], [['a', 'b'], ['x', 'y']]), 1);
+    // Edges sharing an end never cross
+    assert.equal(crossings([['a', 'x'], ['a', 'y'], ['b', 'x']], [['a', 'b'], ['x', 'y']]), 1);
+    assert.equal(crossings([['a', 'z'], ['b', 'y'], ['c', 'x']], [['a', 'b', 'c'], ['x', 'y', 'z']]), 3);
+});
+
+test('crossing reduction untangles a swapped layer', () => {
+    const nodes = ['a', 'b', 'x', 'y'].map(id => ({ id }));
+    const positions = new LayeredLayout().run(nodes, [{ source: 'a', target: 'y' }, { source: 'b', target: 'x' }]);
+
+    const above = (first, second) => positions.get(first).y < positions.get(second).y;
+    assert.equal(above('a', 'b'), above('y', 'x'));
+});
+
+test('a large graph is laid out', () => {
+    // Every node reads from two earlier ones, so layers are wide and edges span many ranks
+    const count = 2000;
+    const nodes = Array.from({ length: count }, (node, i) => ({ id: `n${i}` }));
+    const links = [];
+    for (let i = 1; i < count; i++) {
+        links.push({ source: `n${Math.floor(i / 3)}`, target: `n${i}` }, { source: `n${Math.floor(i / 2)}`, target: `n${i}` });
+    }
+
+    const positions = new LayeredLayout().run(nodes, links);
+    assert.equal(positions.size, count);
+    links.forEach(link => assert.ok(positions.get(link.source).rank < positions.get(link.target).rank));
+});
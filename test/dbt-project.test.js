@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DbtProject, SQLParser } = require('../lineage.js');
+
+const model = (name, schema, sql, dependsOn = []) => ({
+    unique_id: `model.shop.${name}`,
+    resource_type: 'model',
+    name,
+    database: 'my-proj',
+    schema,
+    original_file_path: `models/${schema}/${name}.sql`,
+    compiled_code: sql,
+    depends_on: { nodes: dependsOn }
+});
+
+const build = (project, dialect = 'generic') => project.buildLineage(new SQLParser({ dialect }));
+const groups = data => Object.fromEntries(data.tables.map(table => [table.id, table.group]));
+
+test('relations with hyphenated project ids are quoted for the dialect', () => {
+    const project = new DbtProject();
+    project.loadManifest({
+        nodes: {
+            'model.shop.stg': model('stg', 'staging', 'select id from `my-proj`.`raw`.`orders`'),
+            'model.shop.mart': model('mart', 'marts', 'select id from `my-proj`.`staging`.`stg`', ['model.shop.stg'])
+        }
+    });
+    const data = build(project, 'bigquery');
+
+    assert.deepEqual(data.diagnostics, []);
+    assert.match(data.sql, /CREATE VIEW `my-proj`\.`marts`\.`mart` AS/);
+    assert.deepEqual(groups(data), {
+        'my-proj.raw.orders': undefined,
+        'my-proj.staging.stg': 'staging',
+        'my-proj.marts.mart': 'marts'
+    });
+});
+
+test('a model that fails to tokenize leaves the others in place', () => {
+    const project = new DbtProject();
+    project.loadModelFiles([
+        { path: 'models/staging/stg_orders.sql', text: "select id from {{ source('shop', 'orders') }} where note = 'open" },
+        { path: 'models/staging/stg_customers.sql', text: "select id from {{ source('shop', 'customers') }}" },
+        { path: 'models/marts/customers.sql', text: "select id from {{ ref('stg_customers') }}" }
+    ]);
+    const data = build(project);
+
+    assert.equal(data.diagnostics.length, 1);
+    assert.match(data.diagnostics[0].message, /Unterminated string literal/);
+    assert.ok(data.tables.some(table => table.id === 'customers'));
+    assert.ok(data.relationships.some(rel => rel.source === 'stg_customers' && rel.target === 'customers'));
+});
+
+test('intermediate nodes are grouped by their model even when a model holds several statements', () => {
+    const project = new DbtProject();
+    project.loadModelFiles([
+        { path: 'models/staging/stg.sql', text: 'select id from raw_orders; select 1 as ignored' },
+        { path: 'models/marts/mart.sql', text: "with totals as (select id from {{ ref('stg') }}) select id from totals" }
+    ]);
+    const data = build(project);
+    const cte = data.tables.find(table => table.type === 'cte');
+
+    assert.equal(cte.group, 'marts');
+});
+
+test('duplicate model names and conditional Jinja are reported', () => {
+    const project = new DbtProject();
+    project.loadModelFiles([
+        { path: 'models/staging/orders.sql', text: 'select id from raw_orders' },
+        { path: 'models/marts/orders.sql', text: 'select id from other' },
+        { path: 'models/marts/flags.sql', text: "{% if target.name == 'prod' %}select 1 as a{% else %}select 2 as b{% endif %}" }
+    ]);
+    const data = build(project);
+
+    assert.equal(project.size, 2);
+    assert.deepEqual(data.diagnostics.map(diagnostic => diagnostic.code), ['DUPLICATE_MODEL', 'UNRENDERED_MODEL']);
+    assert.match(data.diagnostics[0].message, /models\/staging\/orders\.sql and models\/marts\/orders\.sql/);
+    assert.ok(!data.tables.some(table => table.id === 'flags'));
+    assert.ok(data.relationships.some(rel => rel.source === 'raw_orders' && rel.target === 'orders'));
+});
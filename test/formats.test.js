@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractLineage, formatLineage } = require('../lineage.js');
+
+const data = extractLineage('CREATE TABLE mart.sales AS SELECT o.id, o.amount * 2 AS doubled FROM raw.orders o;');
+
+test('json keeps the parser result', () => {
+    const parsed = JSON.parse(formatLineage(data, 'json'));
+
+    assert.deepEqual(Object.keys(parsed), ['tables', 'relationships', 'columns', 'diagnostics']);
+    assert.deepEqual(parsed.tables.map(table => table.id), ['raw.orders', 'mart.sales']);
+});
+
+test('dot draws table edges, or column edges with --columns', () => {
+    const tables = formatLineage(data, 'dot');
+    assert.match(tables, /^digraph lineage \{/);
+    assert.match(tables, /"raw\.orders" -> "mart\.sales" \[label="flow"\];/);
+
+    const columns = formatLineage(data, 'dot', { columns: true });
+    assert.match(columns, /subgraph cluster_0 \{/);
+    assert.match(columns, /"raw\.orders\.amount" -> "mart\.sales\.doubled" \[label="flow:arithmetic"\];/);
+});
+
+test('mermaid numbers nodes and labels them', () => {
+    const text = formatLineage(data, 'mermaid');
+
+    assert.equal(text.split('\n')[0], 'flowchart LR');
+    assert.match(text, /n0\["raw\.orders"\]/);
+    assert.match(text, /n0 -->\|flow\| n1/);
+});
+
+test('unknown formats throw', () => {
+    assert.throws(() => formatLineage(data, 'yaml'), /Unknown format "yaml"/);
+    // CSV is exported from the mappings view in the app
+    assert.throws(() => formatLineage(data, 'csv'), /Unknown format "csv"/);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractLineage, LineageDiff } = require('../lineage.js');
+
+const compare = (before, after) => LineageDiff.compare(extractLineage(before), extractLineage(after));
+const QUERY = level => `CREATE TABLE banded AS SELECT id, CASE WHEN amount > 100 THEN ${level} ELSE 'Low' END AS band FROM orders;`;
+
+test('changing the case of a string literal is a change', () => {
+    const { diff: summary } = compare(QUERY("'High'"), QUERY("'HIGH'"));
+
+    assert.deepEqual(summary.columns.changed.map(change => change.id), ['banded.band']);
+    assert.match(summary.columns.changed[0].before, /'High'/);
+    assert.match(summary.columns.changed[0].after, /'HIGH'/);
+});
+
+test('keyword case and whitespace are not changes', () => {
+    const { diff: summary } = compare(
+        QUERY("'High'"),
+        "create table banded as select id,\n  case   when amount>100 then 'High' else 'Low' end as band from orders;"
+    );
+
+    assert.ok(!LineageDiff.hasChanges(summary));
+});
+
+test('added and removed columns and edges are reported', () => {
+    const { diff: summary } = compare(
+        'CREATE TABLE t AS SELECT a, b FROM s;',
+        'CREATE TABLE t AS SELECT a, c FROM s;'
+    );
+
+    assert.deepEqual(summary.columns.added, ['s.c', 't.c']);
+    assert.deepEqual(summary.columns.removed, ['s.b', 't.b']);
+    assert.deepEqual(summary.edges.added, ['s.c->t.c (flow)']);
+    assert.deepEqual(summary.edges.removed, ['s.b->t.b (flow)']);
+});
@@ -0,0 +1,98 @@
+// showNotification runs in the browser; a minimal DOM stand-in records what it builds
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+class FakeElement {
+    constructor(tagName) {
+        this.tagName = tagName.toUpperCase();
+        this.children = [];
+        this.parentElement = null;
+        this.style = {};
+        this.attributes = {};
+        this.listeners = {};
+        this.textContent = '';
+        this.markup = null;
+    }
+
+    set innerHTML(value) {
+        this.markup = value;
+    }
+
+    get innerHTML() {
+        return this.markup || '';
+    }
+
+    append(...nodes) {
+        nodes.forEach(node => {
+            node.parentElement = this;
+            this.children.push(node);
+        });
+    }
+
+    appendChild(node) {
+        this.append(node);
+        return node;
+    }
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = listener;
+    }
+
+    remove() {
+        if (!this.parentElement) return;
+        this.parentElement.children = this.parentElement.children.filter(node => node !== this);
+        this.parentElement = null;
+    }
+}
+
+const created = [];
+const document = {
+    body: new FakeElement('body'),
+    createElement(tagName) {
+        const element = new FakeElement(tagName);
+        created.push(element);
+        return element;
+    },
+    addEventListener() {}
+};
+const context = vm.createContext({ document, setTimeout: () => 0 });
+vm.runInContext(`${fs.readFileSync(path.join(__dirname, '..', 'app.js'), 'utf8')}\nthis.DataLineageApp = DataLineageApp;`, context);
+const { DataLineageApp } = context;
+
+const notify = message => {
+    created.length = 0;
+    DataLineageApp.prototype.showNotification.call({}, message, 'error');
+    return document.body.children[document.body.children.length - 1];
+};
+
+const PAYLOAD = '<img src=x onerror=alert(document.domain)>';
+
+test('parser messages quoting SQL are shown as text', () => {
+    const message = `Unexpected token "${PAYLOAD}" (line 1, column 12)`;
+
+    const notification = notify(message);
+    assert.equal(notification.children[0].textContent, message);
+    assert.ok(created.every(element => element.markup === null), 'no element is given markup');
+    assert.ok(!created.some(element => element.tagName === 'IMG'));
+});
+
+test('node labels and query names are shown as text', () => {
+    [`${PAYLOAD} is hidden by the current filters`, `Saved "${PAYLOAD}"`].forEach(message => {
+        const notification = notify(message);
+        assert.equal(notification.children[0].textContent, message);
+        assert.ok(created.every(element => element.markup === null));
+    });
+});
+
+test('the close button removes the notification', () => {
+    const notification = notify('done');
+    notification.children[1].listeners.click();
+    assert.ok(!document.body.children.includes(notification));
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractLineage, loadCatalog } = require('../lineage.js');
+
+const edges = data => data.relationships.map(rel => `${rel.source}.${rel.sourceColumn}->${rel.target}.${rel.targetColumn}:${rel.type}`);
+const columnsOf = (data, id) => data.tables.find(table => table.id === id).columns.map(column => column.name);
+
+test('traces columns through a CTE into an INSERT target', () => {
+    const data = extractLineage(`
+        WITH o AS (SELECT id, amount FROM raw.orders)
+        INSERT INTO mart.sales SELECT o.id, SUM(o.amount) AS total FROM o GROUP BY o.id;
+    `);
+
+    assert.deepEqual(data.diagnostics, []);
+    assert.deepEqual(data.tables.map(table => [table.id, table.type]), [
+        ['raw.orders', 'table'],
+        ['o', 'cte'],
+        ['mart.sales', 'table']
+    ]);
+    assert.deepEqual(data.tables[2].columns.map(column => column.name), ['id', 'total']);
+    assert.ok(edges(data).includes('raw.orders.amount->o.amount:cte'));
+    assert.ok(edges(data).includes('o.amount->mart.sales.total:flow'));
+
+    const total = data.relationships.find(rel => rel.targetColumn === 'total');
+    assert.equal(total.transformation, 'aggregate');
+});
+
+test('resolves table aliases to the tables they name', () => {
+    const data = extractLineage('CREATE TABLE report AS SELECT c.name, o.amount FROM customers c JOIN orders o ON o.customer_id = c.id;');
+
+    assert.ok(edges(data).includes('customers.name->report.name:flow'));
+    assert.ok(edges(data).includes('orders.amount->report.amount:flow'));
+    assert.ok(!data.tables.some(table => table.id === 'c' || table.id === 'o'));
+});
+
+test('reports syntax errors as diagnostics with a position', () => {
+    const data = extractLineage('SELECT a b c FROM t');
+
+    assert.equal(data.diagnostics.length, 1);
+    const [diagnostic] = data.diagnostics;
+    assert.equal(diagnostic.severity, 'error');
+    assert.equal(diagnostic.code, 'SYNTAX_ERROR');
+    assert.equal(diagnostic.line, 1);
+    assert.equal(typeof diagnostic.start, 'number');
+});
+
+test('keeps the lineage of the statements around a failing one', () => {
+    const data = extractLineage('CREATE TABLE a AS SELECT x FROM src; SELECT FROM; CREATE TABLE b AS SELECT x FROM a;');
+
+    assert.ok(data.diagnostics.some(diagnostic => diagnostic.severity === 'error'));
+    assert.ok(edges(data).includes('src.x->a.x:flow'));
+    assert.ok(edges(data).includes('a.x->b.x:flow'));
+});
+
+test('warns about a bare column that more than one joined table could supply', () => {
+    const data = extractLineage('CREATE TABLE report AS SELECT amount FROM orders o JOIN refunds r ON r.order_id = o.id;');
+
+    assert.deepEqual(data.diagnostics.map(diagnostic => diagnostic.code), ['AMBIGUOUS_COLUMN']);
+    assert.match(data.diagnostics[0].message, /"amount" could come from "orders" or "refunds"/);
+    assert.equal(typeof data.diagnostics[0].start, 'number');
+    assert.ok(!edges(data).some(edge => edge.endsWith('report.amount:flow')));
+});
+
+test('the unit EXTRACT reads is not a column', () => {
+    const data = extractLineage('SELECT EXTRACT(YEAR FROM d) AS y, EXTRACT(WEEK(MONDAY) FROM e) AS w FROM t', {
+        dialect: 'bigquery',
+        catalog: loadCatalog('CREATE TABLE t (d DATE, e DATE);')
+    });
+
+    assert.deepEqual(data.diagnostics, []);
+    assert.deepEqual(columnsOf(data, 't'), ['d', 'e']);
+});
+
+test('a subscripted column keeps the column name', () => {
+    const data = extractLineage('CREATE TABLE out AS SELECT a[0], t.b[1][2] FROM t;');
+    const tsql = extractLineage('CREATE TABLE out AS SELECT [a], b [c] FROM dbo.[t];', { dialect: 'tsql' });
+
+    assert.deepEqual(columnsOf(data, 'out'), ['a', 'b']);
+    assert.deepEqual(columnsOf(tsql, 'out'), ['a', 'c']);
+    assert.deepEqual(columnsOf(tsql, 'dbo.t'), ['a', 'b']);
+});
+
+test('date parts, CONVERT types and STRUCT field names are not columns', () => {
+    const columns = (sql, dialect) => columnsOf(extractLineage(sql, { dialect }), 't');
+
+    assert.deepEqual(columns('SELECT DATEADD(day, 1, d) AS a, DATEDIFF(x, y) AS b FROM t', 'snowflake'), ['d', 'x', 'y']);
+    assert.deepEqual(columns('SELECT DATEDIFF(day, a, b) AS d, CONVERT(INT, c) AS i, TRY_CONVERT(VARCHAR(10), e, 120) AS v FROM t', 'tsql'), ['a', 'b', 'c', 'e']);
+    assert.deepEqual(columns('SELECT DATE_TRUNC(d, MONTH) AS m, DATE_DIFF(a, b, WEEK(MONDAY)) AS w, STRUCT(a AS x, c) AS s FROM t', 'bigquery'), ['d', 'a', 'b', 'c']);
+    assert.deepEqual(columns("SELECT CONVERT(a, 'UTF8', 'LATIN1') AS c FROM t", 'postgres'), ['a']);
+});
+
+test('reads a bare array literal in BigQuery and Snowflake', () => {
+    const unnest = extractLineage('SELECT x FROM UNNEST([1, 2, 3]) AS x', { dialect: 'bigquery' });
+    const columns = extractLineage('SELECT [a, b] AS pair FROM t', { dialect: 'snowflake' });
+
+    assert.deepEqual(unnest.diagnostics, []);
+    assert.deepEqual(columnsOf(unnest, 'result'), ['x']);
+    assert.deepEqual(columns.diagnostics, []);
+    assert.deepEqual(columnsOf(columns, 't'), ['a', 'b']);
+});
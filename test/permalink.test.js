@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { CompressionStream, DecompressionStream } = require('stream/web');
+
+// permalink.js is a browser script; Node has the encoders and streams it uses. Without
+// CompressionStream it writes plain links, as in browsers lacking it.
+const source = `${fs.readFileSync(path.join(__dirname, '..', 'permalink.js'), 'utf8')}\nthis.Permalink = Permalink;`;
+const load = globals => {
+    const context = vm.createContext({ TextEncoder, TextDecoder, Blob, Response, btoa, atob, Uint8Array, ...globals });
+    vm.runInContext(source, context);
+    return context.Permalink;
+};
+const Permalink = load({});
+
+let deflateRaw = true;
+try {
+    new CompressionStream('deflate-raw');
+} catch (error) {
+    deflateRaw = false;
+}
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const STATE = {
+    sql: 'SELECT 1',
+    dialect: 'postgres',
+    theme: 'light',
+    layout: 'force',
+    view: 'cards',
+    zoom: { x: 10, y: -5.5, k: 1.2 },
+    pinned: [['orders', 100, 200]]
+};
+
+test('state survives a round trip through a plain link', async () => {
+    const hash = await Permalink.encode(STATE);
+
+    assert.match(hash, /^v1\.p\./);
+    assert.deepEqual(plain(Permalink.validate(await Permalink.decode(`#${hash}`))), STATE);
+});
+
+test('state survives a round trip through a deflated link', { skip: !deflateRaw && 'no deflate-raw in this Node' }, async () => {
+    const Deflating = load({ CompressionStream, DecompressionStream });
+    const hash = await Deflating.encode(STATE);
+
+    assert.match(hash, /^v1\.z\./);
+    assert.deepEqual(plain(Deflating.validate(await Deflating.decode(`#${hash}`))), STATE);
+});
+
+test('values outside the known settings are dropped', () => {
+    const state = plain(Permalink.validate({
+        sql: 42,
+        dialect: ['postgres'],
+        theme: 'neon',
+        layout: 'constructor',
+        view: '<img src=x>',
+        zoom: { x: 'NaN', y: 0, k: 1 },
+        pinned: [['a', 1, 2], ['b', '1', 2], 'c', [3, 4, 5], ['d', 1, Infinity]],
+        extra: 'ignored'
+    }));
+
+    assert.deepEqual(state, { sql: '', dialect: null, theme: null, layout: null, view: null, zoom: null, pinned: [['a', 1, 2]] });
+});
+
+test('non-permalink hashes decode to null and damaged ones throw', async () => {
+    assert.equal(await Permalink.decode('#section-2'), null);
+    assert.equal(Permalink.validate(null), null);
+    await assert.rejects(Permalink.decode('#v9.p.e30'), /Unsupported link version/);
+    assert.throws(() => Permalink.validate([1, 2]), /not an object/);
+    assert.throws(() => Permalink.validate('sql'), /not an object/);
+});
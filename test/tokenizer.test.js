@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SQLTokenizer, SQLDialect, SQLASTParser } = require('../lineage.js');
+
+const tokens = (sql, ...range) => new SQLTokenizer().tokenize(sql, ...range)
+    .filter(token => token.type !== 'eof')
+    .map(token => `${token.type}:${token.value}`);
+
+test('pattern and array operators are single comparison tokens', () => {
+    const where = new SQLASTParser().parse("SELECT 1 FROM a WHERE a.n !~* 'x' AND a.t && a.u AND a.t @> a.v AND a.t <@ a.w")
+        .statements[0].where;
+    const ops = [];
+    const collect = node => {
+        if (node.op === 'AND') {
+            collect(node.left);
+            collect(node.right);
+        } else {
+            ops.push(node.op);
+        }
+    };
+    collect(where);
+
+    assert.deepEqual(ops, ['!~*', '&&', '@>', '<@']);
+    assert.deepEqual(tokens("a ~* 'x' OR a !~ 'y'"), ['word:a', 'operator:~*', 'string:x', 'word:OR', 'word:a', 'operator:!~', 'string:y']);
+});
+
+test('"<@name" compares with a T-SQL variable', () => {
+    const tokenizer = new SQLTokenizer(SQLDialect.get('tsql').tokenizer);
+    const values = tokenizer.tokenize('WHERE a<@limit').map(token => token.value);
+
+    assert.deepEqual(values, ['WHERE', 'a', '<', '@limit', '']);
+});
+
+test('numbers, words and parameters stop at the end of the range', () => {
+    assert.deepEqual(tokens('SELECT 1.5e+3, $1, :name FROM t'), ['word:SELECT', 'number:1.5e+3', 'punctuation:,', 'parameter:$1', 'punctuation:,', 'parameter::name', 'word:FROM', 'word:t']);
+    assert.deepEqual(tokens('SELECT abcdef FROM t', 0, 10), ['word:SELECT', 'word:abc']);
+    assert.deepEqual(tokens('SELECT 12345', 7, 10), ['number:123']);
+});
+
+test('unterminated literals and comments say where they begin', () => {
+    const messages = ["SELECT 'open", 'SELECT 1\nFROM "t', 'SELECT 1 /* a\n/* b */', 'SELECT $$x', 'SELECT 1 \\'].map(sql => {
+        try {
+            new SQLTokenizer().tokenize(sql);
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    });
+
+    assert.deepEqual(messages, [
+        'Unterminated string literal (line 1, column 8)',
+        'Unterminated quoted identifier (line 2, column 6)',
+        'Unterminated block comment (line 1, column 10)',
+        'Unterminated dollar-quoted string (line 1, column 8)',
+        'Unexpected character "\\" (line 1, column 10)'
+    ]);
+});
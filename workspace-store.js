@@ -0,0 +1,164 @@
+class WorkspaceStore {
+    // Saved queries and visualization history, kept in IndexedDB so they survive reloads.
+    // A query is { id, name, sql, dialect, notes, viewMode, graph, view, createdAt, updatedAt }:
+    // graph is the last rendered SQLParser result and view the renderer's zoom and pinned nodes.
+    // Settings that apply to every query (such as the layer rules) are { key, value } records.
+    constructor(name = 'lineage-workspace') {
+        this.name = name;
+        this.opening = null;
+    }
+
+    static get available() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.name, WorkspaceStore.VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('queries')) db.createObjectStore('queries', { keyPath: 'id' });
+                    if (!db.objectStoreNames.contains('history')) db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+                    if (!db.objectStoreNames.contains('settings')) db.createObjectStore('settings', { keyPath: 'key' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.opening;
+    }
+
+    async store(name, mode = 'readonly') {
+        const db = await this.open();
+        return db.transaction(name, mode).objectStore(name);
+    }
+
+    static request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    static done(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    static newId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    }
+
+    async listQueries() {
+        const queries = await WorkspaceStore.request((await this.store('queries')).getAll());
+        return queries.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    async getQuery(id) {
+        return WorkspaceStore.request((await this.store('queries')).get(id));
+    }
+
+    async saveQuery(query) {
+        const now = Date.now();
+        const record = {
+            ...query,
+            id: query.id || WorkspaceStore.newId(),
+            createdAt: query.createdAt || now,
+            updatedAt: now
+        };
+        await WorkspaceStore.request((await this.store('queries', 'readwrite')).put(record));
+        return record;
+    }
+
+    async renameQuery(id, name) {
+        const query = await this.getQuery(id);
+        return query ? this.saveQuery({ ...query, name }) : null;
+    }
+
+    async duplicateQuery(id) {
+        const query = await this.getQuery(id);
+        return query ? this.saveQuery({ ...query, id: null, createdAt: null, name: `${query.name} (copy)` }) : null;
+    }
+
+    async deleteQuery(id) {
+        await WorkspaceStore.request((await this.store('queries', 'readwrite')).delete(id));
+    }
+
+    async listHistory() {
+        const entries = await WorkspaceStore.request((await this.store('history')).getAll());
+        return entries.sort((a, b) => b.at - a.at);
+    }
+
+    async addHistory(entry) {
+        // Re-running a query moves it to the top instead of listing it twice
+        const entries = await this.listHistory();
+        const stale = entries.filter(old => old.sql === entry.sql && old.dialect === entry.dialect);
+        const overflow = entries.filter(old => !stale.includes(old)).slice(WorkspaceStore.HISTORY_LIMIT - 1);
+
+        const store = await this.store('history', 'readwrite');
+        [...stale, ...overflow].forEach(old => store.delete(old.id));
+        store.add({ ...entry, at: Date.now() });
+        await WorkspaceStore.done(store.transaction);
+    }
+
+    async clearHistory() {
+        await WorkspaceStore.request((await this.store('history', 'readwrite')).clear());
+    }
+
+    async getSetting(key, fallback = null) {
+        const record = await WorkspaceStore.request((await this.store('settings')).get(key));
+        return record ? record.value : fallback;
+    }
+
+    async saveSetting(key, value) {
+        await WorkspaceStore.request((await this.store('settings', 'readwrite')).put({ key, value }));
+    }
+
+    async exportWorkspace() {
+        return {
+            format: WorkspaceStore.FORMAT,
+            version: WorkspaceStore.VERSION,
+            exportedAt: new Date().toISOString(),
+            queries: await this.listQueries(),
+            history: await this.listHistory(),
+            settings: await WorkspaceStore.request((await this.store('settings')).getAll())
+        };
+    }
+
+    async importWorkspace(workspace) {
+        // Queries keep their ids, so importing the same file twice updates rather than duplicates
+        if (!workspace || workspace.format !== WorkspaceStore.FORMAT || !Array.isArray(workspace.queries)) {
+            throw new Error('Not a lineage workspace file');
+        }
+
+        const queries = await this.store('queries', 'readwrite');
+        workspace.queries.forEach(query => queries.put({ ...query, id: query.id || WorkspaceStore.newId() }));
+        await WorkspaceStore.done(queries.transaction);
+
+        // History ids are local auto-increments; entries already present (same time and SQL) are skipped
+        const known = new Set((await this.listHistory()).map(entry => `${entry.at}:${entry.sql}`));
+        const history = await this.store('history', 'readwrite');
+        (workspace.history || []).forEach(({ id, ...entry }) => {
+            if (!known.has(`${entry.at}:${entry.sql}`)) history.add(entry);
+        });
+        await WorkspaceStore.done(history.transaction);
+
+        // Files from before settings existed have none; imported settings replace the current ones
+        if (Array.isArray(workspace.settings) && workspace.settings.length > 0) {
+            const settings = await this.store('settings', 'readwrite');
+            workspace.settings.forEach(setting => settings.put(setting));
+            await WorkspaceStore.done(settings.transaction);
+        }
+
+        return workspace.queries.length;
+    }
+}
+
+WorkspaceStore.VERSION = 2;
+WorkspaceStore.FORMAT = 'lineage-workspace';
+WorkspaceStore.HISTORY_LIMIT = 30;